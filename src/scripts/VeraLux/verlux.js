@@ -155,25 +155,476 @@ var SENSOR_PROFILES = {
 
 var DEFAULT_PROFILE = "Rec.709 (Recommended)";
 
+// -----------------------------------------------------------------------------
+//  User sensor profiles
+// -----------------------------------------------------------------------------
+// Custom profiles live in SENSOR_PROFILES next to the built-in ones and are
+// persisted in Settings. Built-in profiles cannot be modified or deleted.
+// Scripts including this file in library mode can call
+// VeraLuxSensorProfiles.loadUser() to make the stored profiles available.
+
+var BUILTIN_PROFILE_NAMES = Object.keys(SENSOR_PROFILES);
+var SENSOR_PROFILES_FORMAT = "VeraLux Sensor Profiles";
+
+function VeraLuxSensorProfiles() {}
+
+// Built-in profiles and the image working space pseudo-profile are reserved names
+VeraLuxSensorProfiles.isBuiltIn = function(name) {
+   return BUILTIN_PROFILE_NAMES.indexOf(name) >= 0 || name === IMAGE_RGBWS_PROFILE;
+};
+
+// Validated copy of a profile with weights normalized to sum 1. Throws on invalid data.
+VeraLuxSensorProfiles.normalize = function(profile) {
+   if (!profile || typeof profile !== "object") throw new Error("Invalid sensor profile.");
+   var w = profile.weights;
+   if (!w || w.length !== 3) throw new Error("A sensor profile needs exactly 3 weights (R, G, B).");
+   var sum = 0;
+   for (var i = 0; i < 3; i++) {
+      if (typeof w[i] !== "number" || !isFinite(w[i]) || w[i] < 0) throw new Error("Weights must be non-negative numbers.");
+      sum += w[i];
+   }
+   if (sum <= 0) throw new Error("At least one weight must be greater than zero.");
+   return {
+      weights: [w[0] / sum, w[1] / sum, w[2] / sum],
+      description: (profile.description !== undefined) ? String(profile.description) : "",
+      info: (profile.info !== undefined) ? String(profile.info) : ""
+   };
+};
+
+// Custom profiles currently in SENSOR_PROFILES, by name
+VeraLuxSensorProfiles.userProfiles = function() {
+   var profiles = {};
+   for (var name in SENSOR_PROFILES)
+      if (!this.isBuiltIn(name)) profiles[name] = SENSOR_PROFILES[name];
+   return profiles;
+};
+
+// Adds or replaces a custom profile (normalized) and persists the custom set
+VeraLuxSensorProfiles.set = function(name, profile) {
+   name = (name || "").trim();
+   if (name.length === 0) throw new Error("The profile name cannot be empty.");
+   if (this.isBuiltIn(name)) throw new Error("'" + name + "' is a built-in profile and cannot be modified.");
+   SENSOR_PROFILES[name] = this.normalize(profile);
+   this.saveUser();
+   return name;
+};
+
+VeraLuxSensorProfiles.remove = function(name) {
+   if (this.isBuiltIn(name)) throw new Error("'" + name + "' is a built-in profile and cannot be deleted.");
+   delete SENSOR_PROFILES[name];
+   this.saveUser();
+};
+
+// Merges the stored custom profiles into SENSOR_PROFILES
+VeraLuxSensorProfiles.loadUser = function() {
+   var json = Settings.read(SETTINGS_KEY + "/sensorProfiles", DataType_String);
+   if (!Settings.lastReadOK || !json) return;
+   var stored;
+   try {
+      stored = JSON.parse(json);
+   } catch(e) {
+      Console.warningln("VeraLux: Stored sensor profiles are corrupted and were ignored (" + e + ").");
+      return;
+   }
+   for (var name in stored) {
+      if (this.isBuiltIn(name)) continue;
+      try {
+         SENSOR_PROFILES[name] = this.normalize(stored[name]);
+      } catch(e) {
+         Console.warningln("VeraLux: Ignoring stored sensor profile '" + name + "': " + e.message);
+      }
+   }
+};
+
+VeraLuxSensorProfiles.saveUser = function() {
+   Settings.write(SETTINGS_KEY + "/sensorProfiles", DataType_String, JSON.stringify(this.userProfiles()));
+};
+
+VeraLuxSensorProfiles.exportFile = function(filePath, profiles) {
+   File.writeTextFile(filePath, JSON.stringify({ format: SENSOR_PROFILES_FORMAT, version: VERSION, profiles: profiles }, null, 3));
+};
+
+// Returns the (normalized) profiles contained in a JSON file exported by exportFile()
+VeraLuxSensorProfiles.importFile = function(filePath) {
+   var data = JSON.parse(File.readTextFile(filePath));
+   if (!data || data.format !== SENSOR_PROFILES_FORMAT || typeof data.profiles !== "object")
+      throw new Error("Not a VeraLux sensor profiles file: " + filePath);
+   var profiles = {};
+   for (var name in data.profiles) {
+      try {
+         profiles[name] = this.normalize(data.profiles[name]);
+      } catch(e) {
+         throw new Error("Profile '" + name + "': " + e.message);
+      }
+   }
+   return profiles;
+};
+
+// -----------------------------------------------------------------------------
+//  Image working space pseudo-profile
+// -----------------------------------------------------------------------------
+// Selecting IMAGE_RGBWS_PROFILE takes the luminance weights from the Y
+// coefficients of the processed view's RGBWorkingSpace (e.g. as set up after
+// SPCC) instead of a SENSOR_PROFILES entry.
+
+var IMAGE_RGBWS_PROFILE = "From image RGBWS";
+
+// Valid sensorProfile values: SENSOR_PROFILES entries plus the pseudo-profile
+function sensorProfileNames() {
+   return Object.keys(SENSOR_PROFILES).concat([IMAGE_RGBWS_PROFILE]);
+}
+
+function isSensorProfileName(name) {
+   return name === IMAGE_RGBWS_PROFILE || SENSOR_PROFILES.hasOwnProperty(name);
+}
+
+// Normalized luminance coefficients of the view's RGB working space
+function rgbWorkingSpaceWeights(view) {
+   if (!view || view.isNull) throw new Error("The '" + IMAGE_RGBWS_PROFILE + "' profile needs a target view.");
+   var Y = view.window.rgbWorkingSpace.Y;
+   return VeraLuxSensorProfiles.normalize({ weights: [Y[0], Y[1], Y[2]] }).weights;
+}
+
+// -----------------------------------------------------------------------------
+//  Metadata profile mapping
+// -----------------------------------------------------------------------------
+// Rules { keyword, pattern, profile } select a sensor profile from the image's
+// INSTRUME / FILTER / TELESCOP metadata. A rule matches when the keyword value
+// contains the pattern, ignoring case, spaces and punctuation ("ASI2600" matches
+// "ZWO ASI2600MC Pro"). Rules are tried in order; the first match wins, so
+// filter rules come first to override the camera with a dual/narrowband profile.
+
+var MAPPING_KEYWORDS = ["INSTRUME", "FILTER", "TELESCOP"];
+// XISF properties consulted when the FITS keyword is missing
+var MAPPING_PROPERTIES = {
+   INSTRUME: "Instrument:Camera:Name",
+   FILTER: "Instrument:Filter:Name",
+   TELESCOP: "Instrument:Telescope:Name"
+};
+
+var DEFAULT_SENSOR_MAPPING = [
+   { keyword: "FILTER",   pattern: "L-eXtreme",   profile: "Dual Band (OSC)" },
+   { keyword: "FILTER",   pattern: "L-Ultimate",  profile: "Dual Band (OSC)" },
+   { keyword: "FILTER",   pattern: "L-Enhance",   profile: "Dual Band (OSC)" },
+   { keyword: "FILTER",   pattern: "Dual",        profile: "Dual Band (OSC)" },
+   { keyword: "FILTER",   pattern: "HOO",         profile: "Narrowband HOO" },
+   { keyword: "FILTER",   pattern: "SHO",         profile: "Narrowband SHO" },
+   { keyword: "TELESCOP", pattern: "Seestar S50", profile: "ZWO Seestar S50" },
+   { keyword: "TELESCOP", pattern: "Seestar S30", profile: "ZWO Seestar S30" },
+   { keyword: "INSTRUME", pattern: "Seestar S50", profile: "ZWO Seestar S50" },
+   { keyword: "INSTRUME", pattern: "Seestar S30", profile: "ZWO Seestar S30" },
+   { keyword: "INSTRUME", pattern: "ASI2600",     profile: "Sony IMX571 (ASI2600/QHY268)" },
+   { keyword: "INSTRUME", pattern: "QHY268",      profile: "Sony IMX571 (ASI2600/QHY268)" },
+   { keyword: "INSTRUME", pattern: "ASI533",      profile: "Sony IMX533 (ASI533)" },
+   { keyword: "INSTRUME", pattern: "ASI6200",     profile: "Sony IMX455 (ASI6200/QHY600)" },
+   { keyword: "INSTRUME", pattern: "QHY600",      profile: "Sony IMX455 (ASI6200/QHY600)" },
+   { keyword: "INSTRUME", pattern: "ASI294",      profile: "Sony IMX294 (ASI294)" },
+   { keyword: "INSTRUME", pattern: "ASI183",      profile: "Sony IMX183 (ASI183)" },
+   { keyword: "INSTRUME", pattern: "ASI178",      profile: "Sony IMX178 (ASI178)" },
+   { keyword: "INSTRUME", pattern: "ASI224",      profile: "Sony IMX224 (ASI224)" },
+   { keyword: "INSTRUME", pattern: "ASI585",      profile: "Sony IMX585 (ASI585) - STARVIS 2" },
+   { keyword: "INSTRUME", pattern: "ASI662",      profile: "Sony IMX662 (ASI662) - STARVIS 2" },
+   { keyword: "INSTRUME", pattern: "ASI678",      profile: "Sony IMX678/715 - STARVIS 2" },
+   { keyword: "INSTRUME", pattern: "ASI715",      profile: "Sony IMX678/715 - STARVIS 2" },
+   { keyword: "INSTRUME", pattern: "ASI1600",     profile: "Panasonic MN34230 (ASI1600/QHY163)" },
+   { keyword: "INSTRUME", pattern: "QHY163",      profile: "Panasonic MN34230 (ASI1600/QHY163)" },
+   { keyword: "INSTRUME", pattern: "Canon",       profile: "Canon EOS (Modern - 60D/6D/R)" },
+   { keyword: "INSTRUME", pattern: "Nikon",       profile: "Nikon DSLR (Modern - D5300/D850)" }
+];
+
+function VeraLuxSensorMapping() {}
+
+VeraLuxSensorMapping.rules = DEFAULT_SENSOR_MAPPING.slice();
+VeraLuxSensorMapping.enabled = true;
+
+VeraLuxSensorMapping.simplify = function(text) {
+   return String(text).toUpperCase().replace(/[^A-Z0-9]/g, "");
+};
+
+// Validated copy of a rule list. Throws on invalid data.
+VeraLuxSensorMapping.validate = function(rules) {
+   if (!rules || typeof rules.length !== "number") throw new Error("Invalid sensor mapping table.");
+   var valid = [];
+   for (var i = 0; i < rules.length; i++) {
+      var r = rules[i];
+      if (!r || MAPPING_KEYWORDS.indexOf(r.keyword) < 0) throw new Error("Rule " + (i + 1) + ": keyword must be one of " + MAPPING_KEYWORDS.join(", ") + ".");
+      if (this.simplify(r.pattern || "").length === 0) throw new Error("Rule " + (i + 1) + ": the pattern cannot be empty.");
+      if (!r.profile) throw new Error("Rule " + (i + 1) + ": no sensor profile.");
+      valid.push({ keyword: r.keyword, pattern: String(r.pattern), profile: String(r.profile) });
+   }
+   return valid;
+};
+
+// keywords: { INSTRUME: "...", FILTER: "...", TELESCOP: "..." } (missing = not present).
+// Returns { profile, keyword, value, rule } or null. Rules naming unknown profiles are skipped.
+VeraLuxSensorMapping.match = function(keywords) {
+   for (var i = 0; i < this.rules.length; i++) {
+      var r = this.rules[i];
+      var value = keywords[r.keyword];
+      if (!value || !isSensorProfileName(r.profile)) continue;
+      if (this.simplify(value).indexOf(this.simplify(r.pattern)) >= 0)
+         return { profile: r.profile, keyword: r.keyword, value: value, rule: r };
+   }
+   return null;
+};
+
+// Mapping keyword values of a view's window (FITS keywords, then XISF properties)
+VeraLuxSensorMapping.readKeywords = function(view) {
+   var result = {};
+   var keywords = view.window.keywords;
+   for (var i = 0; i < keywords.length; i++) {
+      var name = keywords[i].name.trim().toUpperCase();
+      if (MAPPING_KEYWORDS.indexOf(name) >= 0 && !result[name]) result[name] = keywords[i].strippedValue.trim();
+   }
+   var mainView = view.window.mainView;
+   for (var k = 0; k < MAPPING_KEYWORDS.length; k++) {
+      var key = MAPPING_KEYWORDS[k];
+      if (result[key]) continue;
+      var value = mainView.propertyValue(MAPPING_PROPERTIES[key]);
+      if (value) result[key] = String(value).trim();
+   }
+   return result;
+};
+
+VeraLuxSensorMapping.detect = function(view) {
+   return this.match(this.readKeywords(view));
+};
+
+VeraLuxSensorMapping.load = function() {
+   var enabled = Settings.read(SETTINGS_KEY + "/sensorAutoDetect", DataType_Boolean);
+   if (Settings.lastReadOK) this.enabled = enabled;
+   var json = Settings.read(SETTINGS_KEY + "/sensorMapping", DataType_String);
+   if (!Settings.lastReadOK || !json) return;
+   try {
+      this.rules = this.validate(JSON.parse(json));
+   } catch(e) {
+      Console.warningln("VeraLux: Stored sensor mapping is invalid and was ignored (" + e.message + ").");
+   }
+};
+
+VeraLuxSensorMapping.save = function() {
+   Settings.write(SETTINGS_KEY + "/sensorAutoDetect", DataType_Boolean, this.enabled);
+   Settings.write(SETTINGS_KEY + "/sensorMapping", DataType_String, JSON.stringify(this.rules));
+};
+
+// -----------------------------------------------------------------------------
+//  Spectral weights calculator
+// -----------------------------------------------------------------------------
+// Luminance weights from spectral curves: each channel's weight is its share of
+// the signal collected through the optional filter under the optional reference
+// illuminant (equal-energy when omitted),
+//    w_c ∝ ∫ QE_c(λ) · T(λ) · S(λ) dλ
+// so narrowband and dual-band setups weight the channels that actually receive
+// the filter's emission lines. Curves are CSV text with the wavelength in nm in
+// the first column; scale (fractions or %) is irrelevant after normalization.
+
+// Numeric rows [λ, v1, v2, ...] with at least `columns` values, sorted by λ.
+// Header lines, comments (#) and blank lines are skipped. Accepts comma,
+// semicolon (with decimal commas), tab or space separators.
+function parseSpectralCSV(text, columns) {
+   var rows = [];
+   var lines = text.split(/\r\n|\r|\n/);
+   for (var i = 0; i < lines.length; i++) {
+      var line = lines[i].trim();
+      if (line.length === 0 || line.charAt(0) === "#") continue;
+      var fields = (line.indexOf(";") >= 0) ? line.replace(/,/g, ".").split(/\s*;\s*/) : line.split(/\s*[,\t ]\s*/);
+      if (fields.length < columns + 1) continue;
+      var row = [];
+      for (var j = 0; j <= columns; j++) {
+         var v = parseFloat(fields[j]);
+         if (isNaN(v)) { row = null; break; }
+         row.push(v);
+      }
+      if (row) rows.push(row);
+   }
+   if (rows.length < 2) throw new Error("Expected at least 2 rows of wavelength + " + columns + " numeric column(s).");
+   rows.sort(function(a, b) { return a[0] - b[0]; });
+   return rows;
+}
+
+// Linear interpolation of column col at wavelength lambda; 0 outside the curve
+function interpolateSpectral(rows, col, lambda) {
+   if (lambda < rows[0][0] || lambda > rows[rows.length - 1][0]) return 0;
+   var lo = 0; var hi = rows.length - 1;
+   while (hi - lo > 1) {
+      var mid = (lo + hi) >> 1;
+      if (rows[mid][0] <= lambda) lo = mid; else hi = mid;
+   }
+   var span = rows[hi][0] - rows[lo][0];
+   if (span <= 0) return rows[lo][col];
+   var t = (lambda - rows[lo][0]) / span;
+   return rows[lo][col] * (1 - t) + rows[hi][col] * t;
+}
+
+// qe: rows [λ, R, G, B]; filter, illuminant: rows [λ, value] or null.
+// Returns { weights (sum 1), response (raw integrals), range: [λmin, λmax] }.
+function deriveSensorWeights(qe, filter, illuminant) {
+   var lo = qe[0][0]; var hi = qe[qe.length - 1][0];
+   if (filter) { lo = Math.max(lo, filter[0][0]); hi = Math.min(hi, filter[filter.length - 1][0]); }
+   if (illuminant) { lo = Math.max(lo, illuminant[0][0]); hi = Math.min(hi, illuminant[illuminant.length - 1][0]); }
+   if (hi <= lo) throw new Error("The spectral curves do not overlap.");
+   
+   // Trapezoidal integration on a 1 nm grid
+   var steps = Math.max(1, Math.ceil(hi - lo));
+   var dl = (hi - lo) / steps;
+   var response = [0, 0, 0];
+   for (var k = 0; k <= steps; k++) {
+      var lambda = lo + k * dl;
+      var f = (k === 0 || k === steps) ? 0.5 * dl : dl;
+      if (filter) f *= Math.max(0, interpolateSpectral(filter, 1, lambda));
+      if (illuminant) f *= Math.max(0, interpolateSpectral(illuminant, 1, lambda));
+      for (var c = 0; c < 3; c++) response[c] += f * Math.max(0, interpolateSpectral(qe, c + 1, lambda));
+   }
+   if (response[0] + response[1] + response[2] <= 0)
+      throw new Error("No signal: the sensor curves are zero within the filter/illuminant band.");
+   return { weights: VeraLuxSensorProfiles.normalize({ weights: response }).weights, response: response, range: [lo, hi] };
+}
+
+// =============================================================================
+//  STATISTICS SERVICE
+// =============================================================================
+
+// Sample statistics without sorting. Mean, sigma, min and max come from a single
+// pass; percentiles are exact order statistics located through a high-resolution
+// histogram, so only the few samples sharing a bin with a wanted rank get sorted.
+// Inputs (Arrays or typed arrays) are never modified.
+function VeraLuxStats() {}
+
+VeraLuxStats.NUM_BINS = 65536;
+
+// Returns { count, mean, sigma, min, max, median, percentiles } where
+// percentiles[i] is the value at ps[i] (0-100). Sigma is the population one.
+VeraLuxStats.compute = function(samples, ps) {
+   ps = ps || [];
+   var n = samples.length;
+   var out = { count: n, mean: 0, sigma: 0, min: 0, max: 0, median: 0, percentiles: [] };
+   if (n === 0) {
+      for (var i = 0; i < ps.length; i++) out.percentiles.push(0);
+      return out;
+   }
+   
+   // Welford running moments + extrema
+   var mean = 0; var m2 = 0; var min = samples[0]; var max = samples[0];
+   for (var i = 0; i < n; i++) {
+      var v = samples[i];
+      if (v < min) min = v; else if (v > max) max = v;
+      var d = v - mean;
+      mean += d / (i + 1);
+      m2 += d * (v - mean);
+   }
+   out.mean = mean; out.sigma = Math.sqrt(m2 / n); out.min = min; out.max = max;
+   
+   var values = this.percentilesOf(samples, [50].concat(ps), min, max);
+   out.median = values[0];
+   out.percentiles = values.slice(1);
+   return out;
+};
+
+// Percentiles ps (0-100) with the same linear interpolation between ranks as a
+// sorted-array lookup. min/max are computed when not supplied.
+VeraLuxStats.percentilesOf = function(samples, ps, min, max) {
+   var n = samples.length;
+   if (n === 0) return ps.map(function() { return 0; });
+   if (min === undefined || max === undefined) {
+      min = samples[0]; max = samples[0];
+      for (var i = 1; i < n; i++) { var v = samples[i]; if (v < min) min = v; else if (v > max) max = v; }
+   }
+   
+   var ranks = [];
+   var plan = ps.map(function(p) {
+      var idx = (p / 100.0) * (n - 1);
+      var lower = Math.max(0, Math.min(n - 1, Math.floor(idx)));
+      var upper = Math.max(0, Math.min(n - 1, Math.ceil(idx)));
+      if (ranks.indexOf(lower) < 0) ranks.push(lower);
+      if (ranks.indexOf(upper) < 0) ranks.push(upper);
+      return { lower: lower, upper: upper, weight: idx - Math.floor(idx) };
+   });
+   
+   var ranked = this.selectRanks(samples, ranks, min, max);
+   return plan.map(function(e) {
+      var a = ranked[ranks.indexOf(e.lower)]; var b = ranked[ranks.indexOf(e.upper)];
+      return a * (1 - e.weight) + b * e.weight;
+   });
+};
+
+// Values of the given 0-based ranks of the ascending order of samples.
+VeraLuxStats.selectRanks = function(samples, ranks, min, max) {
+   var n = samples.length;
+   var result = [];
+   if (!(max > min)) {
+      for (var r = 0; r < ranks.length; r++) result.push(min);
+      return result;
+   }
+   
+   var numBins = this.NUM_BINS;
+   var scale = numBins / (max - min);
+   var hist = new Uint32Array(numBins);
+   for (var i = 0; i < n; i++) {
+      var bin = Math.floor((samples[i] - min) * scale);
+      hist[bin < numBins ? bin : numBins - 1]++;
+   }
+   
+   // Locate the bin holding each rank and the number of samples before it
+   var binOf = []; var before = [];
+   var slot = new Uint32Array(numBins); // bucket index + 1, 0 = not wanted
+   var buckets = [];
+   for (var r = 0; r < ranks.length; r++) {
+      var cum = 0; var k = 0;
+      while (k < numBins - 1 && cum + hist[k] <= ranks[r]) { cum += hist[k]; k++; }
+      binOf.push(k); before.push(cum);
+      if (slot[k] === 0) { buckets.push([]); slot[k] = buckets.length; }
+   }
+   
+   // Gather only the samples of the wanted bins, then sort those
+   for (var i = 0; i < n; i++) {
+      var v = samples[i];
+      var bin = Math.floor((v - min) * scale);
+      if (bin >= numBins) bin = numBins - 1;
+      if (slot[bin] !== 0) buckets[slot[bin] - 1].push(v);
+   }
+   for (var q = 0; q < buckets.length; q++) buckets[q].sort(function(a, b) { return a - b; });
+   
+   for (var r = 0; r < ranks.length; r++)
+      result.push(buckets[slot[binOf[r]] - 1][ranks[r] - before[r]]);
+   return result;
+};
+
+VeraLuxStats.percentile = function(samples, p) {
+   return this.percentilesOf(samples, [p])[0];
+};
+
+VeraLuxStats.median = function(samples) {
+   return this.percentilesOf(samples, [50])[0];
+};
+
+// Luminance (or channel 0 for mono) at every step-th pixel in raster order.
+// onRow (optional) receives the current row, e.g. from createRowProgress()
+VeraLuxStats.sampleLuminance = function(img, weights, step, onRow) {
+   var w = img.width; var totalPixels = w * img.height;
+   var isRGB = (img.numberOfChannels === 3);
+   var samples = new Float64Array(Math.ceil(totalPixels / step));
+   for (var i = 0, j = 0; i < totalPixels; i += step, j++) {
+      var y = Math.floor(i / w); var x = i % w;
+      if (onRow) onRow(y);
+      samples[j] = isRGB ? (weights[0]*img.sample(x,y,0) + weights[1]*img.sample(x,y,1) + weights[2]*img.sample(x,y,2))
+                         : img.sample(x,y,0);
+   }
+   return samples;
+};
+
 // =============================================================================
 //  CORE ENGINE (Math & Statistics)
 // =============================================================================
 
 function VeraLuxCore() {}
 
+// Kept for scripts using the old helper; no longer sorts arr in place.
 VeraLuxCore.percentile = function(arr, p) {
-   if (arr.length === 0) return 0;
-   arr.sort(function(a, b) { return a - b; });
-   var idx = (p / 100.0) * (arr.length - 1);
-   var lower = Math.floor(idx);
-   var upper = Math.ceil(idx);
-   var weight = idx - lower;
-   if (upper >= arr.length) return arr[arr.length - 1];
-   return arr[lower] * (1 - weight) + arr[upper] * weight;
+   return VeraLuxStats.percentile(arr, p);
 };
 
 // Statistical Anchor (Fallback)
-VeraLuxCore.calculateAnchorStats = function(img, isRGB) {
+VeraLuxCore.calculateAnchorStats = function(img, isRGB, progressCallback) {
    var w = img.width; var h = img.height;
    var totalPixels = w * h;
    var step = Math.max(1, Math.floor(totalPixels / 500000));
@@ -181,39 +632,37 @@ VeraLuxCore.calculateAnchorStats = function(img, isRGB) {
       var floors = [];
       for (var c = 0; c < 3; c++) {
          var channelSamples = [];
+         var rowProgress = createRowProgress(subProgress(progressCallback, c / 3, (c + 1) / 3), h);
          for (var i = 0; i < totalPixels; i += step) {
             var y = Math.floor(i / w); var x = i % w;
+            rowProgress(y);
             channelSamples.push(img.sample(x, y, c));
          }
-         floors.push(this.percentile(channelSamples, 0.5));
+         floors.push(VeraLuxStats.percentile(channelSamples, 0.5));
       }
+      if (progressCallback) progressCallback(null, 1.0);
       return Math.max(0.0, Math.min.apply(null, floors) - 0.00025);
    } else {
       var samples = [];
+      var rowProgress = createRowProgress(progressCallback, h);
       for (var i = 0; i < totalPixels; i += step) {
          var y = Math.floor(i / w); var x = i % w;
+         rowProgress(y);
          samples.push(img.sample(x, y, 0));
       }
-      return Math.max(0.0, this.percentile(samples, 0.5) - 0.00025);
+      if (progressCallback) progressCallback(null, 1.0);
+      return Math.max(0.0, VeraLuxStats.percentile(samples, 0.5) - 0.00025);
    }
 };
 
 // Adaptive Anchor (Histogram Analysis)
-VeraLuxCore.calculateAnchorAdaptive = function(img, weights) {
+// Progress: sampling 0-0.8, histogram smoothing 0.8-1.
+VeraLuxCore.calculateAnchorAdaptive = function(img, weights, progressCallback) {
    var w = img.width; var h = img.height;
    var totalPixels = w * h;
-   var isRGB = (img.numberOfChannels === 3);
    var step = Math.max(1, Math.floor(totalPixels / 2000000)); // Sample heavily
-   var samples = [];
-   
-   for (var i = 0; i < totalPixels; i += step) {
-      var y = Math.floor(i / w); var x = i % w;
-      if (isRGB) {
-         samples.push(weights[0]*img.sample(x,y,0) + weights[1]*img.sample(x,y,1) + weights[2]*img.sample(x,y,2));
-      } else {
-         samples.push(img.sample(x,y,0));
-      }
-   }
+   var samples = VeraLuxStats.sampleLuminance(img, weights, step,
+      createRowProgress(subProgress(progressCallback, 0, 0.8), h));
    
    var numBins = 65536; 
    var hist = new Array(numBins); for(var z=0;z<numBins;++z) hist[z]=0;
@@ -230,7 +679,9 @@ VeraLuxCore.calculateAnchorAdaptive = function(img, weights) {
    // Smoothing
    var smoothed = new Array(numBins); for(var z=0;z<numBins;++z) smoothed[z]=0;
    var windowSize = 50;
+   var binProgress = createRowProgress(subProgress(progressCallback, 0.8, 1.0), numBins);
    for (var k = 0; k < numBins; k++) {
+      binProgress(k);
       var sum = 0; var count = 0;
       for (var win = -windowSize; win <= windowSize; win++) {
          if (k+win >= 0 && k+win < numBins) { sum += hist[k+win]; count++; }
@@ -251,10 +702,13 @@ VeraLuxCore.calculateAnchorAdaptive = function(img, weights) {
    }
    
    var anchor = anchorIdx / (numBins - 1);
-   if (anchor <= 0.0 || isNaN(anchor)) anchor = this.percentile(samples, 0.5);
+   if (anchor <= 0.0 || isNaN(anchor)) anchor = VeraLuxStats.percentile(samples, 0.5);
+   if (progressCallback) progressCallback(null, 1.0);
    return Math.max(0.0, anchor);
 };
 
+// Plain VeraLux kernel (SP only shifts the curve); see createHyperbolicStretch()
+// for the full GHS family.
 VeraLuxCore.hyperbolicStretch = function(value, D, b, SP) {
    D = Math.max(D, 0.1); b = Math.max(b, 0.1); SP = SP || 0.0;
    var term1 = Math.asinh(D * (value - SP) + b);
@@ -264,6 +718,63 @@ VeraLuxCore.hyperbolicStretch = function(value, D, b, SP) {
    return (term1 - term2) / norm;
 };
 
+// Generalized Hyperbolic Stretch family built on the VeraLux kernel
+//    f(u) = asinh(D·u + b) - asinh(b)
+// applied above the symmetry point SP and mirrored below it, continued along
+// its tangent below the shadow protection point LP and above the highlight
+// protection point HP, then normalized so that 0 -> 0 and 1 -> 1.
+// shape: { SP, LP, HP } in the stretch input domain, 0 <= LP <= SP <= HP <= 1.
+// Without a shape (or SP = LP = 0, HP = 1) this is hyperbolicStretch(v, D, b, 0).
+// Returns function(value).
+VeraLuxCore.createHyperbolicStretch = function(D, b, shape) {
+   if (!shape || ((shape.SP || 0) <= 0 && (shape.LP || 0) <= 0 && (shape.HP === undefined || shape.HP >= 1))) {
+      D = Math.max(D, 0.1); b = Math.max(b, 0.1);
+      return function(value) { return VeraLuxCore.hyperbolicStretch(value, D, b, 0); };
+   }
+   return this.hyperbolicModel(D, b, shape).forward;
+};
+
+// The GHS curve of createHyperbolicStretch() as { forward(v), inverse(y), slope(v), terms },
+// where inverse() is exact (closed form) over the unclipped range and terms holds
+// the curve constants (used to write the curve as a PixelMath expression).
+VeraLuxCore.hyperbolicModel = function(D, b, shape) {
+   D = Math.max(D, 0.1); b = Math.max(b, 0.1);
+   var SP = shape ? Math.max(0, Math.min(1, shape.SP || 0)) : 0;
+   var LP = shape ? Math.max(0, Math.min(SP, shape.LP || 0)) : 0;
+   var HP = (shape && shape.HP !== undefined) ? Math.max(SP, Math.min(1, shape.HP)) : 1;
+   
+   var ab = Math.asinh(b);
+   var f = function(u) { return Math.asinh(D * u + b) - ab; };
+   var df = function(u) { var t = D * u + b; return D / Math.sqrt(t * t + 1); };
+   var core = function(v) { return (v >= SP) ? f(v - SP) : -f(SP - v); };
+   var gLP = core(LP); var slopeLP = df(SP - LP);
+   var gHP = core(HP); var slopeHP = df(HP - SP);
+   var g = function(v) {
+      if (v < LP) return gLP + slopeLP * (v - LP);
+      if (v > HP) return gHP + slopeHP * (v - HP);
+      return core(v);
+   };
+   var g0 = g(0);
+   var norm = g(1) - g0;
+   if (norm === 0) norm = 1e-6;
+   return {
+      terms: { D: D, b: b, ab: ab, SP: SP, LP: LP, HP: HP, gLP: gLP, slopeLP: slopeLP, gHP: gHP, slopeHP: slopeHP, g0: g0, norm: norm },
+      forward: function(value) { return (g(value) - g0) / norm; },
+      inverse: function(y) {
+         var G = y * norm + g0;
+         if (G < gLP) return LP + (G - gLP) / slopeLP;
+         if (G > gHP) return HP + (G - gHP) / slopeHP;
+         if (G >= 0) return SP + (Math.sinh(G + ab) - b) / D;
+         return SP - (Math.sinh(ab - G) - b) / D;
+      },
+      slope: function(value) {
+         if (value < LP) return slopeLP / norm;
+         if (value > HP) return slopeHP / norm;
+         return df(Math.abs(value - SP)) / norm;
+      }
+   };
+};
+
 VeraLuxCore.applyMTF = function(value, m) {
    if (value <= 0) return 0; if (value >= 1) return 1;
    var term1 = (m - 1.0) * value;
@@ -272,14 +783,14 @@ VeraLuxCore.applyMTF = function(value, m) {
    return Math.max(0.0, Math.min(1.0, term1 / term2));
 };
 
-// Binary search for LogD
-VeraLuxCore.solveLogD = function(medianIn, targetMedian, bVal) {
+// Binary search for LogD (optional GHS shape, see createHyperbolicStretch())
+VeraLuxCore.solveLogD = function(medianIn, targetMedian, bVal, shape) {
    if (medianIn < 1e-9) return 2.0;
    var lowLog = 0.0; var highLog = 7.0; var bestLogD = 2.0;
    for (var iter = 0; iter < 40; iter++) {
       var midLog = (lowLog + highLog) / 2.0;
       var midD = Math.pow(10.0, midLog);
-      var testVal = this.hyperbolicStretch(medianIn, midD, bVal, 0.0);
+      var testVal = this.createHyperbolicStretch(midD, bVal, shape)(medianIn);
       if (Math.abs(testVal - targetMedian) < 0.0001) { bestLogD = midLog; break; }
       if (testVal < targetMedian) lowLog = midLog;
       else highLog = midLog;
@@ -287,6 +798,57 @@ VeraLuxCore.solveLogD = function(medianIn, targetMedian, bVal) {
    return bestLogD;
 };
 
+// =============================================================================
+//  PROGRESS & ABORT
+// =============================================================================
+//
+// Long operations report through progressCallback(message, fraction):
+//  • message  - stage text for the log, or null for pure progress updates
+//  • fraction - overall progress 0..1 of the operation, or undefined
+// A callback may throw VeraLuxAbort to cancel. Targets are only written after
+// all processing has finished, so an aborted run leaves them untouched.
+
+function VeraLuxAbort(message) {
+   this.name = "VeraLuxAbort";
+   this.message = message || "Processing aborted by the user.";
+}
+VeraLuxAbort.prototype = new Error;
+
+// Maps the 0..1 progress of a sub-stage into [from, to] of the caller's range
+function subProgress(progressCallback, from, to) {
+   if (!progressCallback) return null;
+   return function(msg, fraction) {
+      progressCallback(msg, (fraction === undefined || fraction === null) ? undefined : from + (to - from) * fraction);
+   };
+}
+
+// subProgress() without the sub-stage messages, for stages run once per tile
+function quietProgress(progressCallback, from, to) {
+   var sub = subProgress(progressCallback, from, to);
+   if (!sub) return null;
+   return function(msg, fraction) { sub(null, fraction); };
+}
+
+// "Stretching: N% (tile t/n)": shown by the dialog, dropped by the console
+// filters like the per-row "Stretching: N%" messages.
+function tileMessage(t, count) {
+   return "Stretching: " + Math.round((t / count) * 100) + "% (tile " + (t + 1) + "/" + count + ")";
+}
+
+// Per-row reporting for pixel loops: a progress update on every 1% (which also
+// gives Abort a chance) and, with a label, a "label: N%" message every 5%.
+function createRowProgress(progressCallback, totalRows, label) {
+   if (!progressCallback) return function() {};
+   var lastPct = 0;
+   return function(row) {
+      var pct = Math.round((row / totalRows) * 100);
+      if (pct === lastPct) return;
+      lastPct = pct;
+      progressCallback((label && pct % 5 === 0) ? label + ": " + pct + "%" : null, row / totalRows);
+      processEvents();
+   };
+}
+
 // =============================================================================
 //  HELPER FUNCTIONS (Surgery & Math)
 // =============================================================================
@@ -308,26 +870,36 @@ function createGaussianKernel(size, sigma) {
    return kernel;
 }
 
-function applyOpticalHealing(img, strength) {
+function healingKernelSize(strength) {
+   var kSize = Math.floor(strength * 2) + 1;
+   if (kSize % 2 == 0) kSize++;
+   return kSize;
+}
+
+// The convolutions are native; progress (and Abort) is reported between them.
+function applyOpticalHealing(img, strength, progressCallback) {
    if (strength <= 0) return img;
    var workImg = new Image(img);
    // Convert to Lab to isolate chroma
    workImg.convert(ColorSpace_Lab);
    
-   var kSize = Math.floor(strength * 2) + 1;
-   if (kSize % 2 == 0) kSize++;
+   var kSize = healingKernelSize(strength);
    var sigma = (kSize / 2.0) * 0.3 + 0.8; 
    var kernel = createGaussianKernel(kSize, sigma);
    
    // Blur a and b channels
+   if (progressCallback) progressCallback(null, 0.1);
    workImg.convolve(kernel, 1); 
+   if (progressCallback) progressCallback(null, 0.5);
    workImg.convolve(kernel, 2); 
+   if (progressCallback) progressCallback(null, 0.9);
    
    workImg.convert(ColorSpace_RGB);
+   if (progressCallback) progressCallback(null, 1.0);
    return workImg;
 }
 
-function applyStarReduction(img, intensity) {
+function applyStarReduction(img, intensity, progressCallback) {
    if (intensity <= 0) return img;
    var kSize = (intensity < 0.5) ? 3 : 5;
    var strElem = new Matrix(kSize, kSize);
@@ -345,28 +917,43 @@ function applyStarReduction(img, intensity) {
    var result = new Image(img);
    var w = img.width; var h = img.height; var nc = img.numberOfChannels;
    
+   var oRow = new Float32Array(w); var eRow = new Float32Array(w);
+   var rowProgress = createRowProgress(progressCallback, nc * h);
    for(var c=0; c<nc; c++) {
       for(var y=0; y<h; y++) {
-         for(var x=0; x<w; x++) {
-             var orig = img.sample(x, y, c);
-             var ero = eroded.sample(x, y, c);
-             result.setSample(orig * (1.0 - intensity) + ero * intensity, x, y, c);
-         }
+         rowProgress(c * h + y);
+         var rowRect = new Rect(0, y, w, y + 1);
+         img.getSamples(oRow, rowRect, c);
+         eroded.getSamples(eRow, rowRect, c);
+         for(var x=0; x<w; x++) oRow[x] = oRow[x] * (1.0 - intensity) + eRow[x] * intensity;
+         result.setSamples(oRow, rowRect, c);
       }
    }
    return result;
 }
 
-function applyLSR(img, intensity) {
-   if (intensity <= 0) return img;
-   var kSizeVal = Math.floor(Math.min(img.height, img.width) / 15.0);
+// LSR kernel size follows the full image geometry (tiles must pass it in)
+function lsrKernelSize(width, height) {
+   var kSizeVal = Math.floor(Math.min(height, width) / 15.0);
    if (kSizeVal % 2 == 0) kSizeVal++;
    if (kSizeVal < 3) kSizeVal = 3; if (kSizeVal > 127) kSizeVal = 127; 
+   return kSizeVal;
+}
+
+// The low pass is convolved one channel at a time to report progress between them
+function applyLSR(img, intensity, kSizeVal, progressCallback) {
+   if (intensity <= 0) return img;
+   if (!kSizeVal) kSizeVal = lsrKernelSize(img.width, img.height);
    var sigma = (kSizeVal / 2.0) * 0.3 + 0.8;
    var kernel = createGaussianKernel(kSizeVal, sigma);
    
    var lowPass = new Image(img);
-   lowPass.convolve(kernel);
+   var nc = img.numberOfChannels;
+   for (var c = 0; c < nc; c++) {
+      if (progressCallback) progressCallback(null, 0.9 * c / nc);
+      lowPass.convolve(kernel, c);
+   }
+   if (progressCallback) progressCallback(null, 0.9);
    
    var highPass = new Image(img);
    highPass.apply(lowPass, ImageOp_Sub); // Img - LowPass
@@ -379,84 +966,133 @@ function applyLSR(img, intensity) {
    highPass.rescale(intensity);
    result.apply(highPass, ImageOp_Add);
    
+   if (progressCallback) progressCallback(null, 1.0);
    return result;
 }
 
-function applyAdaptiveScaling(img, weights, targetBg) {
-   var w = img.width; var h = img.height; var totalPixels = w * h;
-   var nc = img.numberOfChannels; var isRGB = (nc === 3);
-   var step = Math.max(1, Math.floor(totalPixels / 500000));
-   
-   var lumaSamples = [];
-   for (var i = 0; i < totalPixels; i += step) {
-      var y = Math.floor(i / w); var x = i % w;
-      if (isRGB) lumaSamples.push(weights[0]*img.sample(x,y,0) + weights[1]*img.sample(x,y,1) + weights[2]*img.sample(x,y,2));
-      else lumaSamples.push(img.sample(x,y,0));
-   }
-   
-   var median = VeraLuxCore.percentile(lumaSamples, 50);
-   var mean = 0; for(var k=0; k<lumaSamples.length; k++) mean += lumaSamples[k]; mean /= lumaSamples.length;
-   var stdDev = 0; for(var k=0; k<lumaSamples.length; k++) stdDev += Math.pow(lumaSamples[k] - mean, 2); 
-   stdDev = Math.sqrt(stdDev / lumaSamples.length);
-   var minVal = 1.0; for(var i=0; i<lumaSamples.length; i++) { if(lumaSamples[i] < minVal) minVal = lumaSamples[i]; }
+var ADAPTIVE_PEDESTAL = 0.001;
+var STRETCH_PEDESTAL = 0.005;  // Added by the stretch kernel (params.addPedestal)
+
+// Black point (2.7 sigma floor) and expansion factor from stretched luminance samples
+function computeAdaptiveScaling(lumaSamples) {
+   var ls = VeraLuxStats.compute(lumaSamples, [99, 99.99]);
+   var minVal = Math.min(1.0, ls.min);
    
    // Floor Logic: 2.7 stdDev to properly align with black point
-   var globalFloor = Math.max(minVal, median - 2.7 * stdDev);
+   var globalFloor = Math.max(minVal, ls.median - 2.7 * ls.sigma);
    
-   var softCeil = VeraLuxCore.percentile(lumaSamples, 99);
-   var hardCeil = VeraLuxCore.percentile(lumaSamples, 99.99);
+   var softCeil = ls.percentiles[0];
+   var hardCeil = ls.percentiles[1];
    if (softCeil <= globalFloor) softCeil = globalFloor + 1e-6;
    if (hardCeil <= softCeil) hardCeil = softCeil + 1e-6;
    
-   var PEDESTAL = 0.001;
-   var finalScale = Math.min((0.98 - PEDESTAL) / (softCeil - globalFloor + 1e-9), (1.0 - PEDESTAL) / (hardCeil - globalFloor + 1e-9));
+   var finalScale = Math.min((0.98 - ADAPTIVE_PEDESTAL) / (softCeil - globalFloor + 1e-9), (1.0 - ADAPTIVE_PEDESTAL) / (hardCeil - globalFloor + 1e-9));
+   return { globalFloor: globalFloor, finalScale: finalScale };
+}
+
+// MTF midtones balance moving currentBg to targetBg, or null if no shift is needed
+function computeBackgroundMTF(currentBg, targetBg) {
+   if (currentBg > 0 && currentBg < 1 && Math.abs(currentBg - targetBg) > 0.001)
+      return (currentBg * (targetBg - 1.0)) / (currentBg * (2.0 * targetBg - 1.0) - targetBg);
+   return null;
+}
+
+// Output level of the black point: the stretch pedestal, or in Ready-to-Use
+// mode the adaptive scaling pedestal after the MTF shift (stats: processVeraLux())
+function outputBlackLevel(params, stats) {
+   if (params.processingMode === "ready_to_use") {
+      var m = stats ? stats.mtfM : null;
+      return (m !== null && m !== undefined) ? VeraLuxCore.applyMTF(ADAPTIVE_PEDESTAL, m) : ADAPTIVE_PEDESTAL;
+   }
+   return (params.addPedestal !== false) ? STRETCH_PEDESTAL : 0;
+}
+
+// In-place row operations shared by the full-image and tiled paths
+function expandRow(row, n, globalFloor, finalScale) {
+   for (var x = 0; x < n; x++) {
+      var expanded = (row[x] - globalFloor) * finalScale + ADAPTIVE_PEDESTAL;
+      row[x] = Math.max(0, Math.min(1, expanded));
+   }
+}
+
+function mtfRow(row, n, m) {
+   for (var x = 0; x < n; x++) row[x] = VeraLuxCore.applyMTF(row[x], m);
+}
+
+function softClipRow(row, n, threshold, rolloff) {
+   for (var x = 0; x < n; x++) {
+      var val = row[x];
+      if (val > threshold) {
+         var t = (val - threshold) / (1.0 - threshold);
+         val = threshold + (1.0 - threshold) * (1.0 - Math.pow(1.0 - Math.max(0,Math.min(1,t)), rolloff));
+      }
+      row[x] = Math.max(0, Math.min(1, val));
+   }
+}
+
+// With frozen = { globalFloor, finalScale, mtfM } (linked stretch) the statistics
+// of img are ignored and the reference values are applied as-is.
+function applyAdaptiveScaling(img, weights, targetBg, stats, frozen, progressCallback) {
+   var w = img.width; var h = img.height; var totalPixels = w * h;
+   var nc = img.numberOfChannels; var isRGB = (nc === 3);
+   var step = Math.max(1, Math.floor(totalPixels / 500000));
+   var scaling;
+   
+   if (frozen) {
+      scaling = { globalFloor: frozen.globalFloor, finalScale: frozen.finalScale };
+   } else {
+      scaling = computeAdaptiveScaling(VeraLuxStats.sampleLuminance(img, weights, step));
+   }
    
    var result = new Image(w, h, nc, isRGB ? ColorSpace_RGB : ColorSpace_Gray, 32, SampleType_Real);
+   var row = new Float32Array(w);
+   var expandProgress = createRowProgress(subProgress(progressCallback, 0.1, 0.6), nc * h);
    for (var c = 0; c < nc; c++) {
       for (var y = 0; y < h; y++) {
-         for (var x = 0; x < w; x++) {
-            var val = img.sample(x, y, c);
-            var expanded = (val - globalFloor) * finalScale + PEDESTAL;
-            result.setSample(Math.max(0, Math.min(1, expanded)), x, y, c);
-         }
+         expandProgress(c * h + y);
+         var rowRect = new Rect(0, y, w, y + 1);
+         img.getSamples(row, rowRect, c);
+         expandRow(row, w, scaling.globalFloor, scaling.finalScale);
+         result.setSamples(row, rowRect, c);
       }
    }
    
-   // Recalculate background after expansion to apply MTF shift
-   lumaSamples = [];
-   for (var i = 0; i < totalPixels; i += step) {
-      var y = Math.floor(i / w); var x = i % w;
-      if (isRGB) lumaSamples.push(weights[0]*result.sample(x,y,0) + weights[1]*result.sample(x,y,1) + weights[2]*result.sample(x,y,2));
-      else lumaSamples.push(result.sample(x,y,0));
+   var m = null;
+   if (frozen) {
+      m = frozen.mtfM;
+   } else {
+      // Recalculate background after expansion to apply MTF shift
+      m = computeBackgroundMTF(VeraLuxStats.median(VeraLuxStats.sampleLuminance(result, weights, step)), targetBg);
    }
+   if (stats) { stats.globalFloor = scaling.globalFloor; stats.finalScale = scaling.finalScale; stats.mtfM = m; }
    
-   var currentBg = VeraLuxCore.percentile(lumaSamples, 50);
-   if (currentBg > 0 && currentBg < 1 && Math.abs(currentBg - targetBg) > 0.001) {
-      var m = (currentBg * (targetBg - 1.0)) / (currentBg * (2.0 * targetBg - 1.0) - targetBg);
+   if (m !== null && m !== undefined) {
+      var mtfProgress = createRowProgress(subProgress(progressCallback, 0.6, 1.0), nc * h);
       for (var c = 0; c < nc; c++) {
          for (var y = 0; y < h; y++) {
-            for (var x = 0; x < w; x++) {
-               result.setSample(VeraLuxCore.applyMTF(result.sample(x, y, c), m), x, y, c);
-            }
+            mtfProgress(c * h + y);
+            var rowRect = new Rect(0, y, w, y + 1);
+            result.getSamples(row, rowRect, c);
+            mtfRow(row, w, m);
+            result.setSamples(row, rowRect, c);
          }
       }
    }
    return result;
 }
 
-function applySoftClip(img, threshold, rolloff) {
+function applySoftClip(img, threshold, rolloff, progressCallback) {
    var w = img.width; var h = img.height; var nc = img.numberOfChannels;
    var result = new Image(w, h, nc, nc === 3 ? ColorSpace_RGB : ColorSpace_Gray, 32, SampleType_Real);
+   var row = new Float32Array(w);
+   var rowProgress = createRowProgress(progressCallback, nc * h);
    for (var c = 0; c < nc; c++) {
       for (var y = 0; y < h; y++) {
-         for (var x = 0; x < w; x++) {
-            var val = img.sample(x, y, c);
-            if (val > threshold) {
-               var t = (val - threshold) / (1.0 - threshold);
-               val = threshold + (1.0 - threshold) * (1.0 - Math.pow(1.0 - Math.max(0,Math.min(1,t)), rolloff));
-            }
-            result.setSample(Math.max(0, Math.min(1, val)), x, y, c);
-         }
+         rowProgress(c * h + y);
+         var rowRect = new Rect(0, y, w, y + 1);
+         img.getSamples(row, rowRect, c);
+         softClipRow(row, w, threshold, rolloff);
+         result.setSamples(row, rowRect, c);
       }
    }
    return result;
@@ -470,12 +1106,16 @@ function composeStarImages(starmaskResult, starlessBase, useScreen) {
     var w = starlessBase.width; 
     var h = starlessBase.height;
     var result = new Image(starlessBase);
+    var sRow = new Float32Array(w); var bRow = new Float32Array(w);
     
     for(var c=0; c < result.numberOfChannels; c++) {
         for(var y=0; y < h; y++) {
+            var rowRect = new Rect(0, y, w, y + 1);
+            starmaskResult.getSamples(sRow, rowRect, c);
+            starlessBase.getSamples(bRow, rowRect, c);
             for(var x=0; x < w; x++) {
-                var s = starmaskResult.sample(x, y, c);
-                var b = starlessBase.sample(x, y, c);
+                var s = sRow[x];
+                var b = bRow[x];
                 var val;
                 
                 if (useScreen) {
@@ -483,124 +1123,226 @@ function composeStarImages(starmaskResult, starlessBase, useScreen) {
                 } else {
                     val = b + s;
                 }
-                result.setSample(Math.max(0, Math.min(1, val)), x, y, c);
+                bRow[x] = Math.max(0, Math.min(1, val));
             }
+            result.setSamples(bRow, rowRect, c);
         }
     }
     return result;
 }
 
+// Active mask of a view as an image matching the view's size, or null if the
+// window has no enabled mask. For previews the mask is cropped to the preview.
+function getViewMask(view) {
+   var window = view.window;
+   if (!window || window.isNull || !window.maskEnabled) return null;
+   var maskWindow = window.mask;
+   if (!maskWindow || maskWindow.isNull) return null;
+   
+   var maskImg = maskWindow.mainView.image;
+   var rect = view.isPreview ? window.previewRect(view) : new Rect(0, 0, maskImg.width, maskImg.height);
+   if (rect.width !== view.image.width || rect.height !== view.image.height)
+      throw new Error("Mask geometry does not match the target view.");
+   
+   var mask = new Image(rect.width, rect.height, maskImg.numberOfChannels, maskImg.isColor ? ColorSpace_RGB : ColorSpace_Gray, 32, SampleType_Real);
+   var row = new Float32Array(rect.width);
+   for (var c = 0; c < maskImg.numberOfChannels; c++) {
+      for (var y = 0; y < rect.height; y++) {
+         maskImg.getSamples(row, new Rect(rect.x0, rect.y0 + y, rect.x1, rect.y0 + y + 1), c);
+         if (window.maskInverted) for (var x = 0; x < rect.width; x++) row[x] = 1.0 - row[x];
+         mask.setSamples(row, new Rect(0, y, rect.width, y + 1), c);
+      }
+   }
+   return mask;
+}
+
+// Mask-weighted blend: result = original*(1-m) + processed*m
+// Gray masks apply to all channels; color masks per channel.
+function applyMaskBlend(original, processed, mask) {
+   var w = processed.width; var h = processed.height; var nc = processed.numberOfChannels;
+   if (original.width != w || original.height != h || mask.width != w || mask.height != h)
+      throw new Error("Dimension mismatch: Mask and image must be the same size.");
+   
+   var result = new Image(processed);
+   var oRow = new Float32Array(w); var pRow = new Float32Array(w); var mRow = new Float32Array(w);
+   for (var c = 0; c < nc; c++) {
+      var oc = Math.min(c, original.numberOfChannels - 1);
+      var mc = Math.min(c, mask.numberOfChannels - 1);
+      for (var y = 0; y < h; y++) {
+         var r = new Rect(0, y, w, y + 1);
+         original.getSamples(oRow, r, oc);
+         processed.getSamples(pRow, r, c);
+         mask.getSamples(mRow, r, mc);
+         for (var x = 0; x < w; x++) pRow[x] = oRow[x] * (1.0 - mRow[x]) + pRow[x] * mRow[x];
+         result.setSamples(pRow, r, c);
+      }
+   }
+   return result;
+}
+
 // =============================================================================
 //  MAIN PROCESSING LOGIC
 // =============================================================================
 
-function processVeraLux(img, params, progressCallback) {
-   if (progressCallback) progressCallback("Analyzing...");
-   var w = img.width; var h = img.height; var nc = img.numberOfChannels; var isRGB = (nc === 3);
+// GHS shape of params in the stretch input domain (anchor subtracted), or null
+// for the plain curve. params.symmetryPoint, shadowProtection and
+// highlightProtection are levels of the linear image.
+function resolveGHSShape(params, anchor) {
+   var SP = params.symmetryPoint || 0;
+   var LP = params.shadowProtection || 0;
+   var HP = (params.highlightProtection !== undefined) ? params.highlightProtection : 1;
+   if (SP <= 0 && LP <= 0 && HP >= 1) return null;
+   return { SP: Math.max(0, SP - anchor), LP: Math.max(0, LP - anchor), HP: (HP >= 1) ? 1 : Math.max(0, HP - anchor) };
+}
+
+// Anchor and stretch strength for a run: the reference values of a linked
+// stretch, otherwise the adaptive or statistical anchor of img.
+function resolveStretchSetup(img, params, progressCallback) {
+   var setup = { anchor: 0.0, logD: params.logD, protectB: params.protectB, linked: params.linked || null };
+   var linked = setup.linked;
+   if (linked) {
+      if (linked.logD !== undefined) setup.logD = linked.logD;
+      if (linked.protectB !== undefined) setup.protectB = linked.protectB;
+   }
+   
+   if (linked) {
+       if (progressCallback) progressCallback("Linked Stretch: Using reference anchor...");
+       setup.anchor = linked.anchor;
+   } else if (params.adaptive) {
+       if (progressCallback) progressCallback("Calculating Adaptive Anchor...");
+       setup.anchor = VeraLuxCore.calculateAnchorAdaptive(img, params.weights, subProgress(progressCallback, 0, 0.05));
+   } else {
+       if (progressCallback) progressCallback("Calculating Statistical Anchor...");
+       setup.anchor = VeraLuxCore.calculateAnchorStats(img, img.numberOfChannels === 3, subProgress(progressCallback, 0, 0.05));
+   }
+   setup.shape = resolveGHSShape(params, setup.anchor);
+   setup.pedestal = (params.addPedestal === false) ? 0 :
+                    (linked && typeof linked.pedestal === "number") ? linked.pedestal : STRETCH_PEDESTAL;
+   return setup;
+}
+
+// Per-pixel HyperMetric stretch over row buffers. The returned function reads
+// inRows (R,G,B or the single mono row) and writes outRows, n pixels each.
+function createStretchKernel(isRGB, setup, params) {
    var weights = params.weights;
-   var logD = params.logD; var protectB = params.protectB;
+   var anchor = setup.anchor; var protectB = setup.protectB;
    var convergence = params.convergence;
    var colorGrip = params.colorGrip !== undefined ? params.colorGrip : 1.0;
    var shadowConvergence = params.shadowConvergence !== undefined ? params.shadowConvergence : 0.0;
    var addPedestal = params.addPedestal !== false; // Default true
+   var epsilon = 1e-9;
+   var stretch = VeraLuxCore.createHyperbolicStretch(Math.pow(10, setup.logD), protectB, setup.shape);
+   var pedestal = setup.pedestal;
+   var hybrid = (colorGrip < 1.0) || (shadowConvergence > 0.01);
    
-   var anchor = 0.0;
-   if (params.adaptive) {
-       if (progressCallback) progressCallback("Calculating Adaptive Anchor...");
-       anchor = VeraLuxCore.calculateAnchorAdaptive(img, weights);
-   } else {
-       if (progressCallback) progressCallback("Calculating Statistical Anchor...");
-       anchor = VeraLuxCore.calculateAnchorStats(img, isRGB);
+   if (!isRGB) {
+      return function(inRows, outRows, n) {
+         // Mono
+         var mIn = inRows[0]; var mOut = outRows[0];
+         for (var x = 0; x < n; x++) {
+            var val = Math.max(0, mIn[x] - anchor);
+            var str = stretch(val);
+            
+            if (addPedestal) str = str * (1.0 - pedestal) + pedestal;
+            
+            mOut[x] = Math.max(0, Math.min(1, str));
+         }
+      };
    }
    
-   var result = new Image(w, h, nc, isRGB ? ColorSpace_RGB : ColorSpace_Gray, 32, SampleType_Real);
-   
-   if (progressCallback) progressCallback("Stretching...");
-   var epsilon = 1e-9; var lastPct = 0;
-   var D_val = Math.pow(10, logD);
-   var pedestal = 0.005;
+   return function(inRows, outRows, n) {
+      var rIn = inRows[0]; var gIn = inRows[1]; var bIn = inRows[2];
+      var rOut = outRows[0]; var gOut = outRows[1]; var bOut = outRows[2];
+      for (var x = 0; x < n; x++) {
+         var r = Math.max(0, rIn[x] - anchor);
+         var g = Math.max(0, gIn[x] - anchor);
+         var b = Math.max(0, bIn[x] - anchor);
+         var L = weights[0] * r + weights[1] * g + weights[2] * b;
+         var Lsafe = L + epsilon;
+         var Lstr = stretch(L);
+         Lstr = Math.max(0, Math.min(1, Lstr));
+         var k = Math.pow(Lstr, convergence);
+         
+         // Vector Logic
+         var rFinal = Lstr * ((r / Lsafe) * (1.0 - k) + k);
+         var gFinal = Lstr * ((g / Lsafe) * (1.0 - k) + k);
+         var bFinal = Lstr * ((b / Lsafe) * (1.0 - k) + k);
 
-   for (var y = 0; y < h; y++) {
-      var pct = Math.round((y / h) * 100);
-      if (progressCallback && pct !== lastPct) {
-         if(pct % 5 === 0) progressCallback("Stretching: " + pct + "%");
-         lastPct = pct;
-         processEvents();
-      }
-      for (var x = 0; x < w; x++) {
-         if (isRGB) {
-            var r = Math.max(0, img.sample(x, y, 0) - anchor);
-            var g = Math.max(0, img.sample(x, y, 1) - anchor);
-            var b = Math.max(0, img.sample(x, y, 2) - anchor);
-            var L = weights[0] * r + weights[1] * g + weights[2] * b;
-            var Lsafe = L + epsilon;
-            var Lstr = VeraLuxCore.hyperbolicStretch(L, D_val, protectB, 0);
-            Lstr = Math.max(0, Math.min(1, Lstr));
-            var k = Math.pow(Lstr, convergence);
+         // Hybrid Logic
+         if (hybrid) {
+            var rScal = Math.max(0, Math.min(1, stretch(r)));
+            var gScal = Math.max(0, Math.min(1, stretch(g)));
+            var bScal = Math.max(0, Math.min(1, stretch(b)));
             
-            // Vector Logic
-            var rFinal = Lstr * ((r / Lsafe) * (1.0 - k) + k);
-            var gFinal = Lstr * ((g / Lsafe) * (1.0 - k) + k);
-            var bFinal = Lstr * ((b / Lsafe) * (1.0 - k) + k);
-
-            // Hybrid Logic
-            if ((colorGrip < 1.0) || (shadowConvergence > 0.01)) {
-               var rScal = Math.max(0, Math.min(1, VeraLuxCore.hyperbolicStretch(r, D_val, protectB, 0)));
-               var gScal = Math.max(0, Math.min(1, VeraLuxCore.hyperbolicStretch(g, D_val, protectB, 0)));
-               var bScal = Math.max(0, Math.min(1, VeraLuxCore.hyperbolicStretch(b, D_val, protectB, 0)));
-               
-               var currentGrip = colorGrip;
-               if (shadowConvergence > 0.01) currentGrip = currentGrip * Math.pow(Lstr, shadowConvergence);
-               var oneMinusGrip = 1.0 - currentGrip;
-               
-               rFinal = rFinal * currentGrip + rScal * oneMinusGrip;
-               gFinal = gFinal * currentGrip + gScal * oneMinusGrip;
-               bFinal = bFinal * currentGrip + bScal * oneMinusGrip;
-            }
+            var currentGrip = colorGrip;
+            if (shadowConvergence > 0.01) currentGrip = currentGrip * Math.pow(Lstr, shadowConvergence);
+            var oneMinusGrip = 1.0 - currentGrip;
             
-            if (addPedestal) {
-               result.setSample(Math.max(0, Math.min(1, rFinal * (1.0 - pedestal) + pedestal)), x, y, 0);
-               result.setSample(Math.max(0, Math.min(1, gFinal * (1.0 - pedestal) + pedestal)), x, y, 1);
-               result.setSample(Math.max(0, Math.min(1, bFinal * (1.0 - pedestal) + pedestal)), x, y, 2);
-            } else {
-               result.setSample(Math.max(0, Math.min(1, rFinal)), x, y, 0);
-               result.setSample(Math.max(0, Math.min(1, gFinal)), x, y, 1);
-               result.setSample(Math.max(0, Math.min(1, bFinal)), x, y, 2);
-            }
+            rFinal = rFinal * currentGrip + rScal * oneMinusGrip;
+            gFinal = gFinal * currentGrip + gScal * oneMinusGrip;
+            bFinal = bFinal * currentGrip + bScal * oneMinusGrip;
+         }
+         
+         if (addPedestal) {
+            rOut[x] = Math.max(0, Math.min(1, rFinal * (1.0 - pedestal) + pedestal));
+            gOut[x] = Math.max(0, Math.min(1, gFinal * (1.0 - pedestal) + pedestal));
+            bOut[x] = Math.max(0, Math.min(1, bFinal * (1.0 - pedestal) + pedestal));
          } else {
-            // Mono
-            var val = Math.max(0, img.sample(x, y, 0) - anchor);
-            var str = VeraLuxCore.hyperbolicStretch(val, D_val, protectB, 0);
-            
-            if (addPedestal) str = str * (1.0 - pedestal) + pedestal;
-            
-            result.setSample(Math.max(0, Math.min(1, str)), x, y, 0);
+            rOut[x] = Math.max(0, Math.min(1, rFinal));
+            gOut[x] = Math.max(0, Math.min(1, gFinal));
+            bOut[x] = Math.max(0, Math.min(1, bFinal));
          }
       }
-   }
-   
-   if (params.processingMode === "ready_to_use") {
-      if (progressCallback) progressCallback("Adaptive Scaling...");
-      result = applyAdaptiveScaling(result, weights, params.targetBg);
-      if (progressCallback) progressCallback("Soft-clip Polish...");
-      result = applySoftClip(result, 0.98, 2.0);
-   }
-   if (progressCallback) progressCallback("Complete!");
-   return result;
+   };
 }
 
-function processStarPipeline(img, params, progressCallback) {
-    if (progressCallback) progressCallback("Star Pipeline: Init...");
-    var weights = params.weights;
-    // 1. Anchor (Must check anchor before stretch for stars)
-    var anchor = 0.0;
-    if (params.adaptive) {
-        anchor = VeraLuxCore.calculateAnchorAdaptive(img, weights);
-    }
-    
-    // Create a temporary params object that bypasses modes we don't want
-    var stretchParams = {
-        weights: weights, 
+// The optional stats object receives the statistics-derived values used by the run.
+// params.tiled routes to processVeraLuxTiled() (bounded memory, same result).
+function processVeraLux(img, params, progressCallback, stats) {
+   if (params.tiled) return processVeraLuxTiled(img, params, progressCallback, stats);
+   if (progressCallback) progressCallback("Analyzing...", 0);
+   var w = img.width; var h = img.height; var nc = img.numberOfChannels; var isRGB = (nc === 3);
+   var ready = (params.processingMode === "ready_to_use");
+   var stretchEnd = ready ? 0.6 : 1.0; // Progress: anchor 0-0.1, stretch, scaling 0.6-0.85, soft clip
+   
+   var setup = resolveStretchSetup(img, params, progressCallback);
+   if (stats) { stats.anchor = setup.anchor; stats.logD = setup.logD; stats.protectB = setup.protectB; stats.pedestal = setup.pedestal; }
+   
+   var result = new Image(w, h, nc, isRGB ? ColorSpace_RGB : ColorSpace_Gray, 32, SampleType_Real);
+   
+   if (progressCallback) progressCallback("Stretching...", 0.1);
+   var rowProgress = createRowProgress(subProgress(progressCallback, 0.1, stretchEnd), h, "Stretching");
+   var stretchRows = createStretchKernel(isRGB, setup, params);
+
+   // Row buffers (bulk pixel I/O)
+   var nIn = isRGB ? 3 : 1;
+   var inRows = []; var outRows = [];
+   for (var c = 0; c < nIn; c++) { inRows.push(new Float32Array(w)); outRows.push(new Float32Array(w)); }
+
+   for (var y = 0; y < h; y++) {
+      rowProgress(y);
+      var rowRect = new Rect(0, y, w, y + 1);
+      for (var c = 0; c < nIn; c++) img.getSamples(inRows[c], rowRect, c);
+      stretchRows(inRows, outRows, w);
+      for (var c = 0; c < nIn; c++) result.setSamples(outRows[c], rowRect, c);
+   }
+   
+   if (ready) {
+      if (progressCallback) progressCallback("Adaptive Scaling...", 0.6);
+      var linked = setup.linked;
+      var frozenScaling = (linked && typeof linked.finalScale === "number") ? linked : null;
+      result = applyAdaptiveScaling(result, params.weights, params.targetBg, stats, frozenScaling, subProgress(progressCallback, 0.6, 0.85));
+      if (progressCallback) progressCallback("Soft-clip Polish...", 0.85);
+      result = applySoftClip(result, 0.98, 2.0, subProgress(progressCallback, 0.85, 1.0));
+   }
+   if (progressCallback) progressCallback("Complete!", 1.0);
+   return result;
+}
+
+// Stretch parameters of the star pipeline: scientific mode, no pedestal
+function starStretchParams(params) {
+    return {
+        weights: params.weights, 
         logD: params.logD, 
         protectB: params.protectB,
         convergence: params.convergence, 
@@ -611,193 +1353,3325 @@ function processStarPipeline(img, params, progressCallback) {
         adaptive: false, // Handled manually
         addPedestal: false // CRITICAL: Do not add background pedestal for star mask
     };
-    
-    // Pre-subtract anchor
-    var workingImg = new Image(img);
-    workingImg.apply(anchor, ImageOp_Sub);
-    workingImg.truncate(0, 1);
-    
-    // Use the core stretcher
-    var result = processVeraLux(workingImg, stretchParams, progressCallback);
-    
-    // Surgery
+}
+
+// Surgery and soft clip of a stretched starmask.
+// Progress: LSR 0-0.3, healing 0.3-0.6, reduction 0.6-0.75, soft clip 0.75-1.
+function finishStarPipeline(result, params, progressCallback, lsrSize) {
     if (params.lsr > 0) {
-        if (progressCallback) progressCallback("Surgery: LSR...");
-        result = applyLSR(result, params.lsr);
+        if (progressCallback) progressCallback("Surgery: LSR...", 0);
+        result = applyLSR(result, params.lsr, lsrSize, subProgress(progressCallback, 0, 0.3));
     }
     if (params.healing > 0) {
-        if (progressCallback) progressCallback("Surgery: Optical Healing...");
-        result = applyOpticalHealing(result, params.healing);
+        if (progressCallback) progressCallback("Surgery: Optical Healing...", 0.3);
+        result = applyOpticalHealing(result, params.healing, subProgress(progressCallback, 0.3, 0.6));
     }
     if (params.reduction > 0) {
-        if (progressCallback) progressCallback("Surgery: Reduction...");
-        result = applyStarReduction(result, params.reduction);
+        if (progressCallback) progressCallback("Surgery: Reduction...", 0.6);
+        result = applyStarReduction(result, params.reduction, subProgress(progressCallback, 0.6, 0.75));
     }
     
     // Soft Clip
-    if (progressCallback) progressCallback("Polishing...");
-    result = applySoftClip(result, 0.98, 2.0);
-    
+    if (progressCallback) progressCallback("Polishing...", 0.75);
+    result = applySoftClip(result, 0.98, 2.0, subProgress(progressCallback, 0.75, 1.0));
+    if (progressCallback) progressCallback(null, 1.0);
     return result;
 }
 
+// params.tiled routes to processStarPipelineTiled() (bounded memory, same result)
+function processStarPipeline(img, params, progressCallback) {
+    if (params.tiled) return processStarPipelineTiled(img, params, progressCallback);
+    if (progressCallback) progressCallback("Star Pipeline: Init...", 0);
+    var weights = params.weights;
+    // 1. Anchor (Must check anchor before stretch for stars)
+    var anchor = 0.0;
+    if (params.adaptive) {
+        anchor = VeraLuxCore.calculateAnchorAdaptive(img, weights, subProgress(progressCallback, 0, 0.05));
+    }
+    
+    // Pre-subtract anchor
+    var workingImg = new Image(img);
+    workingImg.apply(anchor, ImageOp_Sub);
+    workingImg.truncate(0, 1);
+    
+    // Use the core stretcher
+    var result = processVeraLux(workingImg, starStretchParams(params), subProgress(progressCallback, 0.05, 0.5));
+    
+    return finishStarPipeline(result, params, subProgress(progressCallback, 0.5, 1.0));
+}
+
 // =============================================================================
-//  PREVIEW CONTROL (ScrollControl Widget)
+//  TILED PROCESSING (Large Images)
 // =============================================================================
+//
+// For images that do not fit several full-size 32-bit copies in memory. Global
+// statistics (anchor, floor, scale, MTF) are computed once on sparse samples of
+// the source, exactly as the full-image path measures them. Per-pixel work then
+// runs tile by tile into the output image; the star surgery (LSR, healing,
+// reduction) works on tiles grown by the combined kernel reach, of which only
+// the interior is kept. Results match the full-image path.
 
-function ScrollControl(parent) {
-   this.__base__ = ScrollBox;
-   this.__base__(parent);
+var DEFAULT_TILE_SIZE = 1024;
 
-   this.scrollPosition = new Point(0, 0);
-   this.zoomFactor = 1.0;
-   this.minZoomFactor = 0.1;
-   this.maxZoomFactor = 10.0;
-   this.autoScroll = true;
-   this.tracking = true;
-   this.displayImage = null;
-   this.dragging = false;
-   this.dragOrigin = new Point(0, 0);
+function tileRects(width, height, tileSize) {
+   tileSize = Math.max(64, Math.round(tileSize || DEFAULT_TILE_SIZE));
+   var rects = [];
+   for (var y = 0; y < height; y += tileSize)
+      for (var x = 0; x < width; x += tileSize)
+         rects.push(new Rect(x, y, Math.min(width, x + tileSize), Math.min(height, y + tileSize)));
+   return rects;
+}
 
-   this.getImage = function () {
-      return this.displayImage;
+function extractTile(img, rect) {
+   var nc = img.numberOfChannels;
+   var tile = new Image(rect.width, rect.height, nc, nc === 3 ? ColorSpace_RGB : ColorSpace_Gray, 32, SampleType_Real);
+   var buf = new Float32Array(rect.width * rect.height);
+   for (var c = 0; c < nc; c++) {
+      img.getSamples(buf, rect, c);
+      tile.setSamples(buf, new Rect(0, 0, rect.width, rect.height), c);
+   }
+   return tile;
+}
+
+// Copies the rect of tile to dst with its top-left corner at (x, y)
+function pasteTile(dst, tile, rect, x, y) {
+   var buf = new Float32Array(rect.width * rect.height);
+   for (var c = 0; c < dst.numberOfChannels; c++) {
+      tile.getSamples(buf, rect, c);
+      dst.setSamples(buf, new Rect(x, y, x + rect.width, y + rect.height), c);
+   }
+}
+
+function rowsLuminance(rows, weights, n, isRGB) {
+   var luma = new Float64Array(n);
+   for (var j = 0; j < n; j++)
+      luma[j] = isRGB ? (weights[0]*rows[0][j] + weights[1]*rows[1][j] + weights[2]*rows[2][j]) : rows[0][j];
+   return luma;
+}
+
+// Ready-to-Use scaling measured on the stretched values of the sample grid used
+// by applyAdaptiveScaling(), without stretching the whole image.
+function estimateAdaptiveScaling(img, stretchRows, weights, targetBg) {
+   var w = img.width; var totalPixels = w * img.height;
+   var isRGB = (img.numberOfChannels === 3); var nIn = isRGB ? 3 : 1;
+   var step = Math.max(1, Math.floor(totalPixels / 500000));
+   var n = Math.ceil(totalPixels / step);
+   
+   var inRows = []; var outRows = [];
+   for (var c = 0; c < nIn; c++) { inRows.push(new Float32Array(n)); outRows.push(new Float32Array(n)); }
+   for (var i = 0, j = 0; i < totalPixels; i += step, j++) {
+      var y = Math.floor(i / w); var x = i % w;
+      for (var c = 0; c < nIn; c++) inRows[c][j] = img.sample(x, y, c);
+   }
+   stretchRows(inRows, outRows, n);
+   
+   var scaling = computeAdaptiveScaling(rowsLuminance(outRows, weights, n, isRGB));
+   for (var c = 0; c < nIn; c++) expandRow(outRows[c], n, scaling.globalFloor, scaling.finalScale);
+   scaling.mtfM = computeBackgroundMTF(VeraLuxStats.median(rowsLuminance(outRows, weights, n, isRGB)), targetBg);
+   return scaling;
+}
+
+function processVeraLuxTiled(img, params, progressCallback, stats) {
+   if (progressCallback) progressCallback("Analyzing...", 0);
+   var w = img.width; var h = img.height; var nc = img.numberOfChannels; var isRGB = (nc === 3);
+   var nIn = isRGB ? 3 : 1;
+   
+   var setup = resolveStretchSetup(img, params, progressCallback);
+   if (stats) { stats.anchor = setup.anchor; stats.logD = setup.logD; stats.protectB = setup.protectB; stats.pedestal = setup.pedestal; }
+   var stretchRows = createStretchKernel(isRGB, setup, params);
+   
+   var ready = (params.processingMode === "ready_to_use");
+   var scaling = null;
+   if (ready) {
+      var linked = setup.linked;
+      if (linked && typeof linked.finalScale === "number") {
+         scaling = { globalFloor: linked.globalFloor, finalScale: linked.finalScale, mtfM: linked.mtfM };
+      } else {
+         if (progressCallback) progressCallback("Adaptive Scaling: Sampling...", 0.05);
+         scaling = estimateAdaptiveScaling(img, stretchRows, params.weights, params.targetBg);
+      }
+      if (stats) { stats.globalFloor = scaling.globalFloor; stats.finalScale = scaling.finalScale; stats.mtfM = scaling.mtfM; }
+   }
+   var mtfM = (scaling && scaling.mtfM !== null && scaling.mtfM !== undefined) ? scaling.mtfM : null;
+   
+   var result = new Image(w, h, nc, isRGB ? ColorSpace_RGB : ColorSpace_Gray, 32, SampleType_Real);
+   var tiles = tileRects(w, h, params.tileSize);
+   var inRows = []; var outRows = []; var bufWidth = 0;
+   
+   for (var t = 0; t < tiles.length; t++) {
+      var r = tiles[t]; var tw = r.width;
+      if (progressCallback) progressCallback(tileMessage(t, tiles.length), 0.1 + 0.9 * t / tiles.length);
+      processEvents();
+      if (tw !== bufWidth) {
+         inRows = []; outRows = []; bufWidth = tw;
+         for (var c = 0; c < nIn; c++) inRows.push(new Float32Array(tw));
+         for (var c = 0; c < nc; c++) outRows.push(new Float32Array(tw));
+      }
+      
+      for (var y = r.y0; y < r.y1; y++) {
+         var rowRect = new Rect(r.x0, y, r.x1, y + 1);
+         for (var c = 0; c < nIn; c++) img.getSamples(inRows[c], rowRect, c);
+         stretchRows(inRows, outRows, tw);
+         if (!ready) {
+            for (var c = 0; c < nIn; c++) result.setSamples(outRows[c], rowRect, c);
+            continue;
+         }
+         // Extra (non-RGB) channels stay black through the stretch, as in processVeraLux()
+         for (var c = 0; c < nc; c++) {
+            var row = outRows[c];
+            if (c >= nIn) for (var x = 0; x < tw; x++) row[x] = 0;
+            expandRow(row, tw, scaling.globalFloor, scaling.finalScale);
+            if (mtfM !== null) mtfRow(row, tw, mtfM);
+            softClipRow(row, tw, 0.98, 2.0);
+            result.setSamples(row, rowRect, c);
+         }
+      }
+   }
+   if (progressCallback) progressCallback("Complete!", 1.0);
+   return result;
+}
+
+function processStarPipelineTiled(img, params, progressCallback) {
+   if (progressCallback) progressCallback("Star Pipeline: Init...", 0);
+   var w = img.width; var h = img.height; var nc = img.numberOfChannels;
+   var anchor = params.adaptive ? VeraLuxCore.calculateAnchorAdaptive(img, params.weights, subProgress(progressCallback, 0, 0.03)) : 0.0;
+   
+   // The full-image path lets processVeraLux() take the statistical anchor of
+   // the anchor-subtracted starmask; measure it once on the whole image.
+   var f32 = new Float32Array(1);
+   var shifted = {
+      width: w, height: h,
+      sample: function(x, y, c) { f32[0] = Math.max(0, Math.min(1, img.sample(x, y, c) - anchor)); return f32[0]; }
    };
+   var stretchParams = starStretchParams(params);
+   stretchParams.linked = { anchor: VeraLuxCore.calculateAnchorStats(shifted, nc === 3, subProgress(progressCallback, 0.03, 0.05)) };
+   
+   var lsrSize = lsrKernelSize(w, h);
+   var margin = 0;
+   if (params.lsr > 0) margin += (lsrSize - 1) / 2;
+   if (params.healing > 0) margin += (healingKernelSize(params.healing) - 1) / 2;
+   if (params.reduction > 0) margin += 2; // Erosion element up to 5x5
+   
+   var result = new Image(w, h, nc, nc === 3 ? ColorSpace_RGB : ColorSpace_Gray, 32, SampleType_Real);
+   var tiles = tileRects(w, h, params.tileSize);
+   for (var t = 0; t < tiles.length; t++) {
+      var inner = tiles[t];
+      var from = 0.05 + 0.95 * t / tiles.length; var to = 0.05 + 0.95 * (t + 1) / tiles.length;
+      if (progressCallback) progressCallback(tileMessage(t, tiles.length), from);
+      processEvents();
+      var outer = new Rect(Math.max(0, inner.x0 - margin), Math.max(0, inner.y0 - margin),
+                           Math.min(w, inner.x1 + margin), Math.min(h, inner.y1 + margin));
+      var tile = extractTile(img, outer);
+      tile.apply(anchor, ImageOp_Sub);
+      tile.truncate(0, 1);
+      tile = processVeraLux(tile, stretchParams, quietProgress(progressCallback, from, (from + to) / 2));
+      tile = finishStarPipeline(tile, params, quietProgress(progressCallback, (from + to) / 2, to), lsrSize);
+      pasteTile(result, tile, new Rect(inner.x0 - outer.x0, inner.y0 - outer.y0, inner.x1 - outer.x0, inner.y1 - outer.y0), inner.x0, inner.y0);
+   }
+   if (progressCallback) progressCallback(null, 1.0);
+   return result;
+}
 
-   this.doUpdateImage = function (image) {
-      if (image)
-         this.displayImage = image;
+// =============================================================================
+//  INVERSE STRETCH
+// =============================================================================
+//
+// Reconstructs the linear image from a VeraLux stretch given the parameters it
+// was made with. params is a processVeraLux() parameter object whose linked
+// member records the statistics of the run ({ anchor, globalFloor, finalScale,
+// mtfM }, as returned in processVeraLux()'s stats object). Each stage is undone
+// in reverse order: soft clip, MTF (inverse of MTF(m) is MTF(1 - m)), adaptive
+// expansion, pedestal, then the color stretch. The vector stretch inverts in
+// closed form because the weighted sum of its outputs is the stretched
+// luminance; the Color Grip / Shadow Convergence blend is solved per pixel.
+// Samples that were clipped (below the anchor, at 0 or 1) cannot be recovered.
 
-      this.scrollPosition = new Point(0, 0);
-      this.initScrollBars();
-      this.viewport.update();
+var INVERSE_MAX_ITERATIONS = 12;
+
+function invertSoftClipRow(row, n, threshold, rolloff) {
+   for (var x = 0; x < n; x++) {
+      var val = row[x];
+      if (val > threshold) {
+         var t = 1.0 - Math.pow(Math.max(0, 1.0 - (val - threshold) / (1.0 - threshold)), 1.0 / rolloff);
+         row[x] = threshold + (1.0 - threshold) * t;
+      }
+   }
+}
+
+function invertExpandRow(row, n, globalFloor, finalScale) {
+   for (var x = 0; x < n; x++) row[x] = (row[x] - ADAPTIVE_PEDESTAL) / finalScale + globalFloor;
+}
+
+// Inverse of the per-pixel kernel of createStretchKernel(): reads stretched rows
+// (pedestal already removed), writes anchor-relative linear rows.
+function createInverseStretchKernel(isRGB, setup, params) {
+   var model = VeraLuxCore.hyperbolicModel(Math.pow(10, setup.logD), setup.protectB, setup.shape);
+   var inverse = model.inverse; var forward = model.forward; var slope = model.slope;
+   var convergence = params.convergence;
+   var colorGrip = params.colorGrip !== undefined ? params.colorGrip : 1.0;
+   var shadowConvergence = params.shadowConvergence !== undefined ? params.shadowConvergence : 0.0;
+   var hybrid = (colorGrip < 1.0) || (shadowConvergence > 0.01);
+   var unclip = function(v) { return Math.max(0, Math.min(1, v)); };
+   
+   if (!isRGB) {
+      return function(inRows, outRows, n) {
+         var mIn = inRows[0]; var mOut = outRows[0];
+         for (var x = 0; x < n; x++) mOut[x] = Math.max(0, inverse(unclip(mIn[x])));
+      };
+   }
+   
+   var wSum = params.weights[0] + params.weights[1] + params.weights[2];
+   var weights = [params.weights[0] / wSum, params.weights[1] / wSum, params.weights[2] / wSum];
+   var s = [0, 0, 0]; var lin = [0, 0, 0];
+   
+   // Vector part: out_c = Lstr·((x_c / L)·(1 - k) + k), with sum_c w_c·out_c = Lstr
+   var invertVector = function(Lstr) {
+      var L = Math.max(0, inverse(Lstr));
+      var k = Math.pow(Lstr, convergence);
+      for (var c = 0; c < 3; c++)
+         lin[c] = (Lstr <= 0 || 1.0 - k < 1e-6) ? L : Math.max(0, L * (s[c] / Lstr - k) / (1.0 - k));
+   };
+   
+   // Hybrid part: channel values (Newton, from the current lin) for a given L
+   var solveChannels = function(L) {
+      var Lstr = unclip(forward(L));
+      var k = Math.pow(Lstr, convergence);
+      var G = colorGrip;
+      if (shadowConvergence > 0.01) G = G * Math.pow(Lstr, shadowConvergence);
+      var a = G * Lstr * k; var m = G * Lstr * (1.0 - k) / L;
+      for (var c = 0; c < 3; c++) {
+         var xc = lin[c];
+         for (var j = 0; j < 8; j++) {
+            var h = a + m * xc + (1.0 - G) * unclip(forward(xc)) - s[c];
+            var dh = m + (1.0 - G) * slope(xc);
+            if (dh <= 0) break;
+            var next = Math.max(0, xc - h / dh);
+            if (Math.abs(next - xc) < 1e-10) { xc = next; break; }
+            xc = next;
+         }
+         lin[c] = xc;
+      }
+      return weights[0] * lin[0] + weights[1] * lin[1] + weights[2] * lin[2];
+   };
+   
+   return function(inRows, outRows, n) {
+      for (var x = 0; x < n; x++) {
+         for (var c = 0; c < 3; c++) s[c] = unclip(inRows[c][x]);
+         invertVector(weights[0] * s[0] + weights[1] * s[1] + weights[2] * s[2]);
+         
+         if (hybrid) {
+            // out_c = G·vector_c + (1 - G)·S(x_c): secant search on L = sum_c w_c·x_c
+            var L0 = weights[0] * lin[0] + weights[1] * lin[1] + weights[2] * lin[2];
+            if (L0 > 0) {
+               var F0 = solveChannels(L0) - L0;
+               var L1 = L0 + F0;
+               for (var iter = 0; iter < INVERSE_MAX_ITERATIONS && Math.abs(F0) > 1e-9 && L1 > 0; iter++) {
+                  var F1 = solveChannels(L1) - L1;
+                  var dF = F1 - F0;
+                  var L2 = (Math.abs(dF) > 1e-15) ? L1 - F1 * (L1 - L0) / dF : L1 + F1;
+                  L0 = L1; F0 = F1;
+                  L1 = (L2 > 0) ? L2 : L1 + F1;
+               }
+            }
+         }
+         for (var c = 0; c < 3; c++) outRows[c][x] = lin[c];
+      }
    };
+}
 
-   this.initScrollBars = function () {
-      const image = this.getImage();
-      if (!image || image.width <= 0 || image.height <= 0) {
-         this.setHorizontalScrollRange(0, 0);
-         this.setVerticalScrollRange(0, 0);
-         this.scrollPosition = new Point(0, 0);
-      } else {
-         const zoomedWidth = image.width * this.zoomFactor;
-         const zoomedHeight = image.height * this.zoomFactor;
+// Returns the reconstructed linear image (32-bit float).
+function invertVeraLux(img, params, progressCallback) {
+   var linked = params.linked;
+   if (!linked || typeof linked.anchor !== "number") throw new Error("The inverse stretch needs the recorded anchor.");
+   var ready = (params.processingMode === "ready_to_use");
+   if (ready && !(linked.finalScale > 0)) throw new Error("The inverse of a Ready-to-Use stretch needs the recorded adaptive scaling (floor/scale).");
+   
+   var w = img.width; var h = img.height; var nc = img.numberOfChannels; var isRGB = (nc === 3);
+   var setup = resolveStretchSetup(img, params, null);
+   var kernel = createInverseStretchKernel(isRGB, setup, params);
+   var addPedestal = params.addPedestal !== false;
+   var pedestal = setup.pedestal;
+   var mInverse = (ready && linked.mtfM) ? 1.0 - linked.mtfM : null;
+   
+   var result = new Image(w, h, nc, isRGB ? ColorSpace_RGB : ColorSpace_Gray, 32, SampleType_Real);
+   var nIn = isRGB ? 3 : 1;
+   var inRows = []; var outRows = [];
+   for (var c = 0; c < nIn; c++) { inRows.push(new Float32Array(w)); outRows.push(new Float32Array(w)); }
+   var rowProgress = createRowProgress(progressCallback, h, "Inverting");
+   
+   for (var y = 0; y < h; y++) {
+      rowProgress(y);
+      var rowRect = new Rect(0, y, w, y + 1);
+      for (var c = 0; c < nIn; c++) {
+         var row = inRows[c];
+         img.getSamples(row, rowRect, c);
+         if (ready) {
+            invertSoftClipRow(row, w, 0.98, 2.0);
+            if (mInverse !== null) mtfRow(row, w, mInverse);
+            invertExpandRow(row, w, linked.globalFloor, linked.finalScale);
+         }
+         if (addPedestal) for (var x = 0; x < w; x++) row[x] = (row[x] - pedestal) / (1.0 - pedestal);
+      }
+      kernel(inRows, outRows, w);
+      for (var c = 0; c < nIn; c++) {
+         var out = outRows[c];
+         for (var x = 0; x < w; x++) out[x] = Math.min(1, out[x] + setup.anchor);
+         result.setSamples(out, rowRect, c);
+      }
+   }
+   if (progressCallback) progressCallback(null, 1.0);
+   return result;
+}
 
-         this.setHorizontalScrollRange(0, Math.max(0, zoomedWidth - this.viewport.width));
-         this.setVerticalScrollRange(0, Math.max(0, zoomedHeight - this.viewport.height));
+// Re-stretches linear with params and compares against stretched.
+// Returns { maxError, rmsError, clippedPct } over all samples; clippedPct is the
+// share of stretched samples at 0 or 1, whose linear values are not recoverable.
+function inverseRoundTripError(stretched, linear, params, progressCallback) {
+   var restretched = processVeraLux(linear, params, progressCallback);
+   var w = stretched.width; var h = stretched.height;
+   var a = new Float32Array(w); var b = new Float32Array(w);
+   var maxError = 0; var sumSq = 0; var clipped = 0;
+   for (var c = 0; c < stretched.numberOfChannels; c++) {
+      for (var y = 0; y < h; y++) {
+         var rowRect = new Rect(0, y, w, y + 1);
+         stretched.getSamples(a, rowRect, c);
+         restretched.getSamples(b, rowRect, c);
+         for (var x = 0; x < w; x++) {
+            var d = Math.abs(a[x] - b[x]);
+            if (d > maxError) maxError = d;
+            sumSq += d * d;
+            if (a[x] <= 0 || a[x] >= 1) clipped++;
+         }
+      }
+   }
+   var total = w * h * stretched.numberOfChannels;
+   return { maxError: maxError, rmsError: Math.sqrt(sumSq / total), clippedPct: (clipped / total) * 100 };
+}
 
-         this.scrollPosition = new Point(
-            Math.min(this.scrollPosition.x, zoomedWidth - this.viewport.width),
-            Math.min(this.scrollPosition.y, zoomedHeight - this.viewport.height)
-         );
+// =============================================================================
+//  SOLVERS (Auto-Calc & Clipping Audit)
+// =============================================================================
+
+function calculateAnchor(img, params) {
+   return params.adaptive ? VeraLuxCore.calculateAnchorAdaptive(img, params.weights)
+                          : VeraLuxCore.calculateAnchorStats(img, img.numberOfChannels === 3);
+}
+
+// Pixel step of solverSamples() (~100000 pixels)
+function solverSampleStep(img) {
+   return Math.max(1, Math.floor((img.width*img.height)/100000));
+}
+
+// Luminance samples above the anchor (anchor subtracted, ~100000 pixels)
+function solverSamples(img, params, anchor) {
+   var weights = params.weights;
+   var samples = [];
+   var step = solverSampleStep(img);
+   for(var i=0; i<img.width*img.height; i+=step) {
+      var x = i%img.width; var y = Math.floor(i/img.width);
+      var val = (img.numberOfChannels===3) ? (weights[0]*img.sample(x,y,0) + weights[1]*img.sample(x,y,1) + weights[2]*img.sample(x,y,2)) : img.sample(x,y,0);
+      val = Math.max(0, val - anchor);
+      if(val > 1e-7) samples.push(val);
+   }
+   return samples;
+}
+
+// Log D placing the background (medianIn) at targetBg for protection b. In
+// Ready-to-Use mode the target is lowered in 0.015 steps until the 2.7 sigma
+// floor no longer clips blacks. Returns { logD, targetBg }.
+function solveBackgroundLogD(samples, medianIn, targetBg, bVal, shape, ready) {
+   var targetTemp = targetBg;
+   var bestLogD = 2.0;
+   var strSamples = new Float64Array(samples.length);
+
+   for(var iter=0; iter<15; iter++) {
+       bestLogD = VeraLuxCore.solveLogD(medianIn, targetTemp, bVal, shape);
+       if(!ready) break; // Scientific mode no auto-fix
+       
+       var stretch = VeraLuxCore.createHyperbolicStretch(Math.pow(10, bestLogD), bVal, shape);
+       for(var k=0; k<samples.length; k++) strSamples[k] = stretch(samples[k]);
+       var st = VeraLuxStats.compute(strSamples);
+       var minV = Math.min(1.0, st.min);
+       
+       var globalFloor = Math.max(minV, st.median - (2.7 * st.sigma)); // 2.7 sigma rule
+       if (globalFloor <= 0.001) break; // Safe
+       
+       targetTemp -= 0.015; if(targetTemp < 0.05) break;
+   }
+   return { logD: bestLogD, targetBg: targetTemp };
+}
+
+// Smart Iterative Solver ("Floating Sky Check"): finds the Log D placing the
+// background at params.targetBg without clipping blacks in Ready-to-Use mode.
+// Returns { anchor, logD, targetBg } or null if the image has no signal.
+function smartSolveLogD(img, params) {
+   var anchor = calculateAnchor(img, params);
+   var samples = solverSamples(img, params, anchor);
+   if(samples.length===0) return null;
+   
+   var medianIn = VeraLuxStats.median(samples);
+   var shape = resolveGHSShape(params, anchor);
+   var solution = solveBackgroundLogD(samples, medianIn, params.targetBg, params.protectB, shape, params.processingMode === "ready_to_use");
+   return { anchor: anchor, logD: solution.logD, targetBg: solution.targetBg, medianIn: medianIn };
+}
+
+// -----------------------------------------------------------------------------
+//  Multi-constraint Auto-Calc (joint Log D + b)
+// -----------------------------------------------------------------------------
+// The stretch is simulated on sorted luminance samples: every stage (curve,
+// pedestal, adaptive scaling, MTF, soft clip) is monotonic, so the output stays
+// sorted and its percentiles are direct lookups. Scientific mode has no
+// image-dependent stage, so only the few samples around the wanted ranks are
+// stretched.
+
+var SOLVER_B_CANDIDATES = [0.1, 0.5, 1.0, 2.0, 3.0, 4.5, 6.0, 9.0, 15.0];
+var SOLVER_LOGD_TOLERANCE = 0.02;
+var SOLVER_SATURATION_LEVEL = 0.999; // Output luminance counted as a saturated core
+var SOLVER_MAX_EVAL_SAMPLES = 20000;       // Constraint checks (highlight percentiles)
+var SOLVER_MAX_BACKGROUND_SAMPLES = 5000;  // Background Log D per candidate b
+var SOLVER_EXCESS_STEPS = 8;               // Log D scan when no Log D is feasible
+
+var DEFAULT_SOLVER_CONSTRAINTS = { highlightPercentile: 99.9, highlightCeiling: 0.95, maxSaturatedPct: 0.05 };
+
+// Percentile p (0-100) of an ascending array, interpolated as VeraLuxStats does
+function sortedPercentile(sorted, p) {
+   var n = sorted.length;
+   if (n === 0) return 0;
+   var idx = (p / 100.0) * (n - 1);
+   var lower = Math.floor(idx); var upper = Math.min(n - 1, Math.ceil(idx));
+   return sorted[lower] + (sorted[upper] - sorted[lower]) * (idx - lower);
+}
+
+// Stretch + pedestal of a single anchor-subtracted luminance value
+function createSolverStretch(logD, bVal, shape) {
+   var forward = VeraLuxCore.hyperbolicModel(Math.pow(10, logD), bVal, shape).forward;
+   return function(v) { return Math.max(0, Math.min(1, forward(v) * (1.0 - STRETCH_PEDESTAL) + STRETCH_PEDESTAL)); };
+}
+
+// Output luminance of the ascending, anchor-subtracted samples stretched with
+// logD and bVal in Ready-to-Use mode. Returns an ascending Float64Array.
+function simulateReadyLuminance(sorted, logD, bVal, shape, targetBg) {
+   var n = sorted.length;
+   var out = new Float64Array(n);
+   var stretch = createSolverStretch(logD, bVal, shape);
+   for (var i = 0; i < n; i++) out[i] = stretch(sorted[i]);
+   var scaling = computeAdaptiveScaling(out);
+   expandRow(out, n, scaling.globalFloor, scaling.finalScale);
+   var m = computeBackgroundMTF(sortedPercentile(out, 50), targetBg);
+   if (m !== null) mtfRow(out, n, m);
+   softClipRow(out, n, 0.98, 2.0);
+   return out;
+}
+
+// { background, highlight, saturatedPct } of the output luminance of the
+// ascending, anchor-subtracted samples stretched with logD and bVal.
+// signalFraction is the share of all pixels the samples stand for (those above
+// the anchor), so saturatedPct is a percentage of the whole image.
+function stretchConstraintMetrics(sorted, logD, bVal, shape, params, constraints, signalFraction) {
+   var n = sorted.length;
+   var value;
+   if (params.processingMode === "ready_to_use") {
+      var out = simulateReadyLuminance(sorted, logD, bVal, shape, params.targetBg);
+      value = function(i) { return out[i]; };
+   } else {
+      var stretch = createSolverStretch(logD, bVal, shape);
+      value = function(i) { return stretch(sorted[i]); };
+   }
+   var percentile = function(p) {
+      var idx = (p / 100.0) * (n - 1);
+      var lower = Math.floor(idx); var upper = Math.min(n - 1, Math.ceil(idx));
+      var a = value(lower);
+      return a + (value(upper) - a) * (idx - lower);
+   };
+   // First saturated rank (binary search on the ascending output)
+   var lo = 0; var hi = n;
+   while (lo < hi) {
+      var mid = (lo + hi) >> 1;
+      if (value(mid) >= SOLVER_SATURATION_LEVEL) hi = mid; else lo = mid + 1;
+   }
+   return { background: percentile(50), highlight: percentile(constraints.highlightPercentile),
+            saturatedPct: (n > 0) ? ((n - lo) / n) * signalFraction * 100 : 0 };
+}
+
+// Name of the first constraint metrics violates, or null
+function violatedConstraint(metrics, constraints) {
+   if (metrics.highlight > constraints.highlightCeiling) return "highlight";
+   if (metrics.saturatedPct > constraints.maxSaturatedPct) return "saturation";
+   return null;
+}
+
+// How far metrics exceed the constraints (0 when feasible)
+function constraintExcess(metrics, constraints) {
+   return Math.max(0, metrics.highlight - constraints.highlightCeiling) +
+          Math.max(0, metrics.saturatedPct - constraints.maxSaturatedPct) / 100;
+}
+
+// Joint Log D + b solve. For each candidate b (the current params.protectB
+// first) the background Log D of solveBackgroundLogD() is lowered (bisection)
+// to the highest value keeping the constraints.highlightPercentile luminance at
+// or below constraints.highlightCeiling with at most constraints.maxSaturatedPct %
+// of the pixels saturated. When even Log D = 0 breaks them, the Log D of the
+// smallest excess is kept. Feasible solutions win (else the smallest excess),
+// then the background closest to params.targetBg, then the b closest to the
+// current one. In Ready-to-Use mode the adaptive scaling fixes the brightest
+// percentiles, so the highlight limits mostly depend on b.
+// Returns { anchor, medianIn, logD, protectB, targetBg, limitedBy, feasible,
+// metrics: { background, highlight, saturatedPct } } or null if the image has
+// no signal. limitedBy: "background" (not limited), "highlight" or "saturation".
+function multiConstraintSolve(img, params, constraints, progressCallback) {
+   constraints = constraints || DEFAULT_SOLVER_CONSTRAINTS;
+   if (progressCallback) progressCallback("Sampling luminance...", 0);
+   var anchor = calculateAnchor(img, params);
+   var samples = solverSamples(img, params, anchor);
+   if (samples.length === 0) return null;
+   
+   var medianIn = VeraLuxStats.median(samples);
+   var shape = resolveGHSShape(params, anchor);
+   var ready = (params.processingMode === "ready_to_use");
+   var signalFraction = samples.length / Math.ceil((img.width * img.height) / solverSampleStep(img));
+   var sorted = samples.slice();
+   sorted.sort(function(a, b) { return a - b; });
+   var subsample = function(maxCount) {
+      var step = Math.max(1, Math.floor(sorted.length / maxCount));
+      var out = new Float64Array(Math.ceil(sorted.length / step));
+      for (var i = 0, j = 0; i < sorted.length; i += step, j++) out[j] = sorted[i];
+      return out;
+   };
+   var evalSamples = subsample(SOLVER_MAX_EVAL_SAMPLES);
+   var backgroundSamples = subsample(SOLVER_MAX_BACKGROUND_SAMPLES);
+   
+   var candidates = [params.protectB].concat(SOLVER_B_CANDIDATES.filter(function(b) { return b !== params.protectB; }));
+   var best = null;
+   for (var c = 0; c < candidates.length; c++) {
+      var bVal = candidates[c];
+      if (progressCallback) progressCallback("Auto-Calc: b = " + bVal.toFixed(2) + "...", c / candidates.length);
+      var background = solveBackgroundLogD(backgroundSamples, medianIn, params.targetBg, bVal, shape, ready);
+      var evaluate = function(logD) {
+         return stretchConstraintMetrics(evalSamples, logD, bVal, shape, params, constraints, signalFraction);
+      };
+      var logD = background.logD;
+      var metrics = evaluate(logD);
+      var limitedBy = violatedConstraint(metrics, constraints);
+      var feasible = (limitedBy === null);
+      if (!feasible) {
+         var lowMetrics = evaluate(0);
+         if (violatedConstraint(lowMetrics, constraints) === null) {
+            // Highest feasible Log D in [0, background Log D]
+            var lo = 0; var hi = logD;
+            metrics = lowMetrics;
+            while (hi - lo > SOLVER_LOGD_TOLERANCE) {
+               var mid = (lo + hi) / 2;
+               var midMetrics = evaluate(mid);
+               if (violatedConstraint(midMetrics, constraints) === null) { lo = mid; metrics = midMetrics; }
+               else hi = mid;
+            }
+            logD = lo; feasible = true;
+         } else {
+            // Infeasible at any Log D: scan down to 0 for the smallest excess
+            var excess = constraintExcess(metrics, constraints);
+            var top = logD;
+            for (var k = SOLVER_EXCESS_STEPS - 1; k >= 0; k--) {
+               var stepLogD = top * k / SOLVER_EXCESS_STEPS;
+               var stepMetrics = (k === 0) ? lowMetrics : evaluate(stepLogD);
+               var stepExcess = constraintExcess(stepMetrics, constraints);
+               if (stepExcess < excess) { excess = stepExcess; logD = stepLogD; metrics = stepMetrics; }
+            }
+         }
+      }
+      var solution = { anchor: anchor, medianIn: medianIn, logD: logD, protectB: bVal, targetBg: background.targetBg,
+                       limitedBy: limitedBy || "background", feasible: feasible, metrics: metrics,
+                       excess: constraintExcess(metrics, constraints),
+                       bgError: Math.round(Math.abs(metrics.background - params.targetBg) * 1000),
+                       bDistance: Math.abs(Math.log(bVal) - Math.log(params.protectB)) };
+      if (!best || solution.excess < best.excess ||
+          (solution.excess === best.excess && (solution.bgError < best.bgError ||
+           (solution.bgError === best.bgError && solution.bDistance < best.bDistance))))
+         best = solution;
+   }
+   if (progressCallback) progressCallback(null, 1.0);
+   delete best.excess; delete best.bgError; delete best.bDistance;
+   return best;
+}
+
+// -----------------------------------------------------------------------------
+//  Noise-aware Unified Strategy recommendation
+// -----------------------------------------------------------------------------
+// Measures the anchor-subtracted linear input: background chroma noise (left
+// side of the slider, Shadow Convergence) against clipped star cores (right
+// side, softer Color Grip), and proposes a Unified Strategy value.
+
+var STRATEGY_NOISE_SCALES = [1, 2, 4];
+var STRATEGY_CHROMA_SNR_CLEAN = 6.0;  // Background chroma SNR needing no cleaning
+var STRATEGY_CHROMA_SNR_NOISY = 1.5;  // ... needing full cleaning (-100)
+var STRATEGY_CLIP_LEVEL = 0.99;       // Linear level of a clipped star core
+var STRATEGY_CLIP_PCT_FULL = 0.2;     // Clipped pixels (%) for full softening (+100)
+var STRATEGY_BACKGROUND_K = 3.0;      // Background: luminance <= median + k sigma
+
+// Gaussian sigma of a band of rows (Float64Arrays of width w) from the MAD of
+// horizontal differences after scale x scale block averaging, multiplied by
+// scale: white noise gives the same value at every scale, structure and
+// correlated noise give more, so the minimum over scales is used. With mask
+// (rows of flags, 1 = background) only differences between two blocks made of
+// background pixels are counted.
+function multiscaleNoise(band, w, scales, mask) {
+   var best = Infinity;
+   for (var k = 0; k < scales.length; k++) {
+      var sc = scales[k];
+      var bw = Math.floor(w / sc); var bh = Math.floor(band.length / sc);
+      if (bw < 2 || bh < 1) continue;
+      var diffs = [];
+      for (var by = 0; by < bh; by++) {
+         var prev = 0; var prevIn = false;
+         for (var bx = 0; bx < bw; bx++) {
+            var sum = 0; var inside = true;
+            for (var dy = 0; dy < sc; dy++) {
+               var row = band[by * sc + dy];
+               var flags = mask ? mask[by * sc + dy] : null;
+               for (var dx = 0; dx < sc; dx++) {
+                  sum += row[bx * sc + dx];
+                  if (flags && !flags[bx * sc + dx]) inside = false;
+               }
+            }
+            var v = sum / (sc * sc);
+            if (bx > 0 && inside && prevIn) diffs.push(Math.abs(v - prev));
+            prev = v; prevIn = inside;
+         }
+      }
+      if (diffs.length === 0) continue;
+      var sigma = 1.4826 * VeraLuxStats.median(diffs) / Math.SQRT2 * sc;
+      if (sigma < best) best = sigma;
+   }
+   return (best === Infinity) ? 0 : best;
+}
+
+// Anchor-subtracted luminance and chroma (R - L, B - L) rows of the band of
+// height rows at y0. rows holds one Float32Array(width) buffer per channel.
+// Returns { L, Cr, Cb, clipped }, clipped counting star-core pixels.
+function strategyBand(img, y0, height, anchor, weights, rows) {
+   var w = img.width; var isRGB = (img.numberOfChannels === 3);
+   var band = { L: [], Cr: [], Cb: [], clipped: 0 };
+   for (var dy = 0; dy < height; dy++) {
+      var rect = new Rect(0, y0 + dy, w, y0 + dy + 1);
+      for (var c = 0; c < rows.length; c++) img.getSamples(rows[c], rect, c);
+      var l = new Float64Array(w); var cr = new Float64Array(w); var cb = new Float64Array(w);
+      for (var x = 0; x < w; x++) {
+         var r = rows[0][x]; var g = isRGB ? rows[1][x] : r; var b = isRGB ? rows[2][x] : r;
+         if (Math.max(r, g, b) >= STRATEGY_CLIP_LEVEL) band.clipped++;
+         l[x] = isRGB ? weights[0] * (r - anchor) + weights[1] * (g - anchor) + weights[2] * (b - anchor) : r - anchor;
+         cr[x] = (r - anchor) - l[x]; cb[x] = (b - anchor) - l[x];
+      }
+      band.L.push(l); band.Cr.push(cr); band.Cb.push(cb);
+   }
+   return band;
+}
+
+// Proposes a Unified Strategy value for img stretched with params. Noise is
+// measured on background pixels only (luminance <= median + k sigma), so
+// nebulosity and stars do not count as noise.
+// Returns { value, explanation, anchor, background, lumaNoise, chromaNoise,
+// chromaSNR, clippedPct }. Mono images always get 0 (no color to manage).
+function analyzeUnifiedStrategy(img, params) {
+   var w = img.width; var h = img.height; var isRGB = (img.numberOfChannels === 3);
+   var weights = params.weights;
+   var anchor = calculateAnchor(img, params);
+   var bandHeight = STRATEGY_NOISE_SCALES[STRATEGY_NOISE_SCALES.length - 1];
+   var bandStep = Math.max(bandHeight, Math.floor(h / 64));
+   var rows = [];
+   for (var c = 0; c < (isRGB ? 3 : 1); c++) rows.push(new Float32Array(w));
+   var lumaNoise = []; var chromaNoise = []; var luma = []; var clipped = 0; var total = 0;
+   
+   // Pass 1: background level and spread, clipped cores
+   for (var y0 = 0; y0 + bandHeight <= h; y0 += bandStep) {
+      var band = strategyBand(img, y0, bandHeight, anchor, weights, rows);
+      clipped += band.clipped; total += bandHeight * w;
+      for (var dy = 0; dy < bandHeight; dy++)
+         for (var x = 0; x < w; x += 4) luma.push(Math.max(0, band.L[dy][x]));
+   }
+   var background = luma.length > 0 ? VeraLuxStats.median(luma) : 0;
+   var deviations = [];
+   for (var i = 0; i < luma.length; i++) deviations.push(Math.abs(luma[i] - background));
+   var backgroundLimit = background + STRATEGY_BACKGROUND_K * 1.4826 * (deviations.length > 0 ? VeraLuxStats.median(deviations) : 0);
+   
+   // Pass 2: noise of the background pixels
+   for (var y0 = 0; y0 + bandHeight <= h; y0 += bandStep) {
+      var band = strategyBand(img, y0, bandHeight, anchor, weights, rows);
+      var mask = [];
+      for (var dy = 0; dy < bandHeight; dy++) {
+         var flags = new Uint8Array(w);
+         for (var x = 0; x < w; x++) flags[x] = (band.L[dy][x] <= backgroundLimit) ? 1 : 0;
+         mask.push(flags);
+      }
+      lumaNoise.push(multiscaleNoise(band.L, w, STRATEGY_NOISE_SCALES, mask));
+      if (isRGB) {
+         var nr = multiscaleNoise(band.Cr, w, STRATEGY_NOISE_SCALES, mask);
+         var nb = multiscaleNoise(band.Cb, w, STRATEGY_NOISE_SCALES, mask);
+         chromaNoise.push(Math.sqrt((nr * nr + nb * nb) / 2));
+      }
+   }
+   
+   var result = {
+      value: 0, explanation: "", anchor: anchor, background: background,
+      lumaNoise: lumaNoise.length > 0 ? VeraLuxStats.median(lumaNoise) : 0,
+      chromaNoise: chromaNoise.length > 0 ? VeraLuxStats.median(chromaNoise) : 0,
+      chromaSNR: 0, clippedPct: total > 0 ? (clipped / total) * 100 : 0
+   };
+   if (!isRGB) {
+      result.explanation = "Mono image: the Unified Strategy only affects color, Balanced (0) is used.";
+      return result;
+   }
+   result.chromaSNR = (result.chromaNoise > 0) ? result.background / result.chromaNoise : Infinity;
+   
+   var noiseScore = Math.max(0, Math.min(1, (STRATEGY_CHROMA_SNR_CLEAN - result.chromaSNR) / (STRATEGY_CHROMA_SNR_CLEAN - STRATEGY_CHROMA_SNR_NOISY)));
+   var clipScore = Math.max(0, Math.min(1, result.clippedPct / STRATEGY_CLIP_PCT_FULL));
+   var facts = "Background chroma SNR " + result.chromaSNR.toFixed(2) + " (clean >= " + STRATEGY_CHROMA_SNR_CLEAN +
+               ", noisy <= " + STRATEGY_CHROMA_SNR_NOISY + "); clipped star cores " + result.clippedPct.toFixed(3) +
+               "% (full softening at " + STRATEGY_CLIP_PCT_FULL + "%).";
+   if (noiseScore >= clipScore && noiseScore > 0.1) {
+      result.value = -Math.round(100 * noiseScore);
+      result.explanation = "Background chroma noise dominates: Clean Noise (" + result.value + ") raises Shadow Convergence to neutralize color speckle in the sky." +
+                           (clipScore > 0.1 ? " Clipped cores are also present; soften them later if they look harsh." : "");
+   } else if (clipScore > 0.1) {
+      result.value = Math.round(100 * clipScore);
+      result.explanation = "Clipped star cores dominate: Soften Highlights (+" + result.value + ") lowers Color Grip so saturated cores blend smoothly." +
+                           (noiseScore > 0.1 ? " The background is also somewhat noisy; consider noise reduction before stretching." : "");
+   } else {
+      result.explanation = "Clean background and few clipped cores: Balanced (0), pure vector color.";
+   }
+   result.explanation += "\n" + facts;
+   return result;
+}
+
+// Black clipping audit at params.logD. The anchor is computed unless supplied.
+// Returns { anchor, sourceClipPct, postClipPct, safeLogD }.
+function auditClipping(img, params, anchor) {
+   var weights = params.weights;
+   if (anchor === undefined) anchor = calculateAnchor(img, params);
+   
+   var samples = []; var step = Math.max(1, Math.floor((img.width*img.height)/100000));
+   var rawClipCount = 0;
+   for(var i=0; i<img.width*img.height; i+=step) {
+      var x = i%img.width; var y = Math.floor(i/img.width);
+      var val = (img.numberOfChannels===3) ? (weights[0]*img.sample(x,y,0) + weights[1]*img.sample(x,y,1) + weights[2]*img.sample(x,y,2)) : img.sample(x,y,0);
+      if (val < anchor) rawClipCount++;
+      samples.push(Math.max(0, val - anchor));
+   }
+   
+   var b = params.protectB;
+   var shape = resolveGHSShape(params, anchor);
+   var clipPct = function(logD) {
+      var stretch = VeraLuxCore.createHyperbolicStretch(Math.pow(10, logD), b, shape); var c = 0;
+      for(var z=0; z<samples.length; z++) if(stretch(samples[z]) <= 1e-7) c++;
+      return (c / samples.length) * 100;
+   };
+   
+   var postClipPct = clipPct(params.logD);
+   var safeLogD = params.logD;
+   if (postClipPct >= 0.1) {
+      for(var k=0; k<20; k++) {
+          safeLogD -= 0.05;
+          if (clipPct(safeLogD) < 0.1) break;
+      }
+   }
+   return { anchor: anchor, sourceClipPct: (rawClipCount / samples.length) * 100, postClipPct: postClipPct, safeLogD: safeLogD };
+}
+
+// =============================================================================
+//  STRETCH EXPORT (PixelMath & CurvesTransformation)
+// =============================================================================
+//
+// Reproduces a HyperMetric Stretch with standard PixInsight processes. Mono
+// images and the scalar path of RGB images (Color Grip 0) stretch each channel
+// independently, so they export exactly as a PixelMath expression. A vector
+// color stretch only matches a per-channel curve on neutral pixels; it exports
+// as a sampled CurvesTransformation whose error is measured on the image.
+
+var EXPORT_CURVE_MAX_POINTS = 100;
+var EXPORT_CURVE_TOLERANCE = 0.0005;
+
+// True if params stretch every channel independently (exact export)
+function isScalarStretch(params, isRGB) {
+   return !isRGB || (params.colorGrip !== undefined && params.colorGrip <= 0);
+}
+
+// params with the statistics of stretching img frozen as linked stats
+// ({ anchor, logD, protectB, globalFloor, finalScale, mtfM }).
+function freezeStretchParams(img, params, progressCallback) {
+   var stats = {};
+   if (params.processingMode === "ready_to_use") {
+      processVeraLux(img, params, progressCallback, stats);
+   } else {
+      var setup = resolveStretchSetup(img, params, progressCallback);
+      stats = { anchor: setup.anchor, logD: setup.logD, protectB: setup.protectB };
+   }
+   var frozen = {};
+   for (var key in params) frozen[key] = params[key];
+   frozen.linked = { anchor: stats.anchor, logD: stats.logD, protectB: stats.protectB,
+                     globalFloor: stats.globalFloor || 0, finalScale: stats.finalScale || 0, mtfM: stats.mtfM || null };
+   return frozen;
+}
+
+// Per-channel transfer function of a frozen stretch: returns a new
+// Float64Array with the stretch of each value of xs.
+function createStretchTransfer(setup, params) {
+   var kernel = createStretchKernel(false, setup, params);
+   var ready = (params.processingMode === "ready_to_use");
+   var linked = params.linked;
+   return function(xs) {
+      var n = xs.length; var out = new Float64Array(n);
+      kernel([xs], [out], n);
+      if (ready) {
+         expandRow(out, n, linked.globalFloor, linked.finalScale);
+         if (linked.mtfM) mtfRow(out, n, linked.mtfM);
+         softClipRow(out, n, 0.98, 2.0);
+      }
+      return out;
+   };
+}
+
+// PixelMath expression of a frozen stretch, applied to each channel ($T).
+// Returns { expression, symbols }; exact for scalar stretches.
+function stretchPixelMath(setup, params) {
+   var num = function(v) { return (v < 0) ? "(" + v + ")" : String(v); };
+   var t = VeraLuxCore.hyperbolicModel(Math.pow(10, setup.logD), setup.protectB, setup.shape).terms;
+   var asinh = function(u) { return "asinh(" + num(t.D) + "*" + u + " + " + num(t.b) + ")"; };
+   var lines = ["v = max(0, $T - " + num(setup.anchor) + ")"];
+   if (!setup.shape) {
+      lines.push("g = " + asinh("v") + " - " + num(t.ab));
+   } else {
+      lines.push("g = iif(v < " + num(t.LP) + ", " + num(t.gLP) + " + " + num(t.slopeLP) + "*(v - " + num(t.LP) + "), " +
+                 "iif(v > " + num(t.HP) + ", " + num(t.gHP) + " + " + num(t.slopeHP) + "*(v - " + num(t.HP) + "), " +
+                 "iif(v >= " + num(t.SP) + ", " + asinh("(v - " + num(t.SP) + ")") + " - " + num(t.ab) + ", " +
+                 num(t.ab) + " - " + asinh("(" + num(t.SP) + " - v)") + ")))");
+   }
+   var s = "range((g - " + num(t.g0) + ")/" + num(t.norm) + ", 0, 1)";
+   if (params.addPedestal !== false)
+      s = "range(" + s + "*" + num(1.0 - STRETCH_PEDESTAL) + " + " + num(STRETCH_PEDESTAL) + ", 0, 1)";
+   var symbols = ["v", "g", "s"];
+   if (params.processingMode !== "ready_to_use") {
+      lines.push(s);
+      return { expression: lines.join(";\n"), symbols: symbols.join(", ") };
+   }
+   var linked = params.linked;
+   lines.push("s = " + s);
+   var e = "range((s - " + num(linked.globalFloor) + ")*" + num(linked.finalScale) + " + " + num(ADAPTIVE_PEDESTAL) + ", 0, 1)";
+   if (linked.mtfM) e = "mtf(" + num(linked.mtfM) + ", " + e + ")";
+   lines.push("e = " + e);
+   lines.push("range(iif(e > 0.98, 0.98 + 0.02*(1 - (1 - range((e - 0.98)/0.02, 0, 1))^2), e), 0, 1)");
+   symbols.push("e");
+   return { expression: lines.join(";\n"), symbols: symbols.join(", ") };
+}
+
+// Value of the linear-interpolated curve points ([[x, y], ...], x ascending) at x
+function evaluateCurvePoints(points, x) {
+   var lo = 0; var hi = points.length - 1;
+   if (x <= points[lo][0]) return points[lo][1];
+   if (x >= points[hi][0]) return points[hi][1];
+   while (hi - lo > 1) {
+      var mid = (lo + hi) >> 1;
+      if (points[mid][0] <= x) lo = mid; else hi = mid;
+   }
+   var t = (x - points[lo][0]) / (points[hi][0] - points[lo][0]);
+   return points[lo][1] + t * (points[hi][1] - points[lo][1]);
+}
+
+// Linear-interpolated curve points approximating transfer over [0, 1]. Starts
+// from the end points and the anchor, then adds the worst-fitting sample until
+// the error is within tolerance or maxPoints is reached. The samples are dense
+// just above the anchor, where the hyperbolic curve is steepest.
+// Returns { points: [[x, y], ...], maxError }.
+function fitTransferCurve(transfer, anchor, maxPoints, tolerance) {
+   anchor = Math.max(0, Math.min(1, anchor));
+   var xs = [0, 1, anchor];
+   for (var i = 1; i < 4096; i++) xs.push(i / 4096);
+   for (var i = 0; i <= 600; i++) xs.push(anchor + (1 - anchor) * Math.pow(10, -6 + i / 100));
+   xs.sort(function(a, b) { return a - b; });
+   var grid = [];
+   for (var i = 0; i < xs.length; i++)
+      if (xs[i] >= 0 && xs[i] <= 1 && (grid.length === 0 || xs[i] > grid[grid.length - 1])) grid.push(xs[i]);
+   var ys = transfer(new Float64Array(grid));
+   
+   var selected = [0, grid.indexOf(anchor), grid.length - 1].filter(function(v, i, a) { return v >= 0 && a.indexOf(v) === i; });
+   selected.sort(function(a, b) { return a - b; });
+   var maxError = 0;
+   for (;;) {
+      var worst = -1; maxError = 0;
+      for (var k = 0; k + 1 < selected.length; k++) {
+         var i0 = selected[k]; var i1 = selected[k + 1];
+         for (var i = i0 + 1; i < i1; i++) {
+            var t = (grid[i] - grid[i0]) / (grid[i1] - grid[i0]);
+            var err = Math.abs(ys[i0] + t * (ys[i1] - ys[i0]) - ys[i]);
+            if (err > maxError) { maxError = err; worst = i; }
+         }
+      }
+      if (worst < 0 || maxError <= tolerance || selected.length >= maxPoints) break;
+      selected.push(worst);
+      selected.sort(function(a, b) { return a - b; });
+   }
+   var points = [];
+   for (var k = 0; k < selected.length; k++) points.push([grid[selected[k]], ys[selected[k]]]);
+   return { points: points, maxError: maxError };
+}
+
+// Difference between the frozen stretch of img and the curve points applied to
+// each channel, over a subset of rows. Returns { maxError, rmsError }.
+function measureCurveApproximation(img, setup, params, points, progressCallback) {
+   var w = img.width; var h = img.height; var nc = img.numberOfChannels; var isRGB = (nc === 3);
+   var ready = (params.processingMode === "ready_to_use");
+   var linked = params.linked;
+   var kernel = createStretchKernel(isRGB, setup, params);
+   var nIn = isRGB ? 3 : 1;
+   var inRows = []; var outRows = [];
+   for (var c = 0; c < nIn; c++) { inRows.push(new Float32Array(w)); outRows.push(new Float32Array(w)); }
+   var step = Math.max(1, Math.floor(h / 256));
+   var rowProgress = createRowProgress(progressCallback, h, "Measuring");
+   var maxError = 0; var sumSq = 0; var count = 0;
+   for (var y = 0; y < h; y += step) {
+      rowProgress(y);
+      var rowRect = new Rect(0, y, w, y + 1);
+      for (var c = 0; c < nIn; c++) img.getSamples(inRows[c], rowRect, c);
+      kernel(inRows, outRows, w);
+      for (var c = 0; c < nIn; c++) {
+         var out = outRows[c];
+         if (ready) {
+            expandRow(out, w, linked.globalFloor, linked.finalScale);
+            if (linked.mtfM) mtfRow(out, w, linked.mtfM);
+            softClipRow(out, w, 0.98, 2.0);
+         }
+         for (var x = 0; x < w; x++) {
+            var d = Math.abs(out[x] - evaluateCurvePoints(points, inRows[c][x]));
+            if (d > maxError) maxError = d;
+            sumSq += d * d; count++;
+         }
+      }
+   }
+   if (progressCallback) progressCallback(null, 1.0);
+   return { maxError: maxError, rmsError: Math.sqrt(sumSq / Math.max(1, count)) };
+}
+
+// Exports the stretch of img by params (processVeraLux() form). Returns
+//  { kind: "pixelmath", expression, symbols, stats } for scalar stretches, else
+//  { kind: "curves", points, curveError, imageError: { maxError, rmsError }, stats }
+// where curveError is the fit error of the per-channel curve and imageError the
+// difference to the actual stretch of img. stats: the frozen linked statistics.
+function exportStretch(img, params, progressCallback) {
+   var isRGB = (img.numberOfChannels === 3);
+   var ready = (params.processingMode === "ready_to_use");
+   if (progressCallback) progressCallback("Measuring stretch statistics...", 0);
+   var frozen = freezeStretchParams(img, params, subProgress(progressCallback, 0, ready ? 0.6 : 0.1));
+   var setup = resolveStretchSetup(img, frozen, null);
+   if (isScalarStretch(params, isRGB)) {
+      var pm = stretchPixelMath(setup, frozen);
+      if (progressCallback) progressCallback("Complete!", 1.0);
+      return { kind: "pixelmath", expression: pm.expression, symbols: pm.symbols, stats: frozen.linked };
+   }
+   if (progressCallback) progressCallback("Fitting curve...", ready ? 0.6 : 0.1);
+   var fit = fitTransferCurve(createStretchTransfer(setup, frozen), setup.anchor, EXPORT_CURVE_MAX_POINTS, EXPORT_CURVE_TOLERANCE);
+   var imageError = measureCurveApproximation(img, setup, frozen, fit.points, subProgress(progressCallback, ready ? 0.65 : 0.2, 1.0));
+   if (progressCallback) progressCallback("Complete!", 1.0);
+   return { kind: "curves", points: fit.points, curveError: fit.maxError, imageError: imageError, stats: frozen.linked };
+}
+
+// =============================================================================
+//  COLOR FIDELITY AUDIT
+// =============================================================================
+//
+// Compares the chromaticity of every input pixel (anchor subtracted) with the
+// stretched output (black point subtracted) to quantify how Color Grip,
+// Shadow Convergence and the soft-clip change color ratios. Chromaticity is
+// the opponent-axis vector of intensity-normalized RGB:
+//    a = (R - (G + B)/2) / S,   c = (sqrt(3)/2)·(G - B) / S,   S = R + G + B
+// hue = atan2(c, a), saturation = |(a, c)|. A pure vector stretch keeps both.
+
+var FIDELITY_BANDS = [0, 0.1, 0.25, 0.5, 0.75, 0.98, 1];  // Output luminance bands; the last is the soft-clip zone
+var FIDELITY_MIN_SATURATION = 0.02;     // Hue is undefined below this saturation (input and output)
+var FIDELITY_HUE_SCALE = 30;            // Hue shift (degrees) at full heatmap intensity
+var FIDELITY_SATURATION_SCALE = 0.2;    // Saturation change at full heatmap intensity
+var FIDELITY_MAX_STAT_SAMPLES = 500000; // Statistics use every n-th pixel beyond this
+var FIDELITY_UNDEFINED_HUE = 0.15;      // Gray level of pixels without a defined hue
+
+function fidelityBandStats(from, to, hue, sat) {
+   var n = sat.length; var sum = 0; var sumAbs = 0; var hueSum = 0;
+   for (var i = 0; i < n; i++) { sum += sat[i]; sumAbs += Math.abs(sat[i]); }
+   for (var i = 0; i < hue.length; i++) hueSum += hue[i];
+   var hp = VeraLuxStats.percentilesOf(hue, [50, 95]);
+   return {
+      from: from, to: to, pixels: n, huePixels: hue.length,
+      hueMean: hue.length > 0 ? hueSum / hue.length : 0, hueMedian: hp[0], hueP95: hp[1],
+      saturationMean: n > 0 ? sum / n : 0, saturationMeanAbs: n > 0 ? sumAbs / n : 0
+   };
+}
+
+// Color fidelity of output (processVeraLux() of input with params; stats from
+// that run). Returns { hueMap, saturationMap, bands, overall }:
+//  hueMap         RGB heatmap of |hue shift| (black -> red -> yellow -> white at
+//                 FIDELITY_HUE_SCALE degrees, gray where the hue is undefined)
+//  saturationMap  RGB heatmap of the saturation change (red gain, blue loss,
+//                 full intensity at FIDELITY_SATURATION_SCALE)
+//  bands/overall  { from, to, pixels, huePixels, hueMean, hueMedian, hueP95
+//                 (|hue shift| in degrees), saturationMean, saturationMeanAbs }
+//                 per output luminance band (FIDELITY_BANDS) and for all pixels
+function colorFidelityAudit(input, output, params, stats, progressCallback) {
+   if (input.numberOfChannels !== 3 || output.numberOfChannels !== 3) throw new Error("Color fidelity requires an RGB image.");
+   var w = input.width; var h = input.height;
+   var weights = params.weights;
+   var anchor = stats.anchor; var black = outputBlackLevel(params, stats);
+   var hueMap = new Image(w, h, 3, ColorSpace_RGB, 32, SampleType_Real);
+   var satMap = new Image(w, h, 3, ColorSpace_RGB, 32, SampleType_Real);
+   var statStep = Math.max(1, Math.floor((w * h) / FIDELITY_MAX_STAT_SAMPLES));
+   var nBands = FIDELITY_BANDS.length - 1;
+   var bandHue = []; var bandSat = [];
+   for (var k = 0; k < nBands; k++) { bandHue.push([]); bandSat.push([]); }
+   var allHue = []; var allSat = [];
+   
+   var inRows = []; var outRows = []; var hueRows = []; var satRows = [];
+   for (var c = 0; c < 3; c++) {
+      inRows.push(new Float32Array(w)); outRows.push(new Float32Array(w));
+      hueRows.push(new Float32Array(w)); satRows.push(new Float32Array(w));
+   }
+   var K = Math.sqrt(3) / 2;
+   var rowProgress = createRowProgress(progressCallback, h, "Measuring");
+   
+   for (var y = 0; y < h; y++) {
+      rowProgress(y);
+      var rowRect = new Rect(0, y, w, y + 1);
+      for (var c = 0; c < 3; c++) { input.getSamples(inRows[c], rowRect, c); output.getSamples(outRows[c], rowRect, c); }
+      for (var x = 0; x < w; x++) {
+         var ri = Math.max(0, inRows[0][x] - anchor); var gi = Math.max(0, inRows[1][x] - anchor); var bi = Math.max(0, inRows[2][x] - anchor);
+         var ro = Math.max(0, outRows[0][x] - black); var go = Math.max(0, outRows[1][x] - black); var bo = Math.max(0, outRows[2][x] - black);
+         var si = ri + gi + bi; var so = ro + go + bo;
+         for (var c = 0; c < 3; c++) { hueRows[c][x] = 0; satRows[c][x] = 0; }
+         if (si <= 1e-9 || so <= 1e-9) continue;
+         
+         var ai = (ri - 0.5 * (gi + bi)) / si; var ci = K * (gi - bi) / si;
+         var ao = (ro - 0.5 * (go + bo)) / so; var co = K * (go - bo) / so;
+         var satIn = Math.sqrt(ai * ai + ci * ci); var satOut = Math.sqrt(ao * ao + co * co);
+         var dSat = satOut - satIn;
+         var dHue = -1;   // Undefined
+         if (satIn >= FIDELITY_MIN_SATURATION && satOut >= FIDELITY_MIN_SATURATION) {
+            dHue = Math.abs(Math.atan2(co, ao) - Math.atan2(ci, ai)) * 180 / Math.PI;
+            if (dHue > 180) dHue = 360 - dHue;
+         }
+         
+         if (dHue < 0) {
+            for (var c = 0; c < 3; c++) hueRows[c][x] = FIDELITY_UNDEFINED_HUE;
+         } else {
+            var t = Math.min(1, dHue / FIDELITY_HUE_SCALE) * 3;
+            hueRows[0][x] = Math.min(1, t); hueRows[1][x] = Math.max(0, Math.min(1, t - 1)); hueRows[2][x] = Math.max(0, Math.min(1, t - 2));
+         }
+         var sv = Math.max(-1, Math.min(1, dSat / FIDELITY_SATURATION_SCALE));
+         if (sv > 0) satRows[0][x] = sv; else satRows[2][x] = -sv;
+         
+         if ((y * w + x) % statStep === 0) {
+            var L = weights[0] * outRows[0][x] + weights[1] * outRows[1][x] + weights[2] * outRows[2][x];
+            var band = 0;
+            while (band < nBands - 1 && L >= FIDELITY_BANDS[band + 1]) band++;
+            bandSat[band].push(dSat); allSat.push(dSat);
+            if (dHue >= 0) { bandHue[band].push(dHue); allHue.push(dHue); }
+         }
+      }
+      for (var c = 0; c < 3; c++) { hueMap.setSamples(hueRows[c], rowRect, c); satMap.setSamples(satRows[c], rowRect, c); }
+   }
+   
+   var bands = [];
+   for (var k = 0; k < nBands; k++) bands.push(fidelityBandStats(FIDELITY_BANDS[k], FIDELITY_BANDS[k + 1], bandHue[k], bandSat[k]));
+   if (progressCallback) progressCallback(null, 1.0);
+   return { hueMap: hueMap, saturationMap: satMap, bands: bands, overall: fidelityBandStats(0, 1, allHue, allSat) };
+}
+
+// Console table of a colorFidelityAudit() result
+function fidelityTable(audit) {
+   var pad = function(text, n) { text = String(text); while (text.length < n) text = " " + text; return text; };
+   var lines = [pad("Output L", 11) + pad("Pixels", 9) + pad("Hue px", 9) + pad("dHue mean", 11) + pad("median", 9) + pad("p95", 9) +
+                pad("dSat mean", 11) + pad("|dSat|", 9)];
+   var rows = audit.bands.concat([audit.overall]);
+   for (var i = 0; i < rows.length; i++) {
+      var b = rows[i];
+      var label = (i === rows.length - 1) ? "all" : b.from.toFixed(2) + "-" + b.to.toFixed(2);
+      lines.push(pad(label, 11) + pad(b.pixels, 9) + pad(b.huePixels, 9) + pad(b.hueMean.toFixed(2), 11) + pad(b.hueMedian.toFixed(2), 9) +
+                 pad(b.hueP95.toFixed(2), 9) + pad(b.saturationMean.toFixed(4), 11) + pad(b.saturationMeanAbs.toFixed(4), 9));
+   }
+   return lines.join("\n");
+}
+
+// =============================================================================
+//  SCRIPT PARAMETERS & HEADLESS API
+// =============================================================================
+//
+// The engine can be driven without the dialog:
+//
+//  • Process icons / ProcessContainers: drag the "New Instance" triangle of the
+//    dialog to the workspace. Executing the icon on a view runs the module that
+//    was active when the instance was created (HyperMetric Stretch stretches the
+//    target view in place; StarComposer uses the target view as starless base).
+//    Executing a StarComposer icon globally composes the recorded mask/base ids.
+//
+//  • Other scripts: #define VERALUX_LIBRARY_MODE before #include-ing this file to
+//    skip main(), then call:
+//       executeStretchOnView(view, parameters, progressCallback)
+//       executeStarComposition(maskView, baseView, parameters, progressCallback)
+//       executeInverseOnView(view, parameters, progressCallback)
+//       executeStretchExport(view, parameters, progressCallback)
+//       executeColorFidelity(view, parameters, progressCallback)
+//    where parameters is a VeraLuxParameters instance (or a plain object with
+//    any subset of the DEFAULT_PARAMETERS keys).
+
+var DEFAULT_PARAMETERS = {
+   module: "stretch",            // "stretch" | "star"
+   // HyperMetric Stretch
+   processingMode: "ready_to_use", // "ready_to_use" | "scientific"
+   sensorProfile: DEFAULT_PROFILE,
+   adaptive: true,
+   targetBg: 0.20,
+   logD: 2.0,
+   protectB: 6.0,
+   convergence: 3.5,
+   unified: 0,
+   colorGrip: 1.0,
+   shadowConvergence: 0.0,
+   symmetryPoint: 0.0,           // GHS shape (Scientific mode), linear image levels
+   shadowProtection: 0.0,
+   highlightProtection: 1.0,
+   autoCalcConstraints: false,   // Auto-Calc solves Log D + b under the highlight limits below
+   highlightPercentile: DEFAULT_SOLVER_CONSTRAINTS.highlightPercentile,
+   highlightCeiling: DEFAULT_SOLVER_CONSTRAINTS.highlightCeiling,
+   maxSaturatedPct: DEFAULT_SOLVER_CONSTRAINTS.maxSaturatedPct,
+   autoStrategy: false,          // Auto-Calc also sets the Unified Strategy (Ready-to-Use, RGB)
+   outputMode: "replace",        // "replace" | "new_window"
+   outputSuffix: "_vlx",
+   useMask: true,                // Blend through the target window's active mask
+   // Linked Stretch (statistics frozen from a reference image)
+   linked: false,
+   linkReferenceId: "",
+   linkAnchor: 0.0,
+   linkGlobalFloor: 0.0,
+   linkFinalScale: 0.0,   // 0 = not captured in Ready-to-Use mode
+   linkMtfM: 0.0,         // 0 = no MTF shift
+   linkLogD: 0.0,         // Log D and b of the reference run
+   linkProtectB: 0.0,     // 0 = not captured (each image's own Log D and b are used)
+   linkPedestal: STRETCH_PEDESTAL,  // Pedestal of the reference run (inverse stretch)
+   // StarComposer
+   starMaskId: "",
+   starBaseId: "",
+   starLogD: 1.5,
+   starProtectB: 6.0,
+   starAdaptive: false,
+   starGrip: 1.0,
+   lsr: 0.0,
+   healing: 0.0,
+   reduction: 0.0,
+   screenBlend: false,
+   starUseMask: true,            // Blend through the starless base's active mask
+   // Large images (both modules)
+   tiled: false,                 // Bounded-memory tiled execution
+   tileSize: DEFAULT_TILE_SIZE
+};
+
+var STRETCH_PARAMETER_KEYS = ["processingMode", "sensorProfile", "adaptive", "targetBg", "logD", "protectB",
+                              "convergence", "unified", "colorGrip", "shadowConvergence",
+                              "symmetryPoint", "shadowProtection", "highlightProtection",
+                              "autoCalcConstraints", "highlightPercentile", "highlightCeiling", "maxSaturatedPct", "autoStrategy",
+                              "outputMode", "outputSuffix", "useMask",
+                              "linked", "linkReferenceId", "linkAnchor", "linkGlobalFloor", "linkFinalScale", "linkMtfM",
+                              "linkLogD", "linkProtectB", "linkPedestal"];
+var STAR_PARAMETER_KEYS = ["starLogD", "starProtectB", "starAdaptive", "starGrip", "lsr", "healing", "reduction", "screenBlend", "starUseMask"];
+
+// Unified Strategy slider (-100..100) -> Color Grip / Shadow Convergence
+function resolveUnifiedStrategy(value) {
+   if (value < 0) return { colorGrip: 1.0, shadowConvergence: (Math.abs(value) / 100) * 3.0 };
+   if (value > 0) return { colorGrip: 1.0 - ((value / 100) * 0.6), shadowConvergence: 0.0 };
+   return { colorGrip: 1.0, shadowConvergence: 0.0 };
+}
+
+function VeraLuxParameters(source) {
+   this.reset();
+   if (source) this.assign(source);
+}
+
+VeraLuxParameters.prototype.reset = function(keys) {
+   keys = keys || Object.keys(DEFAULT_PARAMETERS);
+   for (var i = 0; i < keys.length; i++) this[keys[i]] = DEFAULT_PARAMETERS[keys[i]];
+};
+
+VeraLuxParameters.prototype.assign = function(source) {
+   for (var key in DEFAULT_PARAMETERS) {
+      if (source[key] !== undefined) this[key] = source[key];
+   }
+};
+
+VeraLuxParameters.prototype.clone = function() {
+   return new VeraLuxParameters(this);
+};
+
+// view: the image being processed; required by the IMAGE_RGBWS_PROFILE pseudo-profile
+VeraLuxParameters.prototype.sensorWeights = function(view) {
+   if (this.sensorProfile === IMAGE_RGBWS_PROFILE) return rgbWorkingSpaceWeights(view);
+   var profile = SENSOR_PROFILES[this.sensorProfile];
+   if (!profile) throw new Error("Unknown sensor profile: " + this.sensorProfile);
+   return profile.weights;
+};
+
+// Parameters for processVeraLux() on view (see sensorWeights())
+VeraLuxParameters.prototype.stretchParams = function(view) {
+   var ready = (this.processingMode === "ready_to_use");
+   var color = ready ? resolveUnifiedStrategy(this.unified)
+                     : { colorGrip: this.colorGrip, shadowConvergence: this.shadowConvergence };
+   return {
+      weights: this.sensorWeights(view),
+      logD: this.logD,
+      protectB: this.protectB,
+      convergence: this.convergence,
+      processingMode: ready ? "ready_to_use" : "scientific",
+      targetBg: this.targetBg,
+      colorGrip: color.colorGrip,
+      shadowConvergence: color.shadowConvergence,
+      symmetryPoint: ready ? 0 : this.symmetryPoint,
+      shadowProtection: ready ? 0 : this.shadowProtection,
+      highlightProtection: ready ? 1 : this.highlightProtection,
+      adaptive: this.adaptive,
+      addPedestal: true,
+      linked: this.linked ? this.linkedStats() : null,
+      tiled: this.tiled,
+      tileSize: this.tileSize
+   };
+};
+
+// Highlight limits for multiConstraintSolve()
+VeraLuxParameters.prototype.solverConstraints = function() {
+   return { highlightPercentile: this.highlightPercentile, highlightCeiling: this.highlightCeiling, maxSaturatedPct: this.maxSaturatedPct };
+};
+
+// Auto-Calc of img with params (stretchParams() form): multiConstraintSolve()
+// if this.autoCalcConstraints, else smartSolveLogD(). Returns the solution
+// (protectB is params.protectB for the plain solver) or null if no signal.
+// With this.autoStrategy in Ready-to-Use mode, solution.strategy holds the
+// analyzeUnifiedStrategy() recommendation (see applyStrategy()).
+VeraLuxParameters.prototype.autoCalc = function(img, params, progressCallback) {
+   var solution;
+   if (this.autoCalcConstraints) {
+      solution = multiConstraintSolve(img, params, this.solverConstraints(), progressCallback);
+   } else {
+      solution = smartSolveLogD(img, params);
+      if (solution) solution.protectB = params.protectB;
+   }
+   if (solution && this.autoStrategy && params.processingMode === "ready_to_use")
+      solution.strategy = analyzeUnifiedStrategy(img, params);
+   return solution;
+};
+
+// Sets this.unified and the Color Grip / Shadow Convergence of params
+// (stretchParams() form) from a Unified Strategy value.
+VeraLuxParameters.prototype.applyStrategy = function(value, params) {
+   this.unified = value;
+   if (params) {
+      var color = resolveUnifiedStrategy(value);
+      params.colorGrip = color.colorGrip;
+      params.shadowConvergence = color.shadowConvergence;
+   }
+};
+
+// Frozen statistics for processVeraLux() (params.linked)
+VeraLuxParameters.prototype.linkedStats = function() {
+   var linked = {
+      anchor: this.linkAnchor,
+      globalFloor: this.linkGlobalFloor,
+      finalScale: (this.linkFinalScale > 0) ? this.linkFinalScale : null,
+      mtfM: (this.linkMtfM > 0) ? this.linkMtfM : null
+   };
+   if (this.linkProtectB > 0) { linked.logD = this.linkLogD; linked.protectB = this.linkProtectB; }
+   linked.pedestal = this.linkPedestal;
+   return linked;
+};
+
+// Stores statistics captured by captureLinkedStretch() and enables linking
+VeraLuxParameters.prototype.setLinkedStats = function(linked, referenceId) {
+   this.linked = true;
+   this.linkReferenceId = referenceId || "";
+   this.linkAnchor = linked.anchor;
+   this.linkGlobalFloor = linked.globalFloor || 0.0;
+   this.linkFinalScale = linked.finalScale || 0.0;
+   this.linkMtfM = linked.mtfM || 0.0;
+   this.linkLogD = (linked.logD !== undefined) ? linked.logD : this.logD;
+   this.linkProtectB = (linked.protectB !== undefined) ? linked.protectB : this.protectB;
+   this.linkPedestal = (typeof linked.pedestal === "number") ? linked.pedestal : STRETCH_PEDESTAL;
+};
+
+// Parameters for processStarPipeline() on view (see sensorWeights())
+VeraLuxParameters.prototype.starParams = function(view) {
+   return {
+      weights: this.sensorWeights(view),
+      logD: this.starLogD,
+      protectB: this.starProtectB,
+      convergence: 3.5,
+      colorGrip: this.starGrip,
+      shadowConvergence: 0,
+      lsr: this.lsr,
+      healing: this.healing,
+      reduction: this.reduction,
+      adaptive: this.starAdaptive,
+      tiled: this.tiled,
+      tileSize: this.tileSize
+   };
+};
+
+VeraLuxParameters.prototype.exportParameters = function() {
+   Parameters.clear();
+   for (var key in DEFAULT_PARAMETERS) Parameters.set(key, this[key]);
+};
+
+VeraLuxParameters.prototype.importParameters = function() {
+   for (var key in DEFAULT_PARAMETERS) {
+      if (!Parameters.has(key)) continue;
+      switch (typeof DEFAULT_PARAMETERS[key]) {
+         case "number":  this[key] = Parameters.getReal(key); break;
+         case "boolean": this[key] = Parameters.getBoolean(key); break;
+         default:        this[key] = Parameters.getString(key); break;
+      }
+   }
+};
+
+// -----------------------------------------------------------------------------
+//  Persistent settings (last-used values)
+// -----------------------------------------------------------------------------
+var SETTINGS_KEY = "VeraLux";
+
+// View ids and image-specific linked statistics are not persisted or stored in presets
+var TRANSIENT_PARAMETER_KEYS = ["module", "starMaskId", "starBaseId",
+                                "linked", "linkReferenceId", "linkAnchor", "linkGlobalFloor", "linkFinalScale", "linkMtfM",
+                              "linkLogD", "linkProtectB", "linkPedestal"];
+
+function settingsDataType(value) {
+   switch (typeof value) {
+      case "number":  return DataType_Double;
+      case "boolean": return DataType_Boolean;
+      default:        return DataType_String;
+   }
+}
+
+VeraLuxParameters.prototype.saveSettings = function() {
+   for (var key in DEFAULT_PARAMETERS) {
+      if (TRANSIENT_PARAMETER_KEYS.indexOf(key) >= 0) continue;
+      Settings.write(SETTINGS_KEY + "/" + key, settingsDataType(DEFAULT_PARAMETERS[key]), this[key]);
+   }
+};
+
+VeraLuxParameters.prototype.loadSettings = function() {
+   for (var key in DEFAULT_PARAMETERS) {
+      if (TRANSIENT_PARAMETER_KEYS.indexOf(key) >= 0) continue;
+      var value = Settings.read(SETTINGS_KEY + "/" + key, settingsDataType(DEFAULT_PARAMETERS[key]));
+      if (Settings.lastReadOK && value !== null && value !== undefined) this[key] = value;
+   }
+   if (!isSensorProfileName(this.sensorProfile)) this.sensorProfile = DEFAULT_PROFILE;
+};
+
+// Plain object with the presettable keys only
+VeraLuxParameters.prototype.toPreset = function() {
+   var preset = {};
+   for (var key in DEFAULT_PARAMETERS) {
+      if (TRANSIENT_PARAMETER_KEYS.indexOf(key) < 0) preset[key] = this[key];
+   }
+   return preset;
+};
+
+// -----------------------------------------------------------------------------
+//  Named presets (stored in Settings, exchangeable as JSON files)
+// -----------------------------------------------------------------------------
+var PRESETS_FORMAT = "VeraLux Presets";
+
+function VeraLuxPresets() {}
+
+VeraLuxPresets.load = function() {
+   var json = Settings.read(SETTINGS_KEY + "/presets", DataType_String);
+   if (!Settings.lastReadOK || !json) return {};
+   try {
+      return JSON.parse(json);
+   } catch(e) {
+      Console.warningln("VeraLux: Stored presets are corrupted and were ignored (" + e + ").");
+      return {};
+   }
+};
+
+VeraLuxPresets.save = function(presets) {
+   Settings.write(SETTINGS_KEY + "/presets", DataType_String, JSON.stringify(presets));
+};
+
+VeraLuxPresets.exportFile = function(filePath, presets) {
+   File.writeTextFile(filePath, JSON.stringify({ format: PRESETS_FORMAT, version: VERSION, presets: presets }, null, 3));
+};
+
+// Returns the presets contained in a JSON file exported by exportFile()
+VeraLuxPresets.importFile = function(filePath) {
+   var data = JSON.parse(File.readTextFile(filePath));
+   if (!data || data.format !== PRESETS_FORMAT || typeof data.presets !== "object")
+      throw new Error("Not a VeraLux presets file: " + filePath);
+   var presets = {};
+   for (var name in data.presets) presets[name] = new VeraLuxParameters(data.presets[name]).toPreset();
+   return presets;
+};
+
+// Linked Stretch: runs the stretch on a reference image and returns the values
+// { anchor, logD, protectB, globalFloor, finalScale, mtfM } to freeze.
+function captureLinkedStretch(img, params, progressCallback) {
+   var stats = {};
+   var captureParams = {};
+   for (var key in params) captureParams[key] = params[key];
+   captureParams.linked = null;
+   processVeraLux(img, captureParams, progressCallback, stats);
+   return { anchor: stats.anchor, logD: stats.logD, protectB: stats.protectB,
+            globalFloor: stats.globalFloor, finalScale: stats.finalScale, mtfM: stats.mtfM };
+}
+
+// Creates a window holding image, carrying over the FITS keywords, astrometric
+// solution and ICC profile of sourceWindow (if any). The window is not shown.
+function createOutputWindow(sourceWindow, image, id) {
+   var w = new ImageWindow(image.width, image.height, image.numberOfChannels, 32, true, image.isColor, sanitizeViewId(id));
+   w.mainView.beginProcess(); w.mainView.image.assign(image); w.mainView.endProcess();
+   if (sourceWindow && !sourceWindow.isNull) {
+      w.keywords = sourceWindow.keywords;
+      try {
+         if (sourceWindow.hasAstrometricSolution) w.copyAstrometricSolution(sourceWindow);
+      } catch(e) {
+         Console.warningln("VeraLux: Could not copy the astrometric solution: " + e);
+      }
+      try {
+         if (sourceWindow.iccProfile) w.iccProfile = sourceWindow.iccProfile;
+      } catch(e) {
+         Console.warningln("VeraLux: Could not copy the ICC profile: " + e);
+      }
+   }
+   return w;
+}
+
+// Stretches a view (main view or preview) in place, or into a new window when
+// parameters.outputMode is "new_window" (id = view id + parameters.outputSuffix).
+// Honors the window's active mask if parameters.useMask. Returns the stretched image.
+// The optional stats object receives the run statistics (see processVeraLux())
+// outputId, the full id of the view holding the result, and masked (true if blended
+// through a mask).
+function executeStretchOnView(view, parameters, progressCallback, stats) {
+   if (!view || view.isNull) throw new Error("Invalid target view.");
+   var settings = (parameters instanceof VeraLuxParameters) ? parameters : new VeraLuxParameters(parameters);
+   var params = settings.stretchParams(view);
+   if (!stats) stats = {};
+   var resImg = processVeraLux(view.image, params, subProgress(progressCallback, 0, 0.9), stats);
+   var mask = settings.useMask ? getViewMask(view) : null;
+   if (mask) {
+      if (progressCallback) progressCallback("Applying mask...", 0.9);
+      resImg = applyMaskBlend(view.image, resImg, mask);
+      stats.masked = true;
+   }
+   var record = stretchHistoryRecord(settings, params, stats);
+   if (settings.outputMode === "new_window") {
+      var w = createOutputWindow(view.window, resImg, view.id + settings.outputSuffix);
+      writeProcessingHistory(w.mainView, record);
+      w.show();
+      stats.outputId = w.mainView.fullId;
+   } else {
+      view.beginProcess();
+      view.image.assign(resImg);
+      view.endProcess();
+      writeProcessingHistory(view, record);
+      stats.outputId = view.fullId;
+   }
+   return resImg;
+}
+
+// Reconstructs the linear data of a VeraLux-stretched view into a new window
+// (id = view id + "_linear"). parameters must carry the recorded statistics as
+// linked stats (see VeraLuxParameters.setLinkedStats()).
+// Returns { window, roundTrip } with roundTrip from inverseRoundTripError().
+function executeInverseOnView(view, parameters, progressCallback) {
+   if (!view || view.isNull) throw new Error("Invalid target view.");
+   var settings = (parameters instanceof VeraLuxParameters) ? parameters.clone() : new VeraLuxParameters(parameters);
+   settings.linked = true;
+   var params = settings.stretchParams(view);
+   var linear = invertVeraLux(view.image, params, subProgress(progressCallback, 0, 0.7));
+   if (progressCallback) progressCallback("Measuring round-trip error...", 0.7);
+   var roundTrip = inverseRoundTripError(view.image, linear, params, subProgress(progressCallback, 0.7, 1.0));
+   var w = createOutputWindow(view.window, linear, view.id + "_linear");
+   w.show();
+   return { window: w, roundTrip: roundTrip };
+}
+
+// Exports the stretch of view (see exportStretch()) as a process instance:
+// PixelMath when exact, else CurvesTransformation (linear interpolation).
+// Returns exportStretch()'s result with the ProcessInstance as instance.
+function executeStretchExport(view, parameters, progressCallback) {
+   if (!view || view.isNull) throw new Error("Invalid target view.");
+   var settings = (parameters instanceof VeraLuxParameters) ? parameters : new VeraLuxParameters(parameters);
+   var result = exportStretch(view.image, settings.stretchParams(view), progressCallback);
+   var P;
+   if (result.kind === "pixelmath") {
+      P = new PixelMath;
+      P.expression = result.expression;
+      P.useSingleExpression = true;
+      P.symbols = result.symbols;
+      P.rescale = false;
+      P.truncate = true;
+      P.createNewImage = false;
+   } else {
+      P = new CurvesTransformation;
+      P.K = result.points;
+      P.Kt = CurvesTransformation.prototype.Linear;
+   }
+   result.instance = P;
+   return result;
+}
+
+// Color fidelity of the stretch of view with parameters (the view is not
+// modified): shows the hue and saturation heatmaps as new windows. Returns
+// { hueWindow, saturationWindow, audit } (see colorFidelityAudit()).
+function executeColorFidelity(view, parameters, progressCallback) {
+   if (!view || view.isNull) throw new Error("Invalid target view.");
+   if (view.image.numberOfChannels !== 3) throw new Error("Color fidelity requires an RGB image.");
+   var settings = (parameters instanceof VeraLuxParameters) ? parameters : new VeraLuxParameters(parameters);
+   var params = settings.stretchParams(view);
+   var stats = {};
+   var output = processVeraLux(view.image, params, subProgress(progressCallback, 0, 0.6), stats);
+   if (progressCallback) progressCallback("Measuring color fidelity...", 0.6);
+   var audit = colorFidelityAudit(view.image, output, params, stats, subProgress(progressCallback, 0.6, 1.0));
+   var hueWindow = createOutputWindow(null, audit.hueMap, view.id + "_hue_shift");
+   var saturationWindow = createOutputWindow(null, audit.saturationMap, view.id + "_sat_shift");
+   hueWindow.show(); saturationWindow.show();
+   return { hueWindow: hueWindow, saturationWindow: saturationWindow, audit: audit };
+}
+
+// Composes a linear starmask over a stretched starless base (main views or
+// previews of the same size). Honors the base window's active mask if
+// parameters.starUseMask. Returns the new ImageWindow.
+function executeStarComposition(maskView, baseView, parameters, progressCallback) {
+   if (!maskView || maskView.isNull || !baseView || baseView.isNull)
+      throw new Error("Could not retrieve Views. Check if images were closed.");
+   var settings = (parameters instanceof VeraLuxParameters) ? parameters : new VeraLuxParameters(parameters);
+   var starParams = settings.starParams(maskView);
+   var stars = processStarPipeline(maskView.image, starParams, subProgress(progressCallback, 0, 0.85));
+   if (progressCallback) progressCallback("Compositing...", 0.85);
+   var base = baseView.image;
+   var final = composeStarImages(stars, base, settings.screenBlend);
+   var mask = settings.starUseMask ? getViewMask(baseView) : null;
+   if (mask) {
+      if (progressCallback) progressCallback("Applying mask...", 0.95);
+      final = applyMaskBlend(base, final, mask);
+   }
+
+   var w = new ImageWindow(final.width, final.height, final.numberOfChannels, 32, true, final.isColor, "VeraLux_StarComposer");
+   w.mainView.beginProcess(); w.mainView.image.assign(final); w.mainView.endProcess();
+   writeProcessingHistory(w.mainView, starHistoryRecord(settings, starParams, maskView, baseView));
+   w.show();
+   return w;
+}
+
+// -----------------------------------------------------------------------------
+//  Processing history (FITS keywords & XISF properties)
+// -----------------------------------------------------------------------------
+// Outputs carry the settings and statistics of the run as VLX* keywords (plus a
+// readable HISTORY summary) and VeraLux:* XISF properties. Keywords of a
+// previous run are replaced; HISTORY lines accumulate.
+
+var HISTORY_KEYWORD_PREFIX = "VLX";
+var HISTORY_PROPERTY_PREFIX = "VeraLux:";
+
+// type: "s" string, "n" number, "b" boolean
+var HISTORY_FIELDS = [
+   { key: "version",             keyword: "VLXVER",   type: "s", comment: "VeraLux version" },
+   { key: "module",              keyword: "VLXMOD",   type: "s", comment: "VeraLux module (stretch/star)" },
+   { key: "processingMode",      keyword: "VLXMODE",  type: "s", comment: "Processing mode" },
+   { key: "sensorProfile",       keyword: "VLXSENS",  type: "s", comment: "Sensor profile" },
+   { key: "weightR",             keyword: "VLXWR",    type: "n", comment: "Luminance weight R" },
+   { key: "weightG",             keyword: "VLXWG",    type: "n", comment: "Luminance weight G" },
+   { key: "weightB",             keyword: "VLXWB",    type: "n", comment: "Luminance weight B" },
+   { key: "adaptive",            keyword: "VLXADAPT", type: "b", comment: "Adaptive anchor" },
+   { key: "anchor",              keyword: "VLXANCH",  type: "n", comment: "Computed black point anchor" },
+   { key: "logD",                keyword: "VLXLOGD",  type: "n", comment: "Stretch intensity (Log D)" },
+   { key: "protectB",            keyword: "VLXB",     type: "n", comment: "Highlight protection (b)" },
+   { key: "convergence",         keyword: "VLXCONV",  type: "n", comment: "Star core convergence" },
+   { key: "colorGrip",           keyword: "VLXGRIP",  type: "n", comment: "Color grip" },
+   { key: "shadowConvergence",   keyword: "VLXSHCV",  type: "n", comment: "Shadow convergence" },
+   { key: "unified",             keyword: "VLXSTRAT", type: "n", comment: "Unified strategy" },
+   { key: "targetBg",            keyword: "VLXTBG",   type: "n", comment: "Target background" },
+   { key: "symmetryPoint",       keyword: "VLXSP",    type: "n", comment: "GHS symmetry point" },
+   { key: "shadowProtection",    keyword: "VLXLP",    type: "n", comment: "GHS shadow protection" },
+   { key: "highlightProtection", keyword: "VLXHP",    type: "n", comment: "GHS highlight protection" },
+   { key: "globalFloor",         keyword: "VLXFLOOR", type: "n", comment: "Adaptive scaling floor" },
+   { key: "finalScale",          keyword: "VLXSCALE", type: "n", comment: "Adaptive scaling factor" },
+   { key: "mtfM",                keyword: "VLXMTFM",  type: "n", comment: "Background MTF midtones (0 = none)" },
+   { key: "pedestal",            keyword: "VLXPED",   type: "n", comment: "Stretch pedestal" },
+   { key: "masked",              keyword: "VLXMASKD", type: "b", comment: "Blended through a mask" },
+   { key: "starMaskId",          keyword: "VLXSMASK", type: "s", comment: "StarComposer starmask" },
+   { key: "starBaseId",          keyword: "VLXSBASE", type: "s", comment: "StarComposer starless base" },
+   { key: "blendMode",           keyword: "VLXBLEND", type: "s", comment: "Star blend mode (add/screen)" },
+   { key: "starAdaptive",        keyword: "VLXSADPT", type: "b", comment: "Star adaptive anchor" },
+   { key: "starLogD",            keyword: "VLXSLOGD", type: "n", comment: "Star intensity (Log D)" },
+   { key: "starProtectB",        keyword: "VLXSB",    type: "n", comment: "Star hardness (b)" },
+   { key: "starGrip",            keyword: "VLXSGRIP", type: "n", comment: "Star color grip" },
+   { key: "lsr",                 keyword: "VLXLSR",   type: "n", comment: "Large structure rejection" },
+   { key: "healing",             keyword: "VLXHEAL",  type: "n", comment: "Optical healing" },
+   { key: "reduction",           keyword: "VLXRED",   type: "n", comment: "Star reduction" }
+];
+
+// History record of a HyperMetric Stretch: settings (VeraLuxParameters), the
+// processVeraLux() params and stats of the run
+function stretchHistoryRecord(settings, params, stats) {
+   return {
+      version: VERSION, module: "stretch",
+      processingMode: params.processingMode, sensorProfile: settings.sensorProfile,
+      weightR: params.weights[0], weightG: params.weights[1], weightB: params.weights[2],
+      adaptive: params.adaptive, anchor: stats.anchor,
+      logD: (stats.logD !== undefined) ? stats.logD : params.logD,
+      protectB: (stats.protectB !== undefined) ? stats.protectB : params.protectB,
+      convergence: params.convergence, colorGrip: params.colorGrip, shadowConvergence: params.shadowConvergence,
+      unified: settings.unified, targetBg: params.targetBg,
+      symmetryPoint: params.symmetryPoint || 0, shadowProtection: params.shadowProtection || 0,
+      highlightProtection: (params.highlightProtection !== undefined) ? params.highlightProtection : 1,
+      globalFloor: stats.globalFloor || 0, finalScale: stats.finalScale || 0, mtfM: stats.mtfM || 0,
+      pedestal: (typeof stats.pedestal === "number") ? stats.pedestal : STRETCH_PEDESTAL,
+      masked: stats.masked === true
+   };
+}
+
+// History record of a StarComposer run (params: processStarPipeline() form)
+function starHistoryRecord(settings, params, maskView, baseView) {
+   return {
+      version: VERSION, module: "star",
+      sensorProfile: settings.sensorProfile,
+      weightR: params.weights[0], weightG: params.weights[1], weightB: params.weights[2],
+      starMaskId: maskView.fullId, starBaseId: baseView.fullId,
+      blendMode: settings.screenBlend ? "screen" : "add",
+      starAdaptive: params.adaptive, starLogD: params.logD, starProtectB: params.protectB, starGrip: params.colorGrip,
+      lsr: params.lsr, healing: params.healing, reduction: params.reduction || 0
+   };
+}
+
+function historySummary(record) {
+   var f = function(v) { return (typeof v === "number") ? String(Math.round(v * 1e6) / 1e6) : String(v); };
+   if (record.module === "star")
+      return ["VeraLux " + record.version + " StarComposer: mask " + record.starMaskId + ", base " + record.starBaseId + ", " + record.blendMode,
+              "VeraLux StarComposer: LogD " + f(record.starLogD) + ", b " + f(record.starProtectB) + ", grip " + f(record.starGrip) +
+              ", LSR " + f(record.lsr) + ", healing " + f(record.healing) + ", reduction " + f(record.reduction)];
+   return ["VeraLux " + record.version + " HyperMetric Stretch (" + record.processingMode + "), " + record.sensorProfile,
+           "VeraLux HMS: anchor " + f(record.anchor) + ", LogD " + f(record.logD) + ", b " + f(record.protectB) +
+           ", conv " + f(record.convergence) + ", grip " + f(record.colorGrip) + ", shadow " + f(record.shadowConvergence)];
+}
+
+function historyKeywordValue(field, value) {
+   switch (field.type) {
+      case "b": return value ? "T" : "F";
+      case "n": return String(value);
+      default:  return "'" + String(value).replace(/'/g, "''") + "'";
+   }
+}
+
+// Writes record to the view's window keywords and the view's XISF properties.
+// Previews are skipped: their window holds the whole image.
+function writeProcessingHistory(view, record) {
+   if (view.isPreview) {
+      Console.warningln("VeraLux: Processing history is not recorded for previews.");
+      return;
+   }
+   var window = view.window;
+   var keywords = [];
+   var old = window.keywords;
+   for (var i = 0; i < old.length; i++)
+      if (old[i].name.indexOf(HISTORY_KEYWORD_PREFIX) !== 0) keywords.push(old[i]);
+   var summary = historySummary(record);
+   for (var i = 0; i < summary.length; i++) keywords.push(new FITSKeyword("HISTORY", "", summary[i]));
+   
+   for (var i = 0; i < HISTORY_FIELDS.length; i++) {
+      var field = HISTORY_FIELDS[i];
+      var value = record[field.key];
+      if (value === undefined || value === null) continue;
+      keywords.push(new FITSKeyword(field.keyword, historyKeywordValue(field, value), field.comment));
+      var type = (field.type === "n") ? PropType_Float64 : (field.type === "b") ? PropType_Boolean : PropType_String;
+      view.setPropertyValue(HISTORY_PROPERTY_PREFIX + field.key, value, type, PropertyAttribute_Storable | PropertyAttribute_Permanent);
+   }
+   window.keywords = keywords;
+}
+
+// History record stored in a view (XISF properties, else VLX* keywords), or null
+function readProcessingHistory(view) {
+   var mainView = view.window.mainView;
+   var record = {}; var found = false;
+   for (var i = 0; i < HISTORY_FIELDS.length; i++) {
+      var id = HISTORY_PROPERTY_PREFIX + HISTORY_FIELDS[i].key;
+      if (mainView.hasProperty(id)) { record[HISTORY_FIELDS[i].key] = mainView.propertyValue(id); found = true; }
+   }
+   if (found) return record;
+   
+   var keywords = view.window.keywords;
+   for (var k = 0; k < keywords.length; k++) {
+      var name = keywords[k].name.trim();
+      for (var i = 0; i < HISTORY_FIELDS.length; i++) {
+         var field = HISTORY_FIELDS[i];
+         if (field.keyword !== name) continue;
+         var text = keywords[k].strippedValue.trim();
+         if (field.type === "n") {
+            var v = parseFloat(text);
+            if (!isNaN(v)) { record[field.key] = v; found = true; }
+         } else if (field.type === "b") {
+            record[field.key] = (text === "T"); found = true;
+         } else {
+            record[field.key] = text; found = true;
+         }
+      }
+   }
+   return found ? record : null;
+}
+
+// Applies a history record to a copy of base (parameters of the recorded
+// module only). Returns { parameters, stats } where stats holds the recorded
+// statistics of a stretch ({ anchor, globalFloor, finalScale, mtfM, pedestal, masked })
+// or null. Records written before the pedestal was recorded get the default.
+function parametersFromHistory(record, base) {
+   var p = base ? base.clone() : new VeraLuxParameters();
+   var star = (record.module === "star");
+   var keys = star ? STAR_PARAMETER_KEYS.concat(["sensorProfile", "starMaskId", "starBaseId"]) : STRETCH_PARAMETER_KEYS;
+   for (var i = 0; i < keys.length; i++) {
+      var key = keys[i];
+      if (record[key] !== undefined && typeof record[key] === typeof DEFAULT_PARAMETERS[key]) p[key] = record[key];
+   }
+   if (star && record.blendMode !== undefined) p.screenBlend = (record.blendMode === "screen");
+   p.module = star ? "star" : "stretch";
+   var stats = null;
+   if (!star && typeof record.anchor === "number")
+      stats = { anchor: record.anchor, logD: p.logD, protectB: p.protectB,
+                globalFloor: record.globalFloor || 0, finalScale: record.finalScale || 0, mtfM: record.mtfM || 0,
+                pedestal: (typeof record.pedestal === "number") ? record.pedestal : STRETCH_PEDESTAL,
+                masked: record.masked === true };
+   return { parameters: p, stats: stats };
+}
+
+// -----------------------------------------------------------------------------
+//  Processing reports (JSON & CSV)
+// -----------------------------------------------------------------------------
+// A VeraLuxReport collects one entry per solver, audit, stretch or batch item:
+// parameters, solver/audit results, per-channel input/output statistics with
+// noise estimates, and timing. Writing to existing report files extends them,
+// so stretch consistency can be tracked across imaging sessions. Nested results
+// (the per-band color fidelity table) are only written to the JSON file.
+
+var REPORT_FORMAT = "VeraLux Report";
+var REPORT_CSV_COLUMNS = ["timestamp", "operation", "target", "width", "height", "channels", "mode", "sensorProfile",
+                          "adaptive", "logD", "protectB", "convergence", "colorGrip", "shadowConvergence", "targetBg",
+                          "anchor", "medianIn", "medianOut", "sourceClipPct", "postClipPct", "proposedLogD", "proposedB", "limitedBy",
+                          "proposedStrategy", "hueShiftMean", "hueShiftMedian", "hueShiftP95", "saturationShiftMean", "seconds"];
+var REPORT_CHANNELS = ["R", "G", "B", "K"];  // Mono images report K
+var REPORT_CHANNEL_FIELDS = ["mean", "median", "sigma", "min", "max", "noise"];
+
+// Per-channel { mean, median, sigma, min, max, noise } of img over a subset of
+// rows, keyed by channel name (R, G, B or K). noise is the Gaussian sigma
+// estimated from the MAD of horizontal pixel differences.
+function channelStatistics(img) {
+   var w = img.width; var h = img.height; var nc = img.numberOfChannels;
+   var step = Math.max(1, Math.floor(h / 256));
+   var rows = Math.ceil(h / step);
+   var row = new Float32Array(w);
+   var result = {};
+   for (var c = 0; c < nc; c++) {
+      var samples = new Float64Array(rows * w);
+      var diffs = new Float64Array(rows * Math.max(0, w - 1));
+      for (var y = 0, i = 0, j = 0; y < h; y += step) {
+         img.getSamples(row, new Rect(0, y, w, y + 1), c);
+         for (var x = 0; x < w; x++) {
+            samples[i++] = row[x];
+            if (x > 0) diffs[j++] = Math.abs(row[x] - row[x - 1]);
+         }
+      }
+      var st = VeraLuxStats.compute(samples);
+      result[(nc === 3) ? REPORT_CHANNELS[c] : "K"] = {
+         mean: st.mean, median: st.median, sigma: st.sigma, min: st.min, max: st.max,
+         noise: (diffs.length > 0) ? 1.4826 * VeraLuxStats.median(diffs) / Math.SQRT2 : 0
+      };
+   }
+   return result;
+}
+
+// ~100000 luminance samples of img, as taken by the Smart Solver
+function reportLuminanceSamples(img, weights) {
+   return VeraLuxStats.sampleLuminance(img, weights, Math.max(1, Math.floor((img.width * img.height) / 100000)));
+}
+
+// Median of the luminance samples above anchor, ignoring those at or below it
+// (medianIn of the Smart Solver; anchor 0 for stretched images)
+function reportLuminanceMedian(luma, anchor) {
+   var above = [];
+   for (var i = 0; i < luma.length; i++) {
+      var v = luma[i] - anchor;
+      if (v > 1e-7) above.push(v);
+   }
+   return above.length > 0 ? VeraLuxStats.median(above) : 0;
+}
+
+// New report entry for operation ("solver", "audit", "stretch", "batch") on an
+// image (identified by target) stretched with params (processVeraLux() form).
+// The caller fills results, input/output statistics and seconds.
+function createReportEntry(operation, target, img, settings, params) {
+   return {
+      timestamp: (new Date()).toISOString(), operation: operation, target: target,
+      width: img.width, height: img.height, channels: img.numberOfChannels,
+      mode: params.processingMode, sensorProfile: settings.sensorProfile, weights: params.weights.slice(0),
+      parameters: { adaptive: params.adaptive, logD: params.logD, protectB: params.protectB, convergence: params.convergence,
+                    colorGrip: params.colorGrip, shadowConvergence: params.shadowConvergence, targetBg: params.targetBg },
+      results: {},
+      input: null, output: null, seconds: null
+   };
+}
+
+function VeraLuxReport() {
+   this.entries = [];
+}
+
+VeraLuxReport.prototype.add = function(entry) {
+   this.entries.push(entry);
+   return entry;
+};
+
+VeraLuxReport.prototype.clear = function() {
+   this.entries = [];
+};
+
+// CSV column names: REPORT_CSV_COLUMNS, then in_/out_ per-channel statistics
+VeraLuxReport.csvColumns = function() {
+   var columns = REPORT_CSV_COLUMNS.slice(0);
+   var sides = ["in", "out"];
+   for (var s = 0; s < sides.length; s++)
+      for (var c = 0; c < REPORT_CHANNELS.length; c++)
+         for (var f = 0; f < REPORT_CHANNEL_FIELDS.length; f++)
+            columns.push(sides[s] + "_" + REPORT_CHANNELS[c] + "_" + REPORT_CHANNEL_FIELDS[f]);
+   return columns;
+};
+
+VeraLuxReport.csvHeader = function() {
+   return VeraLuxReport.csvColumns().join(",");
+};
+
+// CSV line of entry; columns (default: all) sets the order, e.g. the header of
+// an existing file written by an older version
+VeraLuxReport.csvRow = function(entry, columns) {
+   var cell = function(v) {
+      if (v === undefined || v === null) return "";
+      if (typeof v === "boolean") return v ? "1" : "0";
+      var text = String(v);
+      return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+   };
+   var flat = {};
+   for (var key in entry.parameters) flat[key] = entry.parameters[key];
+   for (var key in entry.results) flat[key] = entry.results[key];
+   var values = {};
+   for (var i = 0; i < REPORT_CSV_COLUMNS.length; i++) {
+      var column = REPORT_CSV_COLUMNS[i];
+      values[column] = (entry[column] !== undefined && typeof entry[column] !== "object") ? entry[column] : flat[column];
+   }
+   var sides = [entry.input, entry.output]; var prefixes = ["in", "out"];
+   for (var s = 0; s < sides.length; s++)
+      for (var c = 0; c < REPORT_CHANNELS.length; c++)
+         for (var f = 0; f < REPORT_CHANNEL_FIELDS.length; f++) {
+            var stats = sides[s] ? sides[s][REPORT_CHANNELS[c]] : null;
+            values[prefixes[s] + "_" + REPORT_CHANNELS[c] + "_" + REPORT_CHANNEL_FIELDS[f]] = stats ? stats[REPORT_CHANNEL_FIELDS[f]] : null;
+         }
+   return (columns || VeraLuxReport.csvColumns()).map(function(column) { return cell(values[column]); }).join(",");
+};
+
+// Writes the entries to basePath + ".json" and ".csv", appending to existing
+// VeraLux report files (an existing CSV keeps its columns: new ones are only in
+// the JSON file). Returns { json, csv } file paths.
+VeraLuxReport.prototype.write = function(basePath) {
+   basePath = basePath.replace(/\.(json|csv)$/i, "");
+   var jsonPath = basePath + ".json"; var csvPath = basePath + ".csv";
+   var header = VeraLuxReport.csvHeader();
+   var columns = null;   // Current layout
+   
+   var entries = this.entries;
+   if (File.exists(jsonPath)) {
+      var data = JSON.parse(File.readTextFile(jsonPath));
+      if (!data || data.format !== REPORT_FORMAT || !(data.entries instanceof Array))
+         throw new Error("Not a VeraLux report file: " + jsonPath);
+      entries = data.entries.concat(entries);
+   }
+   var lines = [];
+   if (File.exists(csvPath)) {
+      lines = File.readTextFile(csvPath).split(/\r?\n/).filter(function(l) { return l.length > 0; });
+      // Files of older versions have fewer columns: keep their layout
+      var known = VeraLuxReport.csvColumns();
+      columns = (lines.length > 0) ? lines[0].split(",") : [];
+      for (var i = 0; i < columns.length; i++)
+         if (known.indexOf(columns[i]) < 0) throw new Error("Incompatible VeraLux report columns: " + csvPath);
+   } else {
+      lines.push(header);
+   }
+   for (var i = 0; i < this.entries.length; i++) lines.push(VeraLuxReport.csvRow(this.entries[i], columns));
+   
+   File.writeTextFile(jsonPath, JSON.stringify({ format: REPORT_FORMAT, version: VERSION, entries: entries }, null, 3));
+   File.writeTextFile(csvPath, lines.join("\n") + "\n");
+   return { json: jsonPath, csv: csvPath };
+};
+
+// -----------------------------------------------------------------------------
+//  Batch HyperMetric Stretch
+// -----------------------------------------------------------------------------
+var BATCH_AUTOCALC_OFF = "off";             // Use parameters.logD for every image
+var BATCH_AUTOCALC_PER_IMAGE = "per_image"; // Smart Solver on each image
+var BATCH_AUTOCALC_SHARED = "shared";       // Smart Solver on the reference, same Log D for all
+var BATCH_AUTOCALC_LINKED = "linked";       // As shared, plus the reference's frozen statistics (Linked Stretch)
+
+// Expands {name}, {index} and {logd} in an output naming template
+function formatBatchOutputName(template, name, index, logD) {
+   var index3 = ("00" + index).slice(-3);
+   return template.replace(/\{name\}/g, name).replace(/\{index\}/g, index3).replace(/\{logd\}/g, logD.toFixed(2));
+}
+
+function sanitizeViewId(id) {
+   var clean = id.replace(/[^A-Za-z0-9_]/g, "_");
+   return /^[0-9]/.test(clean) ? "_" + clean : clean;
+}
+
+// Opens a batch item. Returns { view, window, owned }; owned windows must be closed by the caller.
+function openBatchItem(item) {
+   if (item.view) {
+      if (item.view.isNull) throw new Error("View no longer exists.");
+      return { view: item.view, window: item.view.window, owned: false };
+   }
+   var windows = ImageWindow.open(item.filePath);
+   if (!windows || windows.length === 0) throw new Error("Cannot open file: " + item.filePath);
+   for (var i = 1; i < windows.length; i++) windows[i].forceClose();
+   return { view: windows[0].mainView, window: windows[0], owned: true };
+}
+
+// Runs processVeraLux over a list of images with the same parameters.
+//
+// items:   [{ name, filePath }] and/or [{ name, view }]
+// options: { autoCalc, referenceIndex, outputDir, template, extension, report }
+//          Output always goes to new files or windows: the Output mode setting is ignored and
+//          sources are never modified. Without outputDir, open views are stretched into new
+//          windows (files require outputDir). Use mask blends through the active mask of open views.
+//          With report (a VeraLuxReport), an entry is added for each stretched item.
+//
+// Returns one summary row per item: { name, anchor, logD, clipPct, output, error }.
+// A VeraLuxAbort from progressCallback stops the batch after marking the current item.
+function runBatchStretch(items, parameters, options, progressCallback) {
+   var settings = (parameters instanceof VeraLuxParameters) ? parameters : new VeraLuxParameters(parameters);
+   var template = options.template || "{name}_vlx";
+   var extension = options.extension || ".xisf";
+   var log = function(msg) { if (progressCallback) progressCallback(msg); };
+   
+   var sharedLogD = settings.logD;
+   var sharedB = settings.protectB;
+   var sharedStrategy = null;
+   var linkedStats = null;
+   if (options.autoCalc === BATCH_AUTOCALC_SHARED || options.autoCalc === BATCH_AUTOCALC_LINKED) {
+      var ref = items[options.referenceIndex || 0];
+      if (!ref) throw new Error("Invalid batch reference image.");
+      log("Batch: Solving shared Log D on reference " + ref.name + "...");
+      var refItem = openBatchItem(ref);
+      try {
+         var baseParams = settings.stretchParams(refItem.view);
+         var refSolution = settings.autoCalc(refItem.view.image, baseParams);
+         if (refSolution) {
+            sharedLogD = refSolution.logD; sharedB = refSolution.protectB;
+            if (refSolution.strategy) sharedStrategy = refSolution.strategy.value;
+         }
+         if (options.autoCalc === BATCH_AUTOCALC_LINKED) {
+            log("Batch: Capturing reference statistics for Linked Stretch...");
+            baseParams.logD = sharedLogD;
+            baseParams.protectB = sharedB;
+            if (sharedStrategy !== null) settings.clone().applyStrategy(sharedStrategy, baseParams);
+            linkedStats = captureLinkedStretch(refItem.view.image, baseParams);
+         }
+      } finally {
+         if (refItem.owned) refItem.window.forceClose();
+      }
+      log("Batch: Shared Log D = " + sharedLogD.toFixed(2) + (settings.autoCalcConstraints ? ", b = " + sharedB.toFixed(2) : "") +
+          (sharedStrategy !== null ? ", Strategy = " + sharedStrategy : ""));
+   }
+   
+   var rows = [];
+   var aborted = false;
+   for (var i = 0; i < items.length && !aborted; i++) {
+      var item = items[i];
+      var row = { name: item.name, anchor: null, logD: null, clipPct: null, output: "", error: null };
+      var prefix = "[" + (i + 1) + "/" + items.length + "] " + item.name + ": ";
+      var itemProgress = subProgress(progressCallback, i / items.length, (i + 1) / items.length);
+      var opened = null;
+      try {
+         if (progressCallback) progressCallback(prefix + "Starting...", i / items.length);
+         if (!item.view && !options.outputDir) throw new Error("An output directory is required for file inputs.");
+         var startTime = Date.now();
+         opened = openBatchItem(item);
+         var img = opened.view.image;
+         
+         var itemSettings = settings.clone();   // Unified Strategy may differ per item
+         var params = itemSettings.stretchParams(opened.view);
+         if (options.autoCalc === BATCH_AUTOCALC_PER_IMAGE) {
+            var solution = itemSettings.autoCalc(img, params);
+            if (solution) { params.logD = solution.logD; params.protectB = solution.protectB; }
+            if (solution && solution.strategy) itemSettings.applyStrategy(solution.strategy.value, params);
+         } else if (options.autoCalc === BATCH_AUTOCALC_SHARED) {
+            params.logD = sharedLogD; params.protectB = sharedB;
+            if (sharedStrategy !== null) itemSettings.applyStrategy(sharedStrategy, params);
+         } else if (options.autoCalc === BATCH_AUTOCALC_LINKED) {
+            params.logD = sharedLogD; params.protectB = sharedB;
+            if (sharedStrategy !== null) itemSettings.applyStrategy(sharedStrategy, params);
+            params.linked = linkedStats;
+         }
+         
+         var stats = {};
+         var resImg = processVeraLux(img, params, itemProgress && function(msg, fraction) {
+            itemProgress((msg && !msg.match(/Stretching: \d+%/)) ? prefix + msg : null, fraction);
+         }, stats);
+         var mask = itemSettings.useMask ? getViewMask(opened.view) : null;   // Files never carry a mask
+         if (mask) { resImg = applyMaskBlend(img, resImg, mask); stats.masked = true; }
+         var audit = auditClipping(img, params, stats.anchor);
+         row.anchor = stats.anchor; row.logD = params.logD; row.clipPct = audit.postClipPct;
+         var entry = null;
+         if (options.report) {
+            entry = createReportEntry("batch", item.filePath || opened.view.fullId, img, itemSettings, params);
+            entry.results = { anchor: stats.anchor, medianIn: reportLuminanceMedian(reportLuminanceSamples(img, params.weights), stats.anchor),
+                              medianOut: reportLuminanceMedian(reportLuminanceSamples(resImg, params.weights), 0),
+                              sourceClipPct: audit.sourceClipPct, postClipPct: audit.postClipPct };
+            entry.input = channelStatistics(img);
+            entry.output = channelStatistics(resImg);
+         }
+         
+         var record = stretchHistoryRecord(itemSettings, params, stats);
+         var outName = formatBatchOutputName(template, item.name, i + 1, params.logD);
+         if (options.outputDir) {
+            var outPath = options.outputDir + "/" + outName + extension;
+            var outWindow = opened.owned ? opened.window : createOutputWindow(opened.window, resImg, outName);
+            if (opened.owned) { outWindow.mainView.beginProcess(); outWindow.mainView.image.assign(resImg); outWindow.mainView.endProcess(); }
+            writeProcessingHistory(outWindow.mainView, record);
+            if (!outWindow.saveAs(outPath, false, false, false, false)) throw new Error("Cannot write " + outPath);
+            if (!opened.owned) outWindow.forceClose();
+            row.output = outPath;
+         } else {
+            var w = createOutputWindow(opened.window, resImg, outName);
+            writeProcessingHistory(w.mainView, record);
+            w.show();
+            row.output = w.mainView.id;
+         }
+         if (entry) {
+            entry.seconds = (Date.now() - startTime) / 1000;   // Includes the save
+            options.report.add(entry);
+         }
+         log(prefix + "Done (Anchor=" + row.anchor.toFixed(5) + ", LogD=" + row.logD.toFixed(2) + ", Clip=" + row.clipPct.toFixed(2) + "%)");
+      } catch(e) {
+         aborted = (e instanceof VeraLuxAbort);
+         if (!(aborted && row.output)) row.error = aborted ? "Aborted" : "" + e;   // Saved items stay finished
+         try {
+            log(prefix + (aborted ? "Aborted." : "FAILED: " + e));
+         } catch(logError) {
+            if (!(logError instanceof VeraLuxAbort)) throw logError;
+            aborted = true;   // Abort pressed while reporting the failure
+         }
+      } finally {
+         if (opened && opened.owned) opened.window.forceClose();
+      }
+      rows.push(row);
+      processEvents();
+   }
+   return rows;
+}
+
+// =============================================================================
+//  PREVIEW CONTROL (ScrollControl Widget)
+// =============================================================================
+
+// Auto-STF (PixInsight defaults: shadows clipping -2.8 MADN, target background 0.25)
+var AUTO_STF_SHADOWS_CLIP = -2.8;
+var AUTO_STF_TARGET_BG = 0.25;
+
+// Linked auto-STF'd copy of a linear image, shown as "before" in comparisons.
+// Like the linked ScreenTransferFunction, channel medians and clipping points
+// are averaged into one transfer function.
+function autoSTFImage(image) {
+   var w = image.width; var h = image.height; var nc = image.numberOfChannels;
+   var step = Math.max(1, Math.floor(h / 256));
+   var row = new Float32Array(w);
+   var c0 = 0; var median = 0;
+   for (var c = 0; c < nc; c++) {
+      var samples = [];
+      for (var y = 0; y < h; y += step) {
+         image.getSamples(row, new Rect(0, y, w, y + 1), c);
+         for (var x = 0; x < w; x++) samples.push(row[x]);
+      }
+      var med = VeraLuxStats.median(samples);
+      var dev = samples.map(function(v) { return Math.abs(v - med); });
+      var madn = 1.4826 * VeraLuxStats.median(dev);
+      c0 += ((madn > 0) ? Math.max(0, Math.min(1, med + AUTO_STF_SHADOWS_CLIP * madn)) : 0) / nc;
+      median += med / nc;
+   }
+   var m = computeBackgroundMTF(median - c0, AUTO_STF_TARGET_BG);
+   if (m === null) m = 0.5;
+   var result = new Image(image);
+   var range = Math.max(1e-9, 1 - c0);
+   for (var c = 0; c < nc; c++) {
+      for (var y = 0; y < h; y++) {
+         var rowRect = new Rect(0, y, w, y + 1);
+         result.getSamples(row, rowRect, c);
+         for (var x = 0; x < w; x++) row[x] = VeraLuxCore.applyMTF((row[x] - c0) / range, m);
+         result.setSamples(row, rowRect, c);
+      }
+   }
+   return result;
+}
+
+// Comparison modes of ScrollControl (compareImage = before, displayImage = after)
+var COMPARE_OFF = "off";
+var COMPARE_SPLIT = "split";       // Draggable vertical split, before on the left
+var COMPARE_SIDE = "side";         // Side-by-side panes, before on the left
+var COMPARE_BLINK = "blink";       // Alternates before/after
+var COMPARE_MODES = [COMPARE_OFF, COMPARE_SPLIT, COMPARE_SIDE, COMPARE_BLINK];
+var COMPARE_BLINK_INTERVAL = 0.7;  // Seconds
+var COMPARE_SPLIT_GRAB = 6;        // Viewport pixels around the split line that move it
+
+// Clipping overlay modes of ScrollControl
+var OVERLAY_OFF = "off";
+var OVERLAY_SHADOWS = "shadows";
+var OVERLAY_HIGHLIGHTS = "highlights";
+var OVERLAY_BOTH = "both";
+var OVERLAY_MODES = [OVERLAY_OFF, OVERLAY_SHADOWS, OVERLAY_HIGHLIGHTS, OVERLAY_BOTH];
+var OVERLAY_SHADOW_COLOR = 0xff0080ff;
+var OVERLAY_HIGHLIGHT_COLOR = 0xffff2020;
+
+function ScrollControl(parent) {
+   this.__base__ = ScrollBox;
+   this.__base__(parent);
+   var self = this;
+
+   this.scrollPosition = new Point(0, 0);
+   this.zoomFactor = 1.0;
+   this.minZoomFactor = 0.1;
+   this.maxZoomFactor = 10.0;
+   this.autoScroll = true;
+   this.tracking = true;
+   this.displayImage = null;
+   this.dragging = false;
+   this.dragOrigin = new Point(0, 0);
+   this.dragMoved = false;
+   this.onImageClick = null;   // function(imageX, imageY, displayImage) for clicks without dragging
+   // Before/after comparison: all panes share scrollPosition and zoomFactor
+   this.compareImage = null;   // Same geometry as displayImage, or null (no comparison)
+   this.compareMode = COMPARE_OFF;
+   this.splitPosition = 0.5;   // Fraction of the viewport width
+   this.draggingSplit = false;
+   this.blinkBefore = false;
+   this.blinkTimer = new Timer;
+   this.blinkTimer.interval = COMPARE_BLINK_INTERVAL;
+   this.blinkTimer.periodic = true;
+   this.blinkTimer.onTimeout = function () {
+      self.blinkBefore = !self.blinkBefore;
+      self.viewport.update();
+   };
+   // Clipping overlay over displayImage (see clippingMap())
+   this.clipMap = null;
+   this.overlayMode = OVERLAY_OFF;
+   this.overlayBitmap = null;
+
+   this.setClippingMap = function (map) {
+      this.clipMap = map;
+      this.overlayBitmap = null;
+      this.viewport.update();
+   };
+
+   this.setOverlayMode = function (mode) {
+      this.overlayMode = mode;
+      this.overlayBitmap = null;
+      this.viewport.update();
+   };
+
+   // False-color bitmap of the clipped pixels selected by overlayMode, or null
+   this.overlayFor = function (image) {
+      const map = this.clipMap;
+      if (this.overlayMode === OVERLAY_OFF || !map || !image || map.width !== image.width || map.height !== image.height)
+         return null;
+      if (!this.overlayBitmap) {
+         const showShadows = this.overlayMode !== OVERLAY_HIGHLIGHTS;
+         const showHighlights = this.overlayMode !== OVERLAY_SHADOWS;
+         const bitmap = new Bitmap(map.width, map.height);
+         bitmap.fill(0x00000000);
+         for (var i = 0; i < map.codes.length; i++) {
+            const code = map.codes[i];
+            if ((code & CLIP_HIGHLIGHT) && showHighlights)
+               bitmap.setPixel(i % map.width, Math.floor(i / map.width), OVERLAY_HIGHLIGHT_COLOR);
+            else if ((code & CLIP_SHADOW) && showShadows)
+               bitmap.setPixel(i % map.width, Math.floor(i / map.width), OVERLAY_SHADOW_COLOR);
+         }
+         this.overlayBitmap = bitmap;
+      }
+      return this.overlayBitmap;
+   };
+
+   this.getImage = function () {
+      return this.displayImage;
+   };
+
+   this.comparing = function () {
+      return this.compareMode !== COMPARE_OFF && this.compareImage !== null && this.displayImage !== null &&
+             this.compareImage.width === this.displayImage.width && this.compareImage.height === this.displayImage.height;
+   };
+
+   this.setCompareMode = function (mode) {
+      this.compareMode = mode;
+      this.blinkBefore = false;
+      if (mode === COMPARE_BLINK) this.blinkTimer.start(); else this.blinkTimer.stop();
+      this.initScrollBars();
+   };
+
+   // Width of one pane: side-by-side halves the viewport
+   this.paneWidth = function () {
+      return (this.comparing() && this.compareMode === COMPARE_SIDE) ? Math.floor(this.viewport.width / 2) : this.viewport.width;
+   };
+
+   // Image shown at viewport x: { image, before, x } with x relative to its pane
+   this.imageAt = function (x) {
+      if (!this.comparing()) return { image: this.displayImage, before: false, x: x };
+      var pw = this.paneWidth();
+      switch (this.compareMode) {
+         case COMPARE_SPLIT: var before = x < this.splitPosition * this.viewport.width;
+                             return { image: before ? this.compareImage : this.displayImage, before: before, x: x };
+         case COMPARE_SIDE:  return (x < pw) ? { image: this.compareImage, before: true, x: x }
+                                             : { image: this.displayImage, before: false, x: x - pw };
+         default:            return { image: this.blinkBefore ? this.compareImage : this.displayImage, before: this.blinkBefore, x: x };
+      }
+   };
+
+   this.doUpdateImage = function (image) {
+      if (image)
+         this.displayImage = image;
+
+      this.scrollPosition = new Point(0, 0);
+      this.initScrollBars();
+      this.viewport.update();
+   };
+
+   this.initScrollBars = function () {
+      const image = this.getImage();
+      if (!image || image.width <= 0 || image.height <= 0) {
+         this.setHorizontalScrollRange(0, 0);
+         this.setVerticalScrollRange(0, 0);
+         this.scrollPosition = new Point(0, 0);
+      } else {
+         const zoomedWidth = image.width * this.zoomFactor;
+         const zoomedHeight = image.height * this.zoomFactor;
+
+         this.setHorizontalScrollRange(0, Math.max(0, zoomedWidth - this.paneWidth()));
+         this.setVerticalScrollRange(0, Math.max(0, zoomedHeight - this.viewport.height));
+
+         this.scrollPosition = new Point(
+            Math.min(this.scrollPosition.x, zoomedWidth - this.paneWidth()),
+            Math.min(this.scrollPosition.y, zoomedHeight - this.viewport.height)
+         );
+      }
+      this.viewport.update();
+   };
+
+   this.viewport.onResize = function () {
+      this.parent.initScrollBars();
+   };
+
+   this.onHorizontalScrollPosUpdated = function (x) {
+      this.viewport.update();
+   };
+
+   this.onVerticalScrollPosUpdated = function (y) {
+      this.viewport.update();
+   };
+
+   this.viewport.onMousePress = function (x, y, button, buttons, modifiers) {
+      this.cursor = new Cursor(StdCursor_ClosedHand);
+      const parent = this.parent;
+      if (parent.comparing() && parent.compareMode === COMPARE_SPLIT &&
+          Math.abs(x - parent.splitPosition * this.width) <= COMPARE_SPLIT_GRAB) {
+         parent.draggingSplit = true;
+         return;
+      }
+      this.parent.dragging = true;
+      this.parent.dragMoved = false;
+      this.parent.dragOrigin = new Point(x, y);
+   };
+
+   this.viewport.onMouseMove = function(x, y, buttons, modifiers) {
+      if (this.parent.draggingSplit) {
+         this.parent.splitPosition = Math.max(0, Math.min(1, x / this.width));
+         this.update();
+         return;
+      }
+      const shown = this.parent.imageAt(x);
+      const image = shown.image;
+      if (!image)
+         return;
+
+      with (this.parent) {
+         if (dragging) {
+            if (x !== dragOrigin.x || y !== dragOrigin.y) this.parent.dragMoved = true;
+            this.parent.scrollPosition = new Point(this.parent.scrollPosition)
+               .translatedBy((dragOrigin.x - x), (dragOrigin.y - y));
+            dragOrigin.x = x;
+            dragOrigin.y = y;
+         } else {
+            var imageX = Math.floor((shown.x / zoomFactor + this.parent.scrollPosition.x));
+            var imageY = Math.floor((y / zoomFactor + this.parent.scrollPosition.y));
+
+            if (image && imageX >= 0 && imageX < image.width && imageY >= 0 && imageY < image.height) {
+               if (image.isColor) {
+                  let pixelValue = [
+                     image.sample(imageX, imageY, 0),
+                     image.sample(imageX, imageY, 1),
+                     image.sample(imageX, imageY, 2)
+                  ];
+                  parent.pixelValueLabel.text = (shown.before ? "Before (STF) " : "") +
+                     "RGB: R=" + pixelValue[0].toFixed(3) +
+                     ", G=" + pixelValue[1].toFixed(3) +
+                     ", B=" + pixelValue[2].toFixed(3);
+               } else {
+                  let v = image.sample(imageX, imageY);
+                  parent.pixelValueLabel.text = (shown.before ? "Before (STF) " : "") + "K Value: " + v.toFixed(3);
+               }
+            } else {
+               parent.pixelValueLabel.text = "Pixel Value: Out of Bounds";
+            }
+         }
+      }
+   };
+
+   this.viewport.onMouseRelease = function (x, y, button, buttons, modifiers) {
+      this.cursor = new Cursor(StdCursor_Arrow);
+      const parent = this.parent;
+      if (parent.draggingSplit) {
+         parent.draggingSplit = false;
+         return;
+      }
+      this.parent.dragging = false;
+      const image = parent.getImage();
+      x = parent.imageAt(x).x;
+      if (!parent.dragMoved && image && parent.onImageClick) {
+         var imageX = Math.floor(x / parent.zoomFactor + parent.scrollPosition.x);
+         var imageY = Math.floor(y / parent.zoomFactor + parent.scrollPosition.y);
+         if (imageX >= 0 && imageX < image.width && imageY >= 0 && imageY < image.height)
+            parent.onImageClick(imageX, imageY, image);
+      }
+   };
+
+   this.viewport.onMouseWheel = function (x, y, delta) {
+      const parent = this.parent;
+      const oldZoomFactor = parent.zoomFactor;
+      x = parent.imageAt(x).x;   // Zoom around the point under the cursor in its pane
+
+      if (delta > 0)
+         parent.zoomFactor = Math.min(parent.zoomFactor * 1.25, parent.maxZoomFactor);
+      else if (delta < 0)
+         parent.zoomFactor = Math.max(parent.zoomFactor * 0.8, parent.minZoomFactor);
+
+      const zoomRatio = parent.zoomFactor / oldZoomFactor;
+
+      parent.scrollPosition = new Point(
+         (parent.scrollPosition.x + x) * zoomRatio - x,
+         (parent.scrollPosition.y + y) * zoomRatio - y
+      );
+
+      parent.initScrollBars();
+      this.update();
+   };
+
+   this.viewport.onPaint = function (x0, y0, x1, y1) {
+      const g = new Graphics(this);
+      const image = this.parent.getImage();
+      const zoomFactor = this.parent.zoomFactor;
+
+      if (!image) {
+         g.fillRect(x0, y0, x1, y1, new Brush(0xff000000));
+      } else if (!this.parent.comparing()) {
+         g.scaleTransformation(zoomFactor);
+         g.translateTransformation(-this.parent.scrollPosition.x, -this.parent.scrollPosition.y);
+         g.drawBitmap(0, 0, this.parent.bitmapOf(image));
+         const overlay = this.parent.overlayFor(image);
+         if (overlay) g.drawBitmap(0, 0, overlay);
+      } else {
+         this.parent.paintComparison(g);
+      }
+      g.end();
+      gc();
+   };
+
+   // Rendered bitmaps of the last two images (blinking repaints constantly)
+   this.bitmapCache = [];
+   this.bitmapOf = function (image) {
+      for (var i = 0; i < this.bitmapCache.length; i++)
+         if (this.bitmapCache[i].image === image) return this.bitmapCache[i].bitmap;
+      var bitmap = image.render();
+      this.bitmapCache.push({ image: image, bitmap: bitmap });
+      if (this.bitmapCache.length > 2) this.bitmapCache.shift();
+      return bitmap;
+   };
+
+   // Draws image in the viewport strip [left, right), offsetting it by paneX
+   this.paintPane = function (g, image, left, right, paneX) {
+      g.resetTransformation();
+      g.clipRect = new Rect(left, 0, right, this.viewport.height);
+      g.translateTransformation(paneX, 0);
+      g.scaleTransformation(this.zoomFactor);
+      g.translateTransformation(-this.scrollPosition.x, -this.scrollPosition.y);
+      g.drawBitmap(0, 0, this.bitmapOf(image));
+      if (image === this.displayImage) {
+         const overlay = this.overlayFor(image);
+         if (overlay) g.drawBitmap(0, 0, overlay);
+      }
+   };
+
+   this.paintCaption = function (g, x, text) {
+      g.resetTransformation();
+      g.clipping = false;
+      g.pen = new Pen(0xff000000);
+      g.drawText(x + 7, 17, text);
+      g.pen = new Pen(0xffffffff);
+      g.drawText(x + 6, 16, text);
+   };
+
+   this.paintComparison = function (g) {
+      var w = this.viewport.width; var h = this.viewport.height;
+      g.fillRect(0, 0, w, h, new Brush(0xff000000));
+      if (this.compareMode === COMPARE_SPLIT) {
+         var splitX = Math.round(this.splitPosition * w);
+         this.paintPane(g, this.compareImage, 0, splitX, 0);
+         this.paintPane(g, this.displayImage, splitX, w, 0);
+         this.paintCaption(g, 0, "Before");
+         this.paintCaption(g, splitX, "After");
+         g.pen = new Pen(0xffffd700, 2);
+         g.drawLine(splitX, 0, splitX, h);
+      } else if (this.compareMode === COMPARE_SIDE) {
+         var pw = this.paneWidth();
+         this.paintPane(g, this.compareImage, 0, pw, 0);
+         this.paintPane(g, this.displayImage, pw, w, pw);
+         this.paintCaption(g, 0, "Before");
+         this.paintCaption(g, pw, "After");
+         g.pen = new Pen(0xff808080, 1);
+         g.drawLine(pw, 0, pw, h);
+      } else {
+         this.paintPane(g, this.blinkBefore ? this.compareImage : this.displayImage, 0, w, 0);
+         this.paintCaption(g, 0, this.blinkBefore ? "Before" : "After");
+      }
+   };
+
+   this.initScrollBars();
+}
+ScrollControl.prototype = new ScrollBox;
+
+// =============================================================================
+//  PREVIEW HISTOGRAM
+// =============================================================================
+
+var HISTOGRAM_BINS = 256;
+var HISTOGRAM_LOG_MIN = -5;           // Input axis: log10 levels 1e-5 .. 1
+var HISTOGRAM_MAX_SAMPLES = 1000000;  // Larger images are sampled by rows
+var HISTOGRAM_CLIP_EPSILON = 1e-6;
+
+// Input level of the 2.7 sigma floor of applyAdaptiveScaling() (stats from
+// processVeraLux()): stretched luminance at or below the floor becomes black.
+function adaptiveFloorInputLevel(params, stats) {
+   var str = (params.addPedestal !== false) ? (stats.globalFloor - STRETCH_PEDESTAL) / (1.0 - STRETCH_PEDESTAL) : stats.globalFloor;
+   if (str <= 0) return stats.anchor;
+   var model = VeraLuxCore.hyperbolicModel(Math.pow(10, stats.logD), stats.protectB, resolveGHSShape(params, stats.anchor));
+   return stats.anchor + Math.max(0, model.inverse(Math.min(1, str)));
+}
+
+// Per-channel (and luminance) histogram of img with shadow/highlight counts.
+// Shadows: luminance at or below shadowLevel; highlights: any channel at 1.
+function imageHistogram(img, weights, logAxis, shadowLevel) {
+   var w = img.width; var h = img.height; var nc = img.numberOfChannels; var isRGB = (nc === 3);
+   var step = Math.max(1, Math.ceil((w * h) / HISTOGRAM_MAX_SAMPLES / w));
+   var nb = HISTOGRAM_BINS;
+   var bins = []; for (var k = 0; k < (isRGB ? 4 : 1); k++) bins.push(new Float64Array(nb));
+   var binOf = logAxis ? function(v) {
+         return (v <= 0) ? 0 : Math.max(0, Math.min(nb - 1, Math.floor((Math.log(v) / Math.LN10 - HISTOGRAM_LOG_MIN) / -HISTOGRAM_LOG_MIN * (nb - 1))));
+      } : function(v) {
+         return Math.max(0, Math.min(nb - 1, Math.floor(v * nb)));
+      };
+   var rows = []; for (var c = 0; c < nc; c++) rows.push(new Float32Array(w));
+   var shadows = 0; var highlights = 0; var total = 0;
+   for (var y = 0; y < h; y += step) {
+      for (var c = 0; c < nc; c++) img.getSamples(rows[c], new Rect(0, y, w, y + 1), c);
+      for (var x = 0; x < w; x++) {
+         var r = rows[0][x]; var L = r; var max = r;
+         bins[0][binOf(r)]++;
+         if (isRGB) {
+            var g = rows[1][x]; var b = rows[2][x];
+            bins[1][binOf(g)]++; bins[2][binOf(b)]++;
+            L = weights[0] * r + weights[1] * g + weights[2] * b;
+            bins[3][binOf(L)]++;
+            max = Math.max(r, g, b);
+         }
+         if (L <= shadowLevel) shadows++;
+         if (max >= 1.0 - HISTOGRAM_CLIP_EPSILON) highlights++;
+         total++;
+      }
+   }
+   return { bins: bins, shadows: shadows, highlights: highlights, total: total };
+}
+
+// Histograms of a preview run: input (linear, log10 axis) and output (null
+// before the first refresh). stats are processVeraLux() statistics or null.
+// Returns { channels, input, output, anchor, floorInput, targetBg }, levels
+// null where unknown.
+function computePreviewHistogram(input, output, params, stats) {
+   var ready = (params.processingMode === "ready_to_use");
+   var anchor = (stats && stats.anchor !== undefined) ? stats.anchor : null;
+   var outputBlack = outputBlackLevel(params, stats);
+   return {
+      channels: (input.numberOfChannels === 3) ? ["R", "G", "B", "L"] : ["K"],
+      input: imageHistogram(input, params.weights, true, (anchor !== null) ? anchor - HISTOGRAM_CLIP_EPSILON : 0),
+      output: output ? imageHistogram(output, params.weights, false, outputBlack + HISTOGRAM_CLIP_EPSILON) : null,
+      anchor: anchor,
+      floorInput: (ready && stats && stats.globalFloor !== undefined) ? adaptiveFloorInputLevel(params, stats) : null,
+      targetBg: ready ? params.targetBg : null
+   };
+}
+
+// -----------------------------------------------------------------------------
+//  Clipping overlay
+// -----------------------------------------------------------------------------
+
+var CLIP_NONE = 0;        // Flags: a downsampled map can hold both
+var CLIP_SHADOW = 1;
+var CLIP_HIGHLIGHT = 2;
+var OVERLAY_HIGHLIGHT_LEVEL = 0.98;   // Soft-clip knee of applySoftClip()
+
+// Per-pixel clipping classes of a stretch result and its source (same
+// geometry): CLIP_SHADOW where the output luminance is at or below the black
+// point or the source luminance is below the anchor, CLIP_HIGHLIGHT where a
+// channel reaches the soft-clip knee. Returns { width, height, codes,
+// shadows, highlights, total }.
+function clippingMap(source, result, params, stats) {
+   var w = result.width; var h = result.height; var nc = result.numberOfChannels; var isRGB = (nc === 3);
+   var weights = params.weights;
+   var black = outputBlackLevel(params, stats) + HISTOGRAM_CLIP_EPSILON;
+   var anchor = (stats && stats.anchor !== undefined) ? stats.anchor : 0;
+   var codes = new Uint8Array(w * h);
+   var inRows = []; var outRows = [];
+   for (var c = 0; c < nc; c++) { inRows.push(new Float32Array(w)); outRows.push(new Float32Array(w)); }
+   var shadows = 0; var highlights = 0;
+   for (var y = 0; y < h; y++) {
+      var rowRect = new Rect(0, y, w, y + 1);
+      for (var c = 0; c < nc; c++) { source.getSamples(inRows[c], rowRect, c); result.getSamples(outRows[c], rowRect, c); }
+      for (var x = 0; x < w; x++) {
+         var Lin; var Lout; var max;
+         if (isRGB) {
+            Lin = weights[0] * inRows[0][x] + weights[1] * inRows[1][x] + weights[2] * inRows[2][x];
+            Lout = weights[0] * outRows[0][x] + weights[1] * outRows[1][x] + weights[2] * outRows[2][x];
+            max = Math.max(outRows[0][x], outRows[1][x], outRows[2][x]);
+         } else {
+            Lin = inRows[0][x]; Lout = max = outRows[0][x];
+         }
+         if (max >= OVERLAY_HIGHLIGHT_LEVEL) { codes[y * w + x] = CLIP_HIGHLIGHT; highlights++; }
+         else if (Lout <= black || Lin < anchor) { codes[y * w + x] = CLIP_SHADOW; shadows++; }
+      }
+   }
+   return { width: w, height: h, codes: codes, shadows: shadows, highlights: highlights, total: w * h };
+}
+
+// map reduced to width x height: each pixel ORs the classes of the block it
+// covers, so a single clipped pixel stays visible at any preview scale. The
+// counts stay those of the full map.
+function downsampleClippingMap(map, width, height) {
+   if (map.width === width && map.height === height) return map;
+   var codes = new Uint8Array(width * height);
+   for (var y = 0; y < height; y++) {
+      var y0 = Math.floor(y * map.height / height);
+      var y1 = Math.max(y0 + 1, Math.floor((y + 1) * map.height / height));
+      for (var x = 0; x < width; x++) {
+         var x0 = Math.floor(x * map.width / width);
+         var x1 = Math.max(x0 + 1, Math.floor((x + 1) * map.width / width));
+         var code = CLIP_NONE;
+         for (var yy = y0; yy < y1 && yy < map.height; yy++)
+            for (var xx = x0; xx < x1 && xx < map.width; xx++) code |= map.codes[yy * map.width + xx];
+         codes[y * width + x] = code;
+      }
+   }
+   return { width: width, height: height, codes: codes, shadows: map.shadows, highlights: map.highlights, total: map.total };
+}
+
+// Histogram panel: input above, output below, markers and clipping counts
+function VeraLuxHistogram(parent) {
+   this.__base__ = Control;
+   this.__base__(parent);
+   
+   this.data = null;   // computePreviewHistogram() result
+   this.setScaledMinWidth(260);
+   this.setScaledMinHeight(360);
+   this.toolTip = "<p><b>Histogram</b><br>Top: linear input (log10 levels 1e-5..1). Bottom: stretched output.<br>" +
+                  "Markers: <b>anchor</b> (black point of the stretch), <b>2.7\u03c3 floor</b> of the adaptive scaling " +
+                  "(input level clipped to black, Ready-to-Use) and <b>Target Bg</b>.<br>" +
+                  "Clipping counts: shadows at/below the black point, highlights with a channel at 1.</p>";
+   
+   this.setData = function(data) {
+      this.data = data;
+      this.repaint();
+   };
+   
+   var CHANNEL_COLORS = { R: 0xffff5050, G: 0xff50d050, B: 0xff5080ff, L: 0xffe0e0e0, K: 0xffe0e0e0 };
+   var countText = function(n, total) {
+      return n + " (" + (total > 0 ? (100 * n / total).toFixed(2) : "0.00") + "%)";
+   };
+   
+   this.paintPlot = function(g, rect, hist, channels, markers, caption) {
+      g.fillRect(rect, new Brush(0xff1a1a1a));
+      g.pen = new Pen(0xff505050);
+      g.drawRect(rect);
+      var pw = rect.width - 2; var ph = rect.height - 16;
+      var top = rect.y0 + 14;
+      if (hist) {
+         // Scale to the highest inner bin: clipped end bins would flatten everything
+         var peak = 1;
+         for (var k = 0; k < hist.bins.length; k++)
+            for (var i = 1; i < HISTOGRAM_BINS - 1; i++) peak = Math.max(peak, hist.bins[k][i]);
+         for (var k = 0; k < hist.bins.length; k++) {
+            g.pen = new Pen(CHANNEL_COLORS[channels[k]]);
+            var px = 0; var py = 0;
+            for (var i = 0; i < HISTOGRAM_BINS; i++) {
+               var x = rect.x0 + 1 + Math.round(i * pw / (HISTOGRAM_BINS - 1));
+               var y = top + ph - Math.round(Math.min(1, hist.bins[k][i] / peak) * ph);
+               if (i > 0) g.drawLine(px, py, x, y);
+               px = x; py = y;
+            }
+         }
+      }
+      for (var m = 0; m < markers.length; m++) {
+         var mx = rect.x0 + 1 + Math.round(Math.max(0, Math.min(1, markers[m].position)) * pw);
+         g.pen = new Pen(markers[m].color);
+         g.drawLine(mx, top, mx, rect.y1 - 1);
+         g.drawText(Math.min(mx + 2, rect.x1 - 60), top + 10 + 11 * m, markers[m].label);
+      }
+      g.pen = new Pen(0xffc0c0c0);
+      g.drawText(rect.x0 + 4, rect.y0 + 12, caption);
+   };
+   
+   this.onPaint = function(x0, y0, x1, y1) {
+      var g = new Graphics(this);
+      g.fillRect(0, 0, this.width, this.height, new Brush(0xff2a2a2a));
+      var d = this.data;
+      var lineH = this.font.lineSpacing + 2;
+      var plotH = Math.floor((this.height - 4 * lineH - 8) / 2);
+      var inRect = new Rect(2, 2, this.width - 2, 2 + plotH);
+      var outRect = new Rect(2, inRect.y1 + 2 * lineH + 4, this.width - 2, inRect.y1 + 2 * lineH + 4 + plotH);
+      var logPos = function(v) { return (v <= 0) ? 0 : (Math.log(v) / Math.LN10 - HISTOGRAM_LOG_MIN) / -HISTOGRAM_LOG_MIN; };
+      var inMarkers = []; var outMarkers = [];
+      if (d && d.anchor !== null) inMarkers.push({ position: logPos(d.anchor), color: 0xffffa040, label: "anchor" });
+      if (d && d.floorInput !== null) inMarkers.push({ position: logPos(d.floorInput), color: 0xffff4040, label: "2.7\u03c3 floor" });
+      if (d && d.targetBg !== null) outMarkers.push({ position: d.targetBg, color: 0xff40ff80, label: "Target Bg" });
+      
+      this.paintPlot(g, inRect, d ? d.input : null, d ? d.channels : [], inMarkers, "Input (linear, log)");
+      this.paintPlot(g, outRect, d ? d.output : null, d ? d.channels : [], outMarkers, "Output");
+      
+      g.pen = new Pen(0xffe0e0e0);
+      var clipLines = function(hist, y) {
+         if (!hist) { g.drawText(4, y, "No data"); return; }
+         g.drawText(4, y, "Shadows: " + countText(hist.shadows, hist.total));
+         g.drawText(4, y + lineH, "Highlights: " + countText(hist.highlights, hist.total));
+      };
+      clipLines(d ? d.input : null, inRect.y1 + lineH);
+      clipLines(d ? d.output : null, outRect.y1 + lineH);
+      g.end();
+   };
+}
+VeraLuxHistogram.prototype = new Control;
+
+// =============================================================================
+//  GUI
+// =============================================================================
+
+// Progress bar with a caption, driven by setProgress(fraction, caption)
+function VeraLuxProgressBar(parent) {
+   this.__base__ = Control;
+   this.__base__(parent);
+   
+   this.fraction = 0;
+   this.caption = "";
+   this.setScaledFixedHeight(18);
+   
+   // caption is kept when undefined/null
+   this.setProgress = function(fraction, caption) {
+      this.fraction = Math.max(0, Math.min(1, fraction));
+      if (caption !== undefined && caption !== null) this.caption = caption;
+      this.repaint();
+   };
+   
+   this.onPaint = function(x0, y0, x1, y1) {
+      var g = new Graphics(this);
+      g.fillRect(0, 0, this.width, this.height, new Brush(0xff2a2a2a));
+      var filled = Math.round(this.width * this.fraction);
+      if (filled > 0) g.fillRect(0, 0, filled, this.height, new Brush(0xff0055aa));
+      g.pen = new Pen(0xffe0e0e0);
+      g.drawTextRect(new Rect(4, 0, this.width - 4, this.height), this.caption, TextAlign_Left | TextAlign_VertCenter);
+      g.end();
+   };
+}
+VeraLuxProgressBar.prototype = new Control;
+
+// Small modal prompt for a single line of text (preset names, etc.)
+function TextInputDialog(title, labelText, initialText) {
+   this.__base__ = Dialog;
+   this.__base__();
+   
+   this.label = new Label(this); this.label.text = labelText;
+   this.edit = new Edit(this); this.edit.text = initialText || ""; this.edit.setMinWidth(260);
+   
+   this.okButton = new PushButton(this); this.okButton.text = "OK";
+   this.okButton.onClick = function() { this.dialog.ok(); };
+   this.cancelButton = new PushButton(this); this.cancelButton.text = "Cancel";
+   this.cancelButton.onClick = function() { this.dialog.cancel(); };
+   
+   this.buttonsSizer = new HorizontalSizer; this.buttonsSizer.spacing = 6;
+   this.buttonsSizer.addStretch(); this.buttonsSizer.add(this.okButton); this.buttonsSizer.add(this.cancelButton);
+   
+   this.sizer = new VerticalSizer; this.sizer.margin = 10; this.sizer.spacing = 6;
+   this.sizer.add(this.label); this.sizer.add(this.edit); this.sizer.add(this.buttonsSizer);
+   
+   this.windowTitle = title;
+   this.adjustToContents();
+}
+TextInputDialog.prototype = new Dialog;
+
+// Returns the entered (trimmed) text, or null if cancelled/empty
+TextInputDialog.prompt = function(title, labelText, initialText) {
+   var d = new TextInputDialog(title, labelText, initialText);
+   if (!d.execute()) return null;
+   var text = d.edit.text.trim();
+   return (text.length > 0) ? text : null;
+};
+
+// Sensor profile manager: create, edit, delete, import and export custom profiles.
+// Built-in profiles are listed read-only (save them under a new name to derive one).
+function SensorProfileDialog(selectedName) {
+   this.__base__ = Dialog;
+   this.__base__();
+   var pd = this;
+   
+   this.profileList = new TreeBox(this);
+   this.profileList.rootDecoration = false;
+   this.profileList.alternateRowColor = true;
+   this.profileList.numberOfColumns = 5;
+   this.profileList.headerVisible = true;
+   this.profileList.setHeaderText(0, "Profile");
+   this.profileList.setHeaderText(1, "R");
+   this.profileList.setHeaderText(2, "G");
+   this.profileList.setHeaderText(3, "B");
+   this.profileList.setHeaderText(4, "Type");
+   this.profileList.setMinSize(480, 220);
+   
+   this.lblName = new Label(this); this.lblName.text = "Name:"; this.lblName.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+   this.editName = new Edit(this);
+   this.nameSizer = new HorizontalSizer; this.nameSizer.spacing = 4;
+   this.nameSizer.add(this.lblName); this.nameSizer.add(this.editName, 100);
+   
+   this.weightEdits = [];
+   this.weightSizer = new HorizontalSizer; this.weightSizer.spacing = 8;
+   var channelNames = ["R:", "G:", "B:"];
+   for (var i = 0; i < 3; i++) {
+      var ne = new NumericEdit(this);
+      ne.label.text = channelNames[i];
+      ne.setReal(true); ne.setRange(0, 100); ne.setPrecision(4);
+      ne.setValue(1 / 3);
+      ne.onValueUpdated = function() { pd.updateNormalized(); };
+      this.weightEdits.push(ne);
+      this.weightSizer.add(ne);
+   }
+   this.weightSizer.addStretch();
+   this.lblNormalized = new Label(this);
+   this.lblNormalized.styleSheet = "color: #888; font-style: italic;";
+   
+   this.lblDesc = new Label(this); this.lblDesc.text = "Description:"; this.lblDesc.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+   this.editDesc = new Edit(this);
+   this.descSizer = new HorizontalSizer; this.descSizer.spacing = 4;
+   this.descSizer.add(this.lblDesc); this.descSizer.add(this.editDesc, 100);
+   this.lblInfo = new Label(this); this.lblInfo.text = "Info:"; this.lblInfo.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+   this.editInfo = new Edit(this);
+   this.infoSizer = new HorizontalSizer; this.infoSizer.spacing = 4;
+   this.infoSizer.add(this.lblInfo); this.infoSizer.add(this.editInfo, 100);
+   var labelWidth = this.font.width("Description:") + 4;
+   this.lblName.setFixedWidth(labelWidth); this.lblDesc.setFixedWidth(labelWidth); this.lblInfo.setFixedWidth(labelWidth);
+   
+   this.editGroup = new GroupBox(this); this.editGroup.title = "Profile"; this.editGroup.sizer = new VerticalSizer;
+   this.editGroup.sizer.margin = 6; this.editGroup.sizer.spacing = 4;
+   this.editGroup.sizer.add(this.nameSizer); this.editGroup.sizer.add(this.weightSizer);
+   this.editGroup.sizer.add(this.lblNormalized);
+   this.editGroup.sizer.add(this.descSizer); this.editGroup.sizer.add(this.infoSizer);
+   
+   this.btnNew = new PushButton(this); this.btnNew.text = "New";
+   this.btnNew.toolTip = "Clears the fields to define a new profile.";
+   this.btnSave = new PushButton(this); this.btnSave.text = "Save";
+   this.btnSave.toolTip = "<p>Stores the profile under the given name. Weights are normalized to sum 1.</p>";
+   this.btnDelete = new PushButton(this); this.btnDelete.text = "Delete";
+   this.btnCurves = new PushButton(this); this.btnCurves.text = "From Curves...";
+   this.btnCurves.toolTip = "<p>Derives weights from sensor QE, filter and illuminant CSV curves and saves them as a new profile.</p>";
+   this.btnImport = new PushButton(this); this.btnImport.text = "Import...";
+   this.btnImport.toolTip = "Adds the profiles of a JSON file (replacing custom profiles of the same name).";
+   this.btnExport = new PushButton(this); this.btnExport.text = "Export...";
+   this.btnExport.toolTip = "Writes all custom profiles to a JSON file.";
+   this.btnClose = new PushButton(this); this.btnClose.text = "Close";
+   this.btnClose.onClick = function() { pd.ok(); };
+   this.buttonsSizer = new HorizontalSizer; this.buttonsSizer.spacing = 6;
+   this.buttonsSizer.add(this.btnNew); this.buttonsSizer.add(this.btnSave); this.buttonsSizer.add(this.btnDelete);
+   this.buttonsSizer.add(this.btnCurves);
+   this.buttonsSizer.addStretch();
+   this.buttonsSizer.add(this.btnImport); this.buttonsSizer.add(this.btnExport); this.buttonsSizer.add(this.btnClose);
+   
+   this.sizer = new VerticalSizer; this.sizer.margin = 10; this.sizer.spacing = 6;
+   this.sizer.add(this.profileList, 100); this.sizer.add(this.editGroup); this.sizer.add(this.buttonsSizer);
+   
+   this.weights = function() {
+      return [this.weightEdits[0].value, this.weightEdits[1].value, this.weightEdits[2].value];
+   };
+   
+   this.updateNormalized = function() {
+      try {
+         var n = VeraLuxSensorProfiles.normalize({ weights: pd.weights() }).weights;
+         pd.lblNormalized.text = "Normalized: " + n[0].toFixed(4) + ", " + n[1].toFixed(4) + ", " + n[2].toFixed(4);
+      } catch(e) {
+         pd.lblNormalized.text = e.message;
+      }
+   };
+   
+   this.showProfile = function(name) {
+      var profile = SENSOR_PROFILES[name];
+      pd.editName.text = name;
+      for (var i = 0; i < 3; i++) pd.weightEdits[i].setValue(profile.weights[i]);
+      pd.editDesc.text = profile.description || "";
+      pd.editInfo.text = profile.info || "";
+      pd.btnDelete.enabled = !VeraLuxSensorProfiles.isBuiltIn(name);
+      pd.updateNormalized();
+   };
+   
+   this.refresh = function(selectName) {
+      pd.profileList.clear();
+      for (var name in SENSOR_PROFILES) {
+         var w = SENSOR_PROFILES[name].weights;
+         var node = new TreeBoxNode(pd.profileList);
+         node.setText(0, name);
+         for (var i = 0; i < 3; i++) node.setText(i + 1, w[i].toFixed(4));
+         node.setText(4, VeraLuxSensorProfiles.isBuiltIn(name) ? "Built-in" : "Custom");
+         node.profileName = name;
+         if (name === selectName) { node.selected = true; pd.profileList.currentNode = node; }
+      }
+      for (var c = 0; c < pd.profileList.numberOfColumns; c++) pd.profileList.adjustColumnWidthToContents(c);
+      if (selectName && SENSOR_PROFILES[selectName]) pd.showProfile(selectName);
+   };
+   
+   this.profileList.onCurrentNodeUpdated = function(node) {
+      if (node && node.profileName) pd.showProfile(node.profileName);
+   };
+   
+   this.btnNew.onClick = function() {
+      pd.editName.text = "";
+      for (var i = 0; i < 3; i++) pd.weightEdits[i].setValue(1 / 3);
+      pd.editDesc.text = ""; pd.editInfo.text = "";
+      pd.btnDelete.enabled = false;
+      pd.updateNormalized();
+   };
+   
+   this.btnSave.onClick = function() {
+      var name = pd.editName.text.trim();
+      if (SENSOR_PROFILES[name] && !VeraLuxSensorProfiles.isBuiltIn(name)) {
+         var node = pd.profileList.currentNode;
+         if (!node || node.profileName !== name) {
+            var msg = new MessageBox("Replace custom profile '" + name + "'?", "Sensor Profiles", StdIcon_Question, StdButton_Yes, StdButton_No);
+            if (msg.execute() !== StdButton_Yes) return;
+         }
+      }
+      try {
+         VeraLuxSensorProfiles.set(name, { weights: pd.weights(), description: pd.editDesc.text, info: pd.editInfo.text });
+      } catch(e) {
+         (new MessageBox(e.message, "Sensor Profiles", StdIcon_Error, StdButton_Ok)).execute();
+         return;
+      }
+      Console.writeln("VeraLux: Saved sensor profile '" + name + "'.");
+      pd.refresh(name);
+   };
+   
+   this.btnDelete.onClick = function() {
+      var name = pd.editName.text.trim();
+      if (!SENSOR_PROFILES[name] || VeraLuxSensorProfiles.isBuiltIn(name)) return;
+      var msg = new MessageBox("Delete sensor profile '" + name + "'?", "Sensor Profiles", StdIcon_Question, StdButton_Yes, StdButton_No);
+      if (msg.execute() !== StdButton_Yes) return;
+      VeraLuxSensorProfiles.remove(name);
+      pd.refresh(DEFAULT_PROFILE);
+   };
+   
+   this.btnCurves.onClick = function() {
+      var sd = new SpectralWeightsDialog();
+      if (sd.execute() && sd.savedName) pd.refresh(sd.savedName);
+   };
+   
+   this.btnImport.onClick = function() {
+      var ofd = new OpenFileDialog;
+      ofd.caption = "Import Sensor Profiles";
+      ofd.filters = [["JSON Files", "*.json"], ["All Files", "*"]];
+      if (!ofd.execute()) return;
+      try {
+         var imported = VeraLuxSensorProfiles.importFile(ofd.fileName);
+         var count = 0; var last = null;
+         for (var name in imported) {
+            if (VeraLuxSensorProfiles.isBuiltIn(name)) {
+               Console.warningln("VeraLux: Skipped imported profile '" + name + "' (built-in name).");
+               continue;
+            }
+            if (SENSOR_PROFILES[name]) Console.warningln("VeraLux: Sensor profile '" + name + "' replaced by imported version.");
+            SENSOR_PROFILES[name] = imported[name];
+            count++; last = name;
+         }
+         VeraLuxSensorProfiles.saveUser();
+         pd.refresh(last);
+         Console.noteln("VeraLux: Imported " + count + " sensor profile(s) from " + ofd.fileName);
+      } catch(e) {
+         (new MessageBox("Could not import sensor profiles:\n" + e, "Sensor Profiles", StdIcon_Error, StdButton_Ok)).execute();
+      }
+   };
+   
+   this.btnExport.onClick = function() {
+      var profiles = VeraLuxSensorProfiles.userProfiles();
+      if (Object.keys(profiles).length === 0) {
+         (new MessageBox("There are no custom profiles to export.", "Sensor Profiles", StdIcon_Information, StdButton_Ok)).execute();
+         return;
+      }
+      var sfd = new SaveFileDialog;
+      sfd.caption = "Export Sensor Profiles";
+      sfd.filters = [["JSON Files", "*.json"]];
+      sfd.overwritePrompt = true;
+      if (!sfd.execute()) return;
+      try {
+         VeraLuxSensorProfiles.exportFile(sfd.fileName, profiles);
+         Console.noteln("VeraLux: Exported " + Object.keys(profiles).length + " sensor profile(s) to " + sfd.fileName);
+      } catch(e) {
+         (new MessageBox("Could not export sensor profiles:\n" + e, "Sensor Profiles", StdIcon_Error, StdButton_Ok)).execute();
+      }
+   };
+   
+   this.windowTitle = "VeraLux Sensor Profiles";
+   this.refresh(selectedName || DEFAULT_PROFILE);
+   this.adjustToContents();
+}
+SensorProfileDialog.prototype = new Dialog;
+
+// Editor for the metadata keyword -> sensor profile mapping rules
+function SensorMappingDialog() {
+   this.__base__ = Dialog;
+   this.__base__();
+   var md = this;
+   this.rules = VeraLuxSensorMapping.rules.slice();
+   
+   this.ruleList = new TreeBox(this);
+   this.ruleList.rootDecoration = false;
+   this.ruleList.alternateRowColor = true;
+   this.ruleList.numberOfColumns = 3;
+   this.ruleList.headerVisible = true;
+   this.ruleList.setHeaderText(0, "Keyword");
+   this.ruleList.setHeaderText(1, "Contains");
+   this.ruleList.setHeaderText(2, "Sensor Profile");
+   this.ruleList.setMinSize(520, 260);
+   this.ruleList.toolTip = "<p>Rules are tried from top to bottom; the first match selects the profile. " +
+                           "Matching ignores case, spaces and punctuation.</p>";
+   
+   this.cmbKeyword = new ComboBox(this);
+   for (var i = 0; i < MAPPING_KEYWORDS.length; i++) this.cmbKeyword.addItem(MAPPING_KEYWORDS[i]);
+   this.editPattern = new Edit(this);
+   this.editPattern.toolTip = "Text the keyword value must contain, e.g. ASI2600 or Seestar S50.";
+   this.cmbProfile = new ComboBox(this);
+   var profileNames = sensorProfileNames();
+   for (var i = 0; i < profileNames.length; i++) this.cmbProfile.addItem(profileNames[i]);
+   this.editSizer = new HorizontalSizer; this.editSizer.spacing = 4;
+   this.editSizer.add(this.cmbKeyword); this.editSizer.add(this.editPattern, 100); this.editSizer.add(this.cmbProfile, 100);
+   
+   this.btnAdd = new PushButton(this); this.btnAdd.text = "Add";
+   this.btnUpdate = new PushButton(this); this.btnUpdate.text = "Update";
+   this.btnRemove = new PushButton(this); this.btnRemove.text = "Remove";
+   this.btnUp = new PushButton(this); this.btnUp.text = "Up";
+   this.btnDown = new PushButton(this); this.btnDown.text = "Down";
+   this.btnDefaults = new PushButton(this); this.btnDefaults.text = "Defaults";
+   this.btnDefaults.toolTip = "Restores the built-in mapping table.";
+   this.btnOK = new PushButton(this); this.btnOK.text = "OK";
+   this.btnCancel = new PushButton(this); this.btnCancel.text = "Cancel";
+   this.buttonsSizer = new HorizontalSizer; this.buttonsSizer.spacing = 6;
+   this.buttonsSizer.add(this.btnAdd); this.buttonsSizer.add(this.btnUpdate); this.buttonsSizer.add(this.btnRemove);
+   this.buttonsSizer.add(this.btnUp); this.buttonsSizer.add(this.btnDown);
+   this.buttonsSizer.addStretch();
+   this.buttonsSizer.add(this.btnDefaults); this.buttonsSizer.add(this.btnOK); this.buttonsSizer.add(this.btnCancel);
+   
+   this.sizer = new VerticalSizer; this.sizer.margin = 10; this.sizer.spacing = 6;
+   this.sizer.add(this.ruleList, 100); this.sizer.add(this.editSizer); this.sizer.add(this.buttonsSizer);
+   
+   this.selectedIndex = function() {
+      var node = md.ruleList.currentNode;
+      return node ? node.ruleIndex : -1;
+   };
+   
+   this.refresh = function(selectIndex) {
+      md.ruleList.clear();
+      for (var i = 0; i < md.rules.length; i++) {
+         var r = md.rules[i];
+         var node = new TreeBoxNode(md.ruleList);
+         node.setText(0, r.keyword); node.setText(1, r.pattern); node.setText(2, r.profile);
+         if (!isSensorProfileName(r.profile)) node.setToolTip(2, "Unknown profile: this rule is ignored.");
+         node.ruleIndex = i;
+         if (i === selectIndex) md.ruleList.currentNode = node;
       }
-      this.viewport.update();
+      for (var c = 0; c < 3; c++) md.ruleList.adjustColumnWidthToContents(c);
    };
-
-   this.viewport.onResize = function () {
-      this.parent.initScrollBars();
+   
+   this.editedRule = function() {
+      return { keyword: md.cmbKeyword.itemText(md.cmbKeyword.currentItem), pattern: md.editPattern.text.trim(),
+               profile: md.cmbProfile.itemText(md.cmbProfile.currentItem) };
    };
-
-   this.onHorizontalScrollPosUpdated = function (x) {
-      this.viewport.update();
+   
+   this.ruleList.onCurrentNodeUpdated = function(node) {
+      if (!node) return;
+      var r = md.rules[node.ruleIndex];
+      md.selectItem(md.cmbKeyword, r.keyword);
+      md.editPattern.text = r.pattern;
+      md.selectItem(md.cmbProfile, r.profile);
    };
-
-   this.onVerticalScrollPosUpdated = function (y) {
-      this.viewport.update();
+   
+   this.selectItem = function(combo, text) {
+      for (var i = 0; i < combo.numberOfItems; i++)
+         if (combo.itemText(i) === text) { combo.currentItem = i; return; }
    };
-
-   this.viewport.onMousePress = function (x, y, button, buttons, modifiers) {
-      this.cursor = new Cursor(StdCursor_ClosedHand);
-      this.parent.dragging = true;
-      this.parent.dragOrigin = new Point(x, y);
+   
+   this.btnAdd.onClick = function() {
+      var r = md.editedRule();
+      if (r.pattern.length === 0) return;
+      md.rules.push(r);
+      md.refresh(md.rules.length - 1);
+   };
+   this.btnUpdate.onClick = function() {
+      var i = md.selectedIndex(); var r = md.editedRule();
+      if (i < 0 || r.pattern.length === 0) return;
+      md.rules[i] = r;
+      md.refresh(i);
+   };
+   this.btnRemove.onClick = function() {
+      var i = md.selectedIndex();
+      if (i < 0) return;
+      md.rules.splice(i, 1);
+      md.refresh(Math.min(i, md.rules.length - 1));
    };
+   this.moveRule = function(delta) {
+      var i = md.selectedIndex(); var j = i + delta;
+      if (i < 0 || j < 0 || j >= md.rules.length) return;
+      var r = md.rules[i]; md.rules[i] = md.rules[j]; md.rules[j] = r;
+      md.refresh(j);
+   };
+   this.btnUp.onClick = function() { md.moveRule(-1); };
+   this.btnDown.onClick = function() { md.moveRule(1); };
+   this.btnDefaults.onClick = function() {
+      md.rules = DEFAULT_SENSOR_MAPPING.slice();
+      md.refresh(0);
+   };
+   this.btnOK.onClick = function() {
+      VeraLuxSensorMapping.rules = md.rules;
+      VeraLuxSensorMapping.save();
+      md.ok();
+   };
+   this.btnCancel.onClick = function() { md.cancel(); };
+   
+   this.refresh(0);
+   this.windowTitle = "VeraLux Sensor Auto-Detection Mapping";
+   this.adjustToContents();
+}
+SensorMappingDialog.prototype = new Dialog;
 
-   this.viewport.onMouseMove = function(x, y, buttons, modifiers) {
-      const image = this.parent.getImage();
-      if (!image)
+// Spectral weights calculator: integrates QE / filter / illuminant CSV curves and
+// saves the resulting weights as a custom sensor profile (savedName on success).
+function SpectralWeightsDialog() {
+   this.__base__ = Dialog;
+   this.__base__();
+   var sd = this;
+   this.result = null;
+   this.savedName = null;
+   
+   var labelWidth = this.font.width("Illuminant (opt.):") + 4;
+   this.fileRow = function(labelText, toolTip) {
+      var row = { sizer: new HorizontalSizer };
+      row.label = new Label(sd); row.label.text = labelText; row.label.setFixedWidth(labelWidth);
+      row.label.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+      row.edit = new Edit(sd); row.edit.toolTip = toolTip; row.edit.setMinWidth(320);
+      row.button = new ToolButton(sd);
+      row.button.icon = sd.scaledResource(":/browser/select-file.png");
+      row.button.setScaledFixedSize(20, 20);
+      row.button.toolTip = "Select a CSV file";
+      row.button.onClick = function() {
+         var ofd = new OpenFileDialog;
+         ofd.caption = "Select " + labelText.replace(":", "") + " Curve";
+         ofd.filters = [["CSV Files", "*.csv", "*.txt"], ["All Files", "*"]];
+         if (ofd.execute()) row.edit.text = ofd.fileName;
+      };
+      row.sizer.spacing = 4;
+      row.sizer.add(row.label); row.sizer.add(row.edit, 100); row.sizer.add(row.button);
+      return row;
+   };
+   
+   this.qeRow = this.fileRow("Sensor QE:", "<p>CSV with columns: wavelength (nm), R, G, B quantum efficiency.</p>");
+   this.filterRow = this.fileRow("Filter (opt.):", "<p>CSV with columns: wavelength (nm), transmission. Leave empty for no filter.</p>");
+   this.illumRow = this.fileRow("Illuminant (opt.):", "<p>CSV with columns: wavelength (nm), relative power. Leave empty for an equal-energy source.</p>");
+   
+   this.btnCalc = new PushButton(this); this.btnCalc.text = "Calculate";
+   this.lblResult = new Label(this); this.lblResult.wordWrapping = true;
+   this.lblResult.text = "Select the curves and click Calculate.";
+   this.calcSizer = new HorizontalSizer; this.calcSizer.spacing = 6;
+   this.calcSizer.add(this.btnCalc); this.calcSizer.add(this.lblResult, 100);
+   
+   this.lblName = new Label(this); this.lblName.text = "Profile name:"; this.lblName.setFixedWidth(labelWidth);
+   this.lblName.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+   this.editName = new Edit(this);
+   this.nameSizer = new HorizontalSizer; this.nameSizer.spacing = 4;
+   this.nameSizer.add(this.lblName); this.nameSizer.add(this.editName, 100);
+   
+   this.btnSave = new PushButton(this); this.btnSave.text = "Save Profile"; this.btnSave.enabled = false;
+   this.btnCancel = new PushButton(this); this.btnCancel.text = "Cancel";
+   this.btnCancel.onClick = function() { sd.cancel(); };
+   this.buttonsSizer = new HorizontalSizer; this.buttonsSizer.spacing = 6;
+   this.buttonsSizer.addStretch(); this.buttonsSizer.add(this.btnSave); this.buttonsSizer.add(this.btnCancel);
+   
+   this.sizer = new VerticalSizer; this.sizer.margin = 10; this.sizer.spacing = 6;
+   this.sizer.add(this.qeRow.sizer); this.sizer.add(this.filterRow.sizer); this.sizer.add(this.illumRow.sizer);
+   this.sizer.add(this.calcSizer); this.sizer.add(this.nameSizer); this.sizer.add(this.buttonsSizer);
+   
+   this.fileNameOf = function(path) { return path ? File.extractName(path) : ""; };
+   
+   this.btnCalc.onClick = function() {
+      sd.result = null; sd.btnSave.enabled = false;
+      try {
+         var qePath = sd.qeRow.edit.text.trim();
+         if (qePath.length === 0) throw new Error("A sensor QE curve is required.");
+         var filterPath = sd.filterRow.edit.text.trim();
+         var illumPath = sd.illumRow.edit.text.trim();
+         var qe = parseSpectralCSV(File.readTextFile(qePath), 3);
+         var filter = filterPath ? parseSpectralCSV(File.readTextFile(filterPath), 1) : null;
+         var illum = illumPath ? parseSpectralCSV(File.readTextFile(illumPath), 1) : null;
+         sd.result = deriveSensorWeights(qe, filter, illum);
+         sd.sources = [sd.fileNameOf(qePath), sd.fileNameOf(filterPath), sd.fileNameOf(illumPath)];
+      } catch(e) {
+         sd.lblResult.text = "Error: " + e.message;
          return;
-
-      with (this.parent) {
-         if (dragging) {
-            this.parent.scrollPosition = new Point(this.parent.scrollPosition)
-               .translatedBy((dragOrigin.x - x), (dragOrigin.y - y));
-            dragOrigin.x = x;
-            dragOrigin.y = y;
-         } else {
-            var imageX = Math.floor((x / zoomFactor + this.parent.scrollPosition.x));
-            var imageY = Math.floor((y / zoomFactor + this.parent.scrollPosition.y));
-
-            if (image && imageX >= 0 && imageX < image.width && imageY >= 0 && imageY < image.height) {
-               if (image.isColor) {
-                  let pixelValue = [
-                     image.sample(imageX, imageY, 0),
-                     image.sample(imageX, imageY, 1),
-                     image.sample(imageX, imageY, 2)
-                  ];
-                  parent.pixelValueLabel.text =
-                     "RGB: R=" + pixelValue[0].toFixed(3) +
-                     ", G=" + pixelValue[1].toFixed(3) +
-                     ", B=" + pixelValue[2].toFixed(3);
-               } else {
-                  let v = image.sample(imageX, imageY);
-                  parent.pixelValueLabel.text = "K Value: " + v.toFixed(3);
-               }
-            } else {
-               parent.pixelValueLabel.text = "Pixel Value: Out of Bounds";
-            }
-         }
       }
+      var w = sd.result.weights;
+      sd.lblResult.text = "Weights: R " + w[0].toFixed(4) + ", G " + w[1].toFixed(4) + ", B " + w[2].toFixed(4) +
+                          " (" + Math.round(sd.result.range[0]) + "-" + Math.round(sd.result.range[1]) + " nm)";
+      if (sd.editName.text.trim().length === 0)
+         sd.editName.text = sd.sources[0] + (sd.sources[1] ? " + " + sd.sources[1] : "");
+      sd.btnSave.enabled = true;
    };
-
-   this.viewport.onMouseRelease = function (x, y, button, buttons, modifiers) {
-      this.cursor = new Cursor(StdCursor_Arrow);
-      this.parent.dragging = false;
+   
+   this.btnSave.onClick = function() {
+      if (!sd.result) return;
+      var name = sd.editName.text.trim();
+      if (SENSOR_PROFILES[name] && !VeraLuxSensorProfiles.isBuiltIn(name)) {
+         var msg = new MessageBox("Replace custom profile '" + name + "'?", "Spectral Weights", StdIcon_Question, StdButton_Yes, StdButton_No);
+         if (msg.execute() !== StdButton_Yes) return;
+      }
+      var src = sd.sources;
+      try {
+         VeraLuxSensorProfiles.set(name, {
+            weights: sd.result.weights,
+            description: "Derived from spectral curves: " + src[0] + (src[1] ? ", filter " + src[1] : "") + (src[2] ? ", illuminant " + src[2] : ""),
+            info: "Weights integrated from QE" + (src[1] ? " x filter" : "") + (src[2] ? " x illuminant" : " (equal-energy source)") +
+                  " over " + Math.round(sd.result.range[0]) + "-" + Math.round(sd.result.range[1]) + " nm."
+         });
+      } catch(e) {
+         (new MessageBox(e.message, "Spectral Weights", StdIcon_Error, StdButton_Ok)).execute();
+         return;
+      }
+      Console.noteln("VeraLux: Saved derived sensor profile '" + name + "'.");
+      sd.savedName = name;
+      sd.ok();
    };
+   
+   this.windowTitle = "VeraLux Spectral Weights Calculator";
+   this.adjustToContents();
+}
+SpectralWeightsDialog.prototype = new Dialog;
 
-   this.viewport.onMouseWheel = function (x, y, delta) {
-      const parent = this.parent;
-      const oldZoomFactor = parent.zoomFactor;
-
-      if (delta > 0)
-         parent.zoomFactor = Math.min(parent.zoomFactor * 1.25, parent.maxZoomFactor);
-      else if (delta < 0)
-         parent.zoomFactor = Math.max(parent.zoomFactor * 0.8, parent.minZoomFactor);
-
-      const zoomRatio = parent.zoomFactor / oldZoomFactor;
-
-      parent.scrollPosition = new Point(
-         (parent.scrollPosition.x + x) * zoomRatio - x,
-         (parent.scrollPosition.y + y) * zoomRatio - y
-      );
-
-      parent.initScrollBars();
-      this.update();
+// Recorded stretch parameters for the inverse stretch. parameters: a
+// VeraLuxParameters instance with the run statistics as linked stats; the
+// edited copy is available as this.parameters after OK.
+function InverseStretchDialog(parameters, sourceText) {
+   this.__base__ = Dialog;
+   this.__base__();
+   var id = this;
+   this.parameters = parameters.clone();
+   var p = this.parameters;
+   
+   this.lblSource = new Label(this);
+   this.lblSource.text = sourceText;
+   this.lblSource.styleSheet = "color: #888; font-style: italic;";
+   
+   this.cmbMode = new ComboBox(this);
+   this.cmbMode.addItem("Ready-to-Use"); this.cmbMode.addItem("Scientific");
+   this.cmbMode.currentItem = (p.processingMode === "ready_to_use") ? 0 : 1;
+   this.lblMode = new Label(this); this.lblMode.text = "Mode:"; this.lblMode.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+   this.modeSizer = new HorizontalSizer; this.modeSizer.spacing = 4;
+   this.modeSizer.add(this.lblMode); this.modeSizer.add(this.cmbMode); this.modeSizer.addStretch();
+   
+   var labelWidth = this.font.width("Strategy (Ready):") + 4;
+   this.lblMode.setFixedWidth(labelWidth);
+   this.numericEdit = function(text, value, min, max, precision) {
+      var ne = new NumericEdit(id);
+      ne.label.text = text; ne.label.setFixedWidth(labelWidth);
+      ne.setReal(true); ne.setRange(min, max); ne.setPrecision(precision);
+      ne.setValue(value);
+      return ne;
    };
-
-   this.viewport.onPaint = function (x0, y0, x1, y1) {
-      const g = new Graphics(this);
-      const image = this.parent.getImage();
-      const zoomFactor = this.parent.zoomFactor;
-
-      if (!image) {
-         g.fillRect(x0, y0, x1, y1, new Brush(0xff000000));
-      } else {
-         g.scaleTransformation(zoomFactor);
-         g.translateTransformation(-this.parent.scrollPosition.x, -this.parent.scrollPosition.y);
-         g.drawBitmap(0, 0, image.render());
+   
+   this.stretchGroup = new GroupBox(this); this.stretchGroup.title = "Stretch"; this.stretchGroup.sizer = new VerticalSizer;
+   this.stretchGroup.sizer.margin = 6; this.stretchGroup.sizer.spacing = 4;
+   var captured = (p.linkProtectB > 0);   // Log D and b of the recorded run
+   this.neLogD = this.numericEdit("Log D:", captured ? p.linkLogD : p.logD, 0, 7, 4);
+   this.neB = this.numericEdit("Protect b:", captured ? p.linkProtectB : p.protectB, 0.1, 15, 4);
+   this.neConv = this.numericEdit("Star Core:", p.convergence, 1, 10, 4);
+   this.neUnified = this.numericEdit("Strategy (Ready):", p.unified, -100, 100, 0);
+   this.neGrip = this.numericEdit("Grip (Sci):", p.colorGrip, 0, 1, 4);
+   this.neShadow = this.numericEdit("Shadow Conv (Sci):", p.shadowConvergence, 0, 3, 4);
+   this.neSP = this.numericEdit("SP (Sci):", p.symmetryPoint, 0, 1, 6);
+   this.neLP = this.numericEdit("LP (Sci):", p.shadowProtection, 0, 1, 6);
+   this.neHP = this.numericEdit("HP (Sci):", p.highlightProtection, 0, 1, 6);
+   var stretchEdits = [this.neLogD, this.neB, this.neConv, this.neUnified, this.neGrip, this.neShadow, this.neSP, this.neLP, this.neHP];
+   for (var i = 0; i < stretchEdits.length; i++) this.stretchGroup.sizer.add(stretchEdits[i]);
+   
+   this.statsGroup = new GroupBox(this); this.statsGroup.title = "Recorded Statistics"; this.statsGroup.sizer = new VerticalSizer;
+   this.statsGroup.sizer.margin = 6; this.statsGroup.sizer.spacing = 4;
+   this.neAnchor = this.numericEdit("Anchor:", p.linkAnchor, 0, 1, 8);
+   this.neFloor = this.numericEdit("Floor:", p.linkGlobalFloor, 0, 1, 8);
+   this.neScale = this.numericEdit("Scale:", p.linkFinalScale, 0, 1000, 6);
+   this.neM = this.numericEdit("MTF m:", p.linkMtfM, 0, 1, 8);
+   this.nePedestal = this.numericEdit("Pedestal:", p.linkPedestal, 0, 0.1, 6);
+   this.neScale.toolTip = this.neFloor.toolTip = this.neM.toolTip = "Adaptive scaling of Ready-to-Use mode (m = 0: no MTF shift).";
+   this.nePedestal.toolTip = "Black level the stretch added before the adaptive scaling (0 = none).";
+   this.statsGroup.sizer.add(this.neAnchor); this.statsGroup.sizer.add(this.neFloor);
+   this.statsGroup.sizer.add(this.neScale); this.statsGroup.sizer.add(this.neM); this.statsGroup.sizer.add(this.nePedestal);
+   
+   this.btnOK = new PushButton(this); this.btnOK.text = "Reconstruct";
+   this.btnCancel = new PushButton(this); this.btnCancel.text = "Cancel";
+   this.btnCancel.onClick = function() { id.cancel(); };
+   this.btnOK.onClick = function() {
+      p.processingMode = (id.cmbMode.currentItem === 0) ? "ready_to_use" : "scientific";
+      if (p.processingMode === "ready_to_use" && !(id.neScale.value > 0)) {
+         (new MessageBox("Ready-to-Use mode needs the recorded adaptive scale.", "Inverse Stretch", StdIcon_Error, StdButton_Ok)).execute();
+         return;
       }
-      g.end();
-      gc();
+      p.logD = id.neLogD.value; p.protectB = id.neB.value; p.convergence = id.neConv.value;
+      p.unified = id.neUnified.value; p.colorGrip = id.neGrip.value; p.shadowConvergence = id.neShadow.value;
+      p.symmetryPoint = id.neSP.value; p.shadowProtection = id.neLP.value; p.highlightProtection = id.neHP.value;
+      p.setLinkedStats({ anchor: id.neAnchor.value, logD: p.logD, protectB: p.protectB,
+                         globalFloor: id.neFloor.value, finalScale: id.neScale.value, mtfM: id.neM.value,
+                         pedestal: id.nePedestal.value }, p.linkReferenceId);
+      id.ok();
    };
-
-   this.initScrollBars();
+   this.buttonsSizer = new HorizontalSizer; this.buttonsSizer.spacing = 6;
+   this.buttonsSizer.addStretch(); this.buttonsSizer.add(this.btnOK); this.buttonsSizer.add(this.btnCancel);
+   
+   this.sizer = new VerticalSizer; this.sizer.margin = 10; this.sizer.spacing = 6;
+   this.sizer.add(this.lblSource); this.sizer.add(this.modeSizer);
+   this.sizer.add(this.stretchGroup); this.sizer.add(this.statsGroup); this.sizer.add(this.buttonsSizer);
+   
+   this.windowTitle = "VeraLux Inverse Stretch";
+   this.adjustToContents();
 }
-ScrollControl.prototype = new ScrollBox;
-
-// =============================================================================
-//  GUI
-// =============================================================================
+InverseStretchDialog.prototype = new Dialog;
 
-function VeraLuxDialog() {
+function VeraLuxDialog(parameters) {
    this.__base__ = Dialog;
    this.__base__();
    
@@ -812,6 +4686,9 @@ function VeraLuxDialog() {
    this.previewControl.setMinWidth(600);
    this.previewControl.setMinHeight(450);
    
+   // --- Histogram (updated on every preview refresh) ---
+   this.histogram = new VeraLuxHistogram(this);
+   
    // --- Pixel Value Label (for preview) ---
    this.pixelValueLabel = new Label(this);
    this.pixelValueLabel.text = "Pixel Value: ";
@@ -825,38 +4702,7 @@ function VeraLuxDialog() {
    this.sourceImage = null;
    
    this.createTemporaryImage = function(selectedImage, zoomItem, preservePosition) {
-      let window = new ImageWindow(
-         selectedImage.width, selectedImage.height,
-         selectedImage.numberOfChannels,
-         selectedImage.bitsPerSample,
-         selectedImage.isReal,
-         selectedImage.isColor
-      );
-
-      window.mainView.beginProcess();
-      window.mainView.image.assign(selectedImage);
-      window.mainView.endProcess();
-
-      var P = new IntegerResample;
-
-      switch (zoomItem) {
-         case 0: P.zoomFactor = -1; break;  // 1:1
-         case 1: P.zoomFactor = -2; break;  // 1:2
-         case 2: P.zoomFactor = -4; break;  // 1:4
-         case 3: P.zoomFactor = -8; break;  // 1:8
-         case 4: // Fit
-            const previewWidth = dlg.previewControl.width;
-            const widthScale = Math.floor(selectedImage.width / previewWidth);
-            P.zoomFactor = -Math.max(widthScale, 1);
-            break;
-         default:
-            P.zoomFactor = -2;
-            break;
-      }
-
-      P.executeOn(window.mainView);
-
-      let resizedImage = new Image(window.mainView.image);
+      let resizedImage = dlg.downsampleForPreview(selectedImage, selectedImage.width, zoomItem);
 
       if (resizedImage.width > 0 && resizedImage.height > 0) {
          // Preserve scroll position if requested
@@ -871,11 +4717,69 @@ function VeraLuxDialog() {
       } else {
          console.error("Resized image has invalid dimensions.");
       }
-
-      window.forceClose();
       return resizedImage;
    };
    
+   // Log the effective stretch parameters used by a preview run
+   this.logStretchParams = function(params) {
+      if (params.processingMode === "ready_to_use") {
+         if (params.shadowConvergence > 0)
+            Console.writeln("Preview: Mode=Ready-to-Use (Noise Cleaning), Shadow=" + params.shadowConvergence.toFixed(2));
+         else if (params.colorGrip < 1.0)
+            Console.writeln("Preview: Mode=Ready-to-Use (Soften Highlights), Grip=" + params.colorGrip.toFixed(2));
+         else
+            Console.writeln("Preview: Mode=Ready-to-Use (Balanced)");
+      } else {
+         Console.writeln("Preview: Mode=Scientific, Grip=" + params.colorGrip.toFixed(2) + ", Shadow=" + params.shadowConvergence.toFixed(2));
+      }
+      
+      Console.writeln("Preview: LogD=" + params.logD.toFixed(2) + 
+                     ", Protect b=" + params.protectB.toFixed(2) + 
+                     ", Adaptive=" + (params.adaptive ? "ON" : "OFF"));
+      if (params.linked)
+         Console.writeln("Preview: Linked Stretch (Reference '" + dlg.linkReferenceId + "', Anchor=" + params.linked.anchor.toFixed(5) + ")");
+      Console.flush();
+   };
+   
+   // Downsample an image to the preview scale of zoomItem (default: the selected
+   // one); referenceWidth selects the Fit factor
+   this.downsampleForPreview = function(image, referenceWidth, zoomItem) {
+      if (zoomItem === undefined) zoomItem = dlg.zoomLevelComboBox.currentItem;
+      var window = new ImageWindow(image.width, image.height, image.numberOfChannels,
+                                   image.bitsPerSample, image.isReal, image.isColor);
+      window.mainView.beginProcess(); window.mainView.image.assign(image); window.mainView.endProcess();
+      var P = new IntegerResample;
+      switch (zoomItem) {
+         case 0: P.zoomFactor = -1; break;
+         case 1: P.zoomFactor = -2; break;
+         case 2: P.zoomFactor = -4; break;
+         case 3: P.zoomFactor = -8; break;
+         case 4: P.zoomFactor = -Math.max(Math.floor(referenceWidth / dlg.previewControl.width), 1); break;
+         default: P.zoomFactor = -2;
+      }
+      P.executeOn(window.mainView);
+      var result = new Image(window.mainView.image);
+      window.forceClose();
+      return result;
+   };
+   
+   // Auto-STF'd "before" image for a downsampled linear source, cached while the
+   // source and preview scale are unchanged
+   this.beforeCache = null;
+   this.beforeImageFor = function(linear) {
+      var c = dlg.beforeCache;
+      if (c && c.source === dlg.sourceImage && c.image.width === linear.width && c.image.height === linear.height) return c.image;
+      dlg.beforeCache = { source: dlg.sourceImage, image: autoSTFImage(linear) };
+      return dlg.beforeCache.image;
+   };
+   
+   // Mask of a view at preview scale, or null if it has no active mask
+   this.previewMaskFor = function(view, referenceWidth) {
+      if (!view) return null;
+      var mask = getViewMask(view);
+      return mask ? dlg.downsampleForPreview(mask, referenceWidth) : null;
+   };
+   
    // Fast preview processing - works on downsampled image for speed
    this.processPreviewFast = function(preservePosition) {
       if (!dlg.sourceImage) {
@@ -888,87 +4792,39 @@ function VeraLuxDialog() {
       Console.flush();
       
       // First downsample the source image to preview resolution
-      var downsampleWindow = new ImageWindow(
-         dlg.sourceImage.width, dlg.sourceImage.height,
-         dlg.sourceImage.numberOfChannels,
-         dlg.sourceImage.bitsPerSample,
-         dlg.sourceImage.isReal,
-         dlg.sourceImage.isColor
-      );
-      
-      downsampleWindow.mainView.beginProcess();
-      downsampleWindow.mainView.image.assign(dlg.sourceImage);
-      downsampleWindow.mainView.endProcess();
-      
-      // Apply downsample
-      var P = new IntegerResample;
+      var source = dlg.downsampleForPreview(dlg.sourceImage, dlg.sourceImage.width);
       var zoomItem = dlg.zoomLevelComboBox.currentItem;
-      switch (zoomItem) {
-         case 0: P.zoomFactor = -1; break;  // 1:1
-         case 1: P.zoomFactor = -2; break;  // 1:2
-         case 2: P.zoomFactor = -4; break;  // 1:4
-         case 3: P.zoomFactor = -8; break;  // 1:8
-         case 4: // Fit
-            const previewWidth = dlg.previewControl.width;
-            const widthScale = Math.floor(dlg.sourceImage.width / previewWidth);
-            P.zoomFactor = -Math.max(widthScale, 1);
-            break;
-         default:
-            P.zoomFactor = -2;
-      }
-      P.executeOn(downsampleWindow.mainView);
       
       Console.writeln("Preview: Processing at " + dlg.zoomLevelComboBox.itemText(zoomItem) + " scale for speed...");
       
       // Now process the downsampled image
-      var grip = dlg.ncGrip.value; 
-      var shadow = dlg.ncShadow.value;
-      if(dlg.radReady.checked) {
-         var val = dlg.ncUnified.value;
-         if(val < 0) { 
-            shadow = (Math.abs(val)/100)*3.0; 
-            grip = 1.0; 
-            Console.writeln("Preview: Mode=Ready-to-Use (Noise Cleaning), Shadow=" + shadow.toFixed(2));
-         } else if (val > 0) { 
-            grip = 1.0 - ((val/100)*0.6); 
-            shadow = 0.0; 
-            Console.writeln("Preview: Mode=Ready-to-Use (Soften Highlights), Grip=" + grip.toFixed(2));
-         } else {
-            Console.writeln("Preview: Mode=Ready-to-Use (Balanced)");
-         }
-      } else {
-         Console.writeln("Preview: Mode=Scientific, Grip=" + grip.toFixed(2) + ", Shadow=" + shadow.toFixed(2));
-      }
+      var params = dlg.getParameters().stretchParams(dlg.getTargetView());
+      dlg.logStretchParams(params);
       
-      Console.writeln("Preview: LogD=" + dlg.ncLogD.value.toFixed(2) + 
-                     ", Protect b=" + dlg.ncProtect.value.toFixed(2) + 
-                     ", Adaptive=" + (dlg.chkAdaptive.checked ? "ON" : "OFF"));
-      Console.flush();
-      
-      var params = {
-         weights: SENSOR_PROFILES[dlg.sensorCombo.itemText(dlg.sensorCombo.currentItem)].weights,
-         logD: dlg.ncLogD.value, 
-         protectB: dlg.ncProtect.value, 
-         convergence: dlg.ncConv.value,
-         processingMode: dlg.radReady.checked ? "ready_to_use" : "scientific",
-         targetBg: dlg.ncTarget.value, 
-         colorGrip: grip, 
-         shadowConvergence: shadow, 
-         adaptive: dlg.chkAdaptive.checked,
-         addPedestal: true
-      };
+      var progress = dlg.startProgress("Preview...", function(msg){ 
+         // Filter out percentage spam, show other messages
+         if (!msg.match(/Stretching: \d+%/)) {
+            Console.writeln("Preview: " + msg);
+         }
+      });
+      if (!progress) return;
       
       try {
-         var resImg = processVeraLux(downsampleWindow.mainView.image, params, function(msg){ 
-            // Filter out percentage spam, show other messages
-            if (!msg.match(/Stretching: \d+%/)) {
-               Console.writeln("Preview: " + msg);
-            }
-         });
+         var stats = {};
+         var resImg = processVeraLux(source, params, progress, stats);
+         
+         var previewMask = dlg.chkUseMask.checked ? dlg.previewMaskFor(dlg.getTargetView(), dlg.sourceImage.width) : null;
+         if (previewMask && previewMask.width === resImg.width && previewMask.height === resImg.height) {
+            Console.writeln("Preview: Applying mask...");
+            resImg = applyMaskBlend(source, resImg, previewMask);
+         }
          
          // Update display with processed image
          var oldScrollPos = preservePosition ? new Point(dlg.previewControl.scrollPosition) : new Point(0, 0);
+         dlg.previewControl.compareImage = dlg.beforeImageFor(source);
          dlg.previewControl.displayImage = new Image(resImg);
+         dlg.histogram.setData(computePreviewHistogram(source, resImg, params, stats));
+         dlg.previewControl.setClippingMap(clippingMap(source, resImg, params, stats));
          if (preservePosition) {
             dlg.previewControl.scrollPosition = oldScrollPos;
          }
@@ -977,11 +4833,12 @@ function VeraLuxDialog() {
          
          Console.noteln("=== VeraLux Preview (Fast): Complete ===");
          Console.flush();
+         dlg.endProgress("Preview updated.");
       } catch(e) {
-         Console.criticalln("Preview processing error: " + e);
+         dlg.endProgress((e instanceof VeraLuxAbort) ? "Preview aborted." : "Preview failed.");
+         if (e instanceof VeraLuxAbort) Console.warningln("Preview: Aborted.");
+         else Console.criticalln("Preview processing error: " + e);
       }
-      
-      downsampleWindow.forceClose();
    };
    
    // Star Composer preview processing
@@ -1012,82 +4869,45 @@ function VeraLuxDialog() {
       Console.noteln("=== VeraLux StarComposer Preview: Starting ===");
       Console.flush();
       
-      // Downsample both images for speed
-      var downsampleMask = new ImageWindow(
-         maskView.image.width, maskView.image.height,
-         maskView.image.numberOfChannels,
-         maskView.image.bitsPerSample,
-         maskView.image.isReal,
-         maskView.image.isColor
-      );
-      downsampleMask.mainView.beginProcess();
-      downsampleMask.mainView.image.assign(maskView.image);
-      downsampleMask.mainView.endProcess();
-      
-      var downsampleBase = new ImageWindow(
-         baseView.image.width, baseView.image.height,
-         baseView.image.numberOfChannels,
-         baseView.image.bitsPerSample,
-         baseView.image.isReal,
-         baseView.image.isColor
-      );
-      downsampleBase.mainView.beginProcess();
-      downsampleBase.mainView.image.assign(baseView.image);
-      downsampleBase.mainView.endProcess();
-      
-      // Apply downsample
-      var P = new IntegerResample;
+      // Downsample both images for speed (the mask width sets the Fit scale)
+      var maskSmall = dlg.downsampleForPreview(maskView.image, maskView.image.width);
+      var baseSmall = dlg.downsampleForPreview(baseView.image, maskView.image.width);
       var zoomItem = dlg.zoomLevelComboBox.currentItem;
-      switch (zoomItem) {
-         case 0: P.zoomFactor = -1; break;
-         case 1: P.zoomFactor = -2; break;
-         case 2: P.zoomFactor = -4; break;
-         case 3: P.zoomFactor = -8; break;
-         case 4:
-            const previewWidth = dlg.previewControl.width;
-            const widthScale = Math.floor(maskView.image.width / previewWidth);
-            P.zoomFactor = -Math.max(widthScale, 1);
-            break;
-         default:
-            P.zoomFactor = -2;
-      }
-      P.executeOn(downsampleMask.mainView);
-      P.executeOn(downsampleBase.mainView);
       
       Console.writeln("Preview: Processing at " + dlg.zoomLevelComboBox.itemText(zoomItem) + " scale...");
       Console.writeln("Preview: Star Intensity (LogD)=" + dlg.ncStarD.value.toFixed(2) + 
                      ", Hardness (b)=" + dlg.ncStarB.value.toFixed(2));
       Console.flush();
       
+      var progress = dlg.startProgress("Star preview...", function(msg){ 
+         if (!msg.match(/Stretching: \d+%/)) {
+            Console.writeln("Preview: " + msg);
+         }
+      });
+      if (!progress) return;
+      
       try {
-         var params = {
-            weights: SENSOR_PROFILES[dlg.sensorCombo.itemText(dlg.sensorCombo.currentItem)].weights,
-            logD: dlg.ncStarD.value,
-            protectB: dlg.ncStarB.value,
-            convergence: 3.5,
-            colorGrip: dlg.ncStarGrip.value,
-            shadowConvergence: 0,
-            lsr: dlg.ncLSR.value,
-            healing: dlg.ncHeal.value,
-            reduction: 0,
-            adaptive: dlg.chkStarAdapt.checked
-         };
+         var params = dlg.getParameters().starParams(maskView);
          
          // Process star mask
          Console.writeln("Preview: Processing star mask...");
-         var stars = processStarPipeline(new Image(downsampleMask.mainView.image), params, function(msg){ 
-            if (!msg.match(/Stretching: \d+%/)) {
-               Console.writeln("Preview: " + msg);
-            }
-         });
+         var stars = processStarPipeline(maskSmall, params, subProgress(progress, 0, 0.9));
          
          // Compose
-         Console.writeln("Preview: Compositing...");
-         var base = new Image(downsampleBase.mainView.image);
+         progress("Compositing...", 0.9);
+         var base = baseSmall;
          var final = composeStarImages(stars, base, dlg.radScreen.checked);
+         var previewMask = dlg.chkStarUseMask.checked ? dlg.previewMaskFor(baseView, maskView.image.width) : null;
+         if (previewMask && previewMask.width === final.width && previewMask.height === final.height) {
+            Console.writeln("Preview: Applying base mask...");
+            final = applyMaskBlend(base, final, previewMask);
+         }
          
          // Update display
          var oldScrollPos = preservePosition ? new Point(dlg.previewControl.scrollPosition) : new Point(0, 0);
+         dlg.previewControl.compareImage = null;   // Comparisons show the linear stretch source
+         dlg.histogram.setData(null);
+         dlg.previewControl.setClippingMap(null);
          dlg.previewControl.displayImage = new Image(final);
          if (preservePosition) {
             dlg.previewControl.scrollPosition = oldScrollPos;
@@ -1097,12 +4917,12 @@ function VeraLuxDialog() {
          
          Console.noteln("=== VeraLux StarComposer Preview: Complete ===");
          Console.flush();
+         dlg.endProgress("Preview updated.");
       } catch(e) {
-         Console.criticalln("Preview processing error: " + e);
+         dlg.endProgress((e instanceof VeraLuxAbort) ? "Preview aborted." : "Preview failed.");
+         if (e instanceof VeraLuxAbort) Console.warningln("Preview: Aborted.");
+         else Console.criticalln("Preview processing error: " + e);
       }
-      
-      downsampleMask.forceClose();
-      downsampleBase.forceClose();
    };
    
    // Full resolution preview processing (for initial load)
@@ -1132,63 +4952,42 @@ function VeraLuxDialog() {
       processingWindow.mainView.image.assign(selectedImage);
       processingWindow.mainView.endProcess();
 
+      var progress = dlg.startProgress("Preview...", function(msg){ 
+         // Filter out percentage spam, show other messages
+         if (!msg.match(/Stretching: \d+%/)) {
+            Console.writeln("Preview: " + msg);
+         }
+      });
+      if (!progress) { processingWindow.forceClose(); return; }
+
       try {
          // Get current parameters
-         var grip = dlg.ncGrip.value; 
-         var shadow = dlg.ncShadow.value;
-         if(dlg.radReady.checked) {
-            var val = dlg.ncUnified.value;
-            if(val < 0) { 
-               shadow = (Math.abs(val)/100)*3.0; 
-               grip = 1.0; 
-               Console.writeln("Preview: Mode=Ready-to-Use (Noise Cleaning), Shadow=" + shadow.toFixed(2));
-            } else if (val > 0) { 
-               grip = 1.0 - ((val/100)*0.6); 
-               shadow = 0.0; 
-               Console.writeln("Preview: Mode=Ready-to-Use (Soften Highlights), Grip=" + grip.toFixed(2));
-            } else {
-               Console.writeln("Preview: Mode=Ready-to-Use (Balanced)");
-            }
-         } else {
-            Console.writeln("Preview: Mode=Scientific, Grip=" + grip.toFixed(2) + ", Shadow=" + shadow.toFixed(2));
-         }
-         
-         Console.writeln("Preview: LogD=" + dlg.ncLogD.value.toFixed(2) + 
-                        ", Protect b=" + dlg.ncProtect.value.toFixed(2) + 
-                        ", Adaptive=" + (dlg.chkAdaptive.checked ? "ON" : "OFF"));
-         Console.flush();
-         
-         var params = {
-            weights: SENSOR_PROFILES[dlg.sensorCombo.itemText(dlg.sensorCombo.currentItem)].weights,
-            logD: dlg.ncLogD.value, 
-            protectB: dlg.ncProtect.value, 
-            convergence: dlg.ncConv.value,
-            processingMode: dlg.radReady.checked ? "ready_to_use" : "scientific",
-            targetBg: dlg.ncTarget.value, 
-            colorGrip: grip, 
-            shadowConvergence: shadow, 
-            adaptive: dlg.chkAdaptive.checked,
-            addPedestal: true
-         };
+         var params = dlg.getParameters().stretchParams(dlg.getTargetView());
+         dlg.logStretchParams(params);
          
          Console.writeln("Preview: Processing stretch...");
-         var resImg = processVeraLux(processingWindow.mainView.image, params, function(msg){ 
-            // Filter out percentage spam, show other messages
-            if (!msg.match(/Stretching: \d+%/)) {
-               Console.writeln("Preview: " + msg);
-            }
-         });
+         var stats = {};
+         var resImg = processVeraLux(processingWindow.mainView.image, params, progress, stats);
+         dlg.histogram.setData(computePreviewHistogram(processingWindow.mainView.image, resImg, params, stats));
          
          // Store the full-resolution processed image for zoom changes
          dlg.lastProcessedImage = new Image(resImg);
          
          Console.writeln("Preview: Creating preview display...");
+         var previewSource = dlg.downsampleForPreview(selectedImage, selectedImage.width);
+         dlg.previewControl.compareImage = dlg.beforeImageFor(previewSource);
+         // Classified at full resolution, then reduced to the preview scale
+         dlg.previewControl.setClippingMap(downsampleClippingMap(clippingMap(selectedImage, resImg, params, stats),
+                                                                 previewSource.width, previewSource.height));
          let tempImage = dlg.createTemporaryImage(resImg, dlg.zoomLevelComboBox.currentItem, preservePosition);
          
          Console.noteln("=== VeraLux Preview: Complete ===");
          Console.flush();
+         dlg.endProgress("Preview updated.");
       } catch(e) {
-         Console.criticalln("Preview processing error: " + e);
+         dlg.endProgress((e instanceof VeraLuxAbort) ? "Preview aborted." : "Preview failed.");
+         if (e instanceof VeraLuxAbort) Console.warningln("Preview: Aborted.");
+         else Console.criticalln("Preview processing error: " + e);
       }
 
       processingWindow.forceClose();
@@ -1231,6 +5030,38 @@ function VeraLuxDialog() {
        msgBox.execute();
    };
    
+   // --- Presets ---
+   this.presets = VeraLuxPresets.load();
+   
+   this.presetGroup = new GroupBox(this); this.presetGroup.title = "Presets"; this.presetGroup.sizer = new VerticalSizer;
+   this.presetGroup.sizer.margin = 6; this.presetGroup.sizer.spacing = 4;
+   
+   this.presetCombo = new ComboBox(this);
+   this.presetCombo.toolTip = "<p><b>Named Presets</b><br>Select a preset to load its HyperMetric Stretch and StarComposer parameters.</p>";
+   this.presetCombo.setMinWidth(200);
+   
+   this.btnPresetSave = new PushButton(this); this.btnPresetSave.text = "Save";
+   this.btnPresetSave.toolTip = "Save the current parameters as a named preset (overwrites a preset with the same name).";
+   this.btnPresetRename = new PushButton(this); this.btnPresetRename.text = "Rename";
+   this.btnPresetRename.toolTip = "Rename the selected preset.";
+   this.btnPresetDelete = new PushButton(this); this.btnPresetDelete.text = "Delete";
+   this.btnPresetDelete.toolTip = "Delete the selected preset.";
+   this.btnPresetImport = new PushButton(this); this.btnPresetImport.text = "Import...";
+   this.btnPresetImport.toolTip = "Import presets from a JSON file.";
+   this.btnPresetExport = new PushButton(this); this.btnPresetExport.text = "Export...";
+   this.btnPresetExport.toolTip = "Export all presets to a JSON file to share them.";
+   this.btnPresetFromImage = new PushButton(this); this.btnPresetFromImage.text = "From Image";
+   this.btnPresetFromImage.toolTip = "<p><b>Load Parameters from Image</b><br>Restores the parameters recorded in the target image by a previous VeraLux run (VeraLux:* XISF properties or VLX* FITS keywords). Recorded stretch statistics prefill the Inverse Stretch.</p>";
+   
+   this.presetRow1 = new HorizontalSizer; this.presetRow1.spacing = 4;
+   this.presetRow1.add(this.presetCombo, 100); this.presetRow1.add(this.btnPresetSave);
+   this.presetRow2 = new HorizontalSizer; this.presetRow2.spacing = 4;
+   this.presetRow2.add(this.btnPresetRename); this.presetRow2.add(this.btnPresetDelete);
+   this.presetRow2.addStretch();
+   this.presetRow2.add(this.btnPresetFromImage);
+   this.presetRow2.add(this.btnPresetImport); this.presetRow2.add(this.btnPresetExport);
+   this.presetGroup.sizer.add(this.presetRow1); this.presetGroup.sizer.add(this.presetRow2);
+   
    this.tabBox = new TabBox(this);
    
    // --------------------------------------------------------------------------
@@ -1244,6 +5075,15 @@ function VeraLuxDialog() {
    this.reqLabel.text = "Input: Any LINEAR Image (Stars or Starless)";
    this.reqLabel.styleSheet = "font-size: 9pt; color: #ffaa00; font-weight: bold;";
    this.reqLabel.textAlignment = TextAlign_Center;
+   
+   this.lblTarget = new Label(this); this.lblTarget.text = "Target:"; this.lblTarget.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+   this.targetViewList = new ViewList(this);
+   this.targetViewList.getAll(); // Main views and previews
+   this.targetViewList.toolTip = "<p><b>Target View</b><br>Image to analyze and stretch.<br>Select a preview to stretch only that sub-frame.</p>";
+   if (ImageWindow.activeWindow && !ImageWindow.activeWindow.isNull)
+      this.targetViewList.currentView = ImageWindow.activeWindow.currentView;
+   this.targetSizer = new HorizontalSizer; this.targetSizer.spacing = 4;
+   this.targetSizer.add(this.lblTarget); this.targetSizer.add(this.targetViewList, 100);
 
    this.modeGroup = new GroupBox(this); this.modeGroup.title = "Processing Mode"; this.modeGroup.sizer = new VerticalSizer;
    this.radReady = new RadioButton(this); 
@@ -1265,11 +5105,31 @@ function VeraLuxDialog() {
 
    this.sensorCombo = new ComboBox(this);
    this.sensorCombo.toolTip = "<p><b>Sensor Profile</b><br>Defines the Luminance coefficients (Weights) used for the stretch.<br>Choose Rec.709 for general use.</p>";
-   for (var key in SENSOR_PROFILES) { this.sensorCombo.addItem(key); }
+   var profileNames = sensorProfileNames();
+   for (var i = 0; i < profileNames.length; i++) this.sensorCombo.addItem(profileNames[i]);
+   
+   this.btnSensorManage = new PushButton(this);
+   this.btnSensorManage.text = "Manage...";
+   this.btnSensorManage.toolTip = "<p><b>Manage Profiles</b><br>Create, edit, delete, import and export custom sensor profiles.</p>";
+   this.sensorComboSizer = new HorizontalSizer; this.sensorComboSizer.spacing = 4;
+   this.sensorComboSizer.add(this.sensorCombo, 100); this.sensorComboSizer.add(this.btnSensorManage);
+   
+   this.chkSensorAuto = new CheckBox(this);
+   this.chkSensorAuto.text = "Auto-detect from metadata";
+   this.chkSensorAuto.checked = VeraLuxSensorMapping.enabled;
+   this.chkSensorAuto.toolTip = "<p><b>Auto-detect</b><br>Selects the profile from the target's INSTRUME, FILTER and TELESCOP keywords " +
+                                "when the target view changes, using the mapping table.</p>";
+   this.btnSensorMapping = new PushButton(this);
+   this.btnSensorMapping.text = "Mapping...";
+   this.btnSensorMapping.toolTip = "<p><b>Mapping Table</b><br>Edit the keyword &rarr; sensor profile rules.</p>";
+   this.sensorAutoSizer = new HorizontalSizer; this.sensorAutoSizer.spacing = 4;
+   this.sensorAutoSizer.add(this.chkSensorAuto); this.sensorAutoSizer.addStretch(); this.sensorAutoSizer.add(this.btnSensorMapping);
+   this.lblSensorSource = new Label(this);
    
    this.sensorInfoLbl = new Label(this); this.sensorInfoLbl.wordWrapping = true;
    this.sensorGroup = new GroupBox(this); this.sensorGroup.title = "Sensor Profile"; this.sensorGroup.sizer = new VerticalSizer;
-   this.sensorGroup.sizer.add(this.sensorCombo); this.sensorGroup.sizer.add(this.sensorInfoLbl);
+   this.sensorGroup.sizer.add(this.sensorComboSizer); this.sensorGroup.sizer.add(this.sensorAutoSizer);
+   this.sensorGroup.sizer.add(this.lblSensorSource); this.sensorGroup.sizer.add(this.sensorInfoLbl);
 
    this.rowTop = new HorizontalSizer; this.rowTop.add(this.modeGroup); this.rowTop.add(this.sensorGroup);
 
@@ -1302,7 +5162,56 @@ function VeraLuxDialog() {
    this.ncProtect.toolTip = "<p><b>Highlight Protection (b)</b><br>Controls the 'knee' of the curve.<br>• <b>High (>6):</b> Sharper stars.<br>• <b>Low (<2):</b> Brighter nebula/bloat.</p>";
    
    this.row2.add(this.ncLogD); this.row2.add(this.ncProtect);
-   this.engineGroup.sizer.add(this.row1); this.engineGroup.sizer.add(this.row2);
+   
+   // Auto-Calc highlight limits (joint Log D + b solve)
+   this.chkConstraints = new CheckBox(this);
+   this.chkConstraints.text = "Highlight limits:";
+   this.chkConstraints.toolTip = "<p><b>Multi-constraint Auto-Calc</b><br>Auto-Calc solves Log D and Protect b jointly: background at Target Bg, the chosen luminance percentile at or below the ceiling, and at most the given share of saturated star cores. The limiting constraint is reported.<br>In Ready-to-Use mode the adaptive scaling maps the 99th-99.99th percentiles to 0.98-1.0, so tight limits are mostly reachable in Scientific mode.</p>";
+   this.neHighPct = new NumericEdit(this);
+   this.neHighPct.label.text = "Percentile:"; this.neHighPct.setReal(true); this.neHighPct.setPrecision(3);
+   this.neHighPct.setRange(50, 99.999); this.neHighPct.setValue(DEFAULT_PARAMETERS.highlightPercentile);
+   this.neHighPct.toolTip = "<p>Luminance percentile (%) kept below the highlight ceiling.</p>";
+   this.neHighCeil = new NumericEdit(this);
+   this.neHighCeil.label.text = "Ceiling:"; this.neHighCeil.setReal(true); this.neHighCeil.setPrecision(3);
+   this.neHighCeil.setRange(0.1, 1); this.neHighCeil.setValue(DEFAULT_PARAMETERS.highlightCeiling);
+   this.neHighCeil.toolTip = "<p>Highest allowed output luminance at the percentile.</p>";
+   this.neMaxSat = new NumericEdit(this);
+   this.neMaxSat.label.text = "Max saturated %:"; this.neMaxSat.setReal(true); this.neMaxSat.setPrecision(3);
+   this.neMaxSat.setRange(0, 10); this.neMaxSat.setValue(DEFAULT_PARAMETERS.maxSaturatedPct);
+   this.neMaxSat.toolTip = "<p>Largest share of pixels (%) allowed to reach saturation (luminance &ge; " + SOLVER_SATURATION_LEVEL + "), i.e. clipped star cores.</p>";
+   this.chkConstraints.onCheck = function(checked) {
+       dlg.neHighPct.enabled = dlg.neHighCeil.enabled = dlg.neMaxSat.enabled = checked;
+   };
+   this.chkConstraints.onCheck(false);
+   this.row3 = new HorizontalSizer; this.row3.spacing = 6;
+   this.row3.add(this.chkConstraints); this.row3.add(this.neHighPct); this.row3.add(this.neHighCeil); this.row3.add(this.neMaxSat);
+   this.row3.addStretch();
+   this.engineGroup.sizer.add(this.row1); this.engineGroup.sizer.add(this.row2); this.engineGroup.sizer.add(this.row3);
+
+   // Generalized Hyperbolic Stretch shape (Scientific mode)
+   this.ghsGroup = new GroupBox(this); this.ghsGroup.title = "GHS Shape (Scientific)"; this.ghsGroup.sizer = new VerticalSizer;
+   this.ghsGroup.sizer.spacing = 4;
+   this.ghsGroup.toolTip = "<p><b>Generalized Hyperbolic Stretch</b><br>Log D and b shape the curve; SP, LP and HP are levels of the linear image, with LP &le; SP &le; HP.</p>";
+   
+   this.ncSP = new NumericControl(this);
+   this.ncSP.label.text = "Symmetry (SP):"; this.ncSP.setRange(0, 1); this.ncSP.setPrecision(4); this.ncSP.setValue(0);
+   this.ncSP.toolTip = "<p><b>Symmetry Point</b><br>Level where the stretch adds the most contrast. The curve is mirrored below it.<br>Click <b>Pick</b>, then a point in the preview to sample it.</p>";
+   this.btnPickSP = new PushButton(this);
+   this.btnPickSP.text = "Pick";
+   this.btnPickSP.checkable = true;
+   this.btnPickSP.toolTip = "<p>Click a point in the preview to set the Symmetry Point to its linear luminance (5x5 average).</p>";
+   this.spSizer = new HorizontalSizer; this.spSizer.spacing = 4;
+   this.spSizer.add(this.ncSP, 100); this.spSizer.add(this.btnPickSP);
+   
+   this.ncLP = new NumericControl(this);
+   this.ncLP.label.text = "Shadow (LP):"; this.ncLP.setRange(0, 1); this.ncLP.setPrecision(4); this.ncLP.setValue(0);
+   this.ncLP.toolTip = "<p><b>Shadow Protection</b><br>Below this level the curve continues as a straight line, preserving shadow contrast and noise.</p>";
+   this.ncHP = new NumericControl(this);
+   this.ncHP.label.text = "Highlight (HP):"; this.ncHP.setRange(0, 1); this.ncHP.setPrecision(4); this.ncHP.setValue(1);
+   this.ncHP.toolTip = "<p><b>Highlight Protection</b><br>Above this level the curve continues as a straight line, protecting star cores. 1 = off.</p>";
+   var ghsLabelWidth = this.font.width("Highlight (HP):") + 4;
+   this.ncSP.label.setFixedWidth(ghsLabelWidth); this.ncLP.label.setFixedWidth(ghsLabelWidth); this.ncHP.label.setFixedWidth(ghsLabelWidth);
+   this.ghsGroup.sizer.add(this.spSizer); this.ghsGroup.sizer.add(this.ncLP); this.ghsGroup.sizer.add(this.ncHP);
 
    this.physGroup = new GroupBox(this); this.physGroup.title = "Physics & Color"; this.physGroup.sizer = new VerticalSizer;
    
@@ -1318,6 +5227,14 @@ function VeraLuxDialog() {
    
    this.lblUnified = new Label(this); this.lblUnified.text = "Balanced (Pure Vector)";
    
+   this.btnSuggest = new PushButton(this); this.btnSuggest.text = "Suggest";
+   this.btnSuggest.toolTip = "<p><b>Noise-aware Strategy</b><br>Measures background chroma noise and clipped star cores in the linear target and proposes a Strategy value with an explanation.</p>";
+   this.chkAutoStrategy = new CheckBox(this); this.chkAutoStrategy.text = "Auto";
+   this.chkAutoStrategy.toolTip = "<p>Auto-Calc also sets the Strategy from the noise / star-core analysis (Ready-to-Use mode, color images).</p>";
+   this.strategySizer = new HorizontalSizer; this.strategySizer.spacing = 6;
+   this.strategySizer.add(this.lblUnified); this.strategySizer.addStretch();
+   this.strategySizer.add(this.chkAutoStrategy); this.strategySizer.add(this.btnSuggest);
+   
    this.sciSizer = new VerticalSizer;
    this.ncGrip = new NumericControl(this); 
    this.ncGrip.label.text = "Grip:"; this.ncGrip.setRange(0,1); this.ncGrip.setValue(1);
@@ -1328,7 +5245,52 @@ function VeraLuxDialog() {
    this.ncShadow.toolTip = "<p><b>Shadow Convergence</b><br>Damps chromatic noise in the background.<br>Increase if background looks speckled.</p>";
    
    this.sciSizer.add(this.ncGrip); this.sciSizer.add(this.ncShadow);
-   this.physGroup.sizer.add(this.ncUnified); this.physGroup.sizer.add(this.lblUnified); this.physGroup.sizer.add(this.sciSizer);
+   this.physGroup.sizer.add(this.ncUnified); this.physGroup.sizer.add(this.strategySizer); this.physGroup.sizer.add(this.sciSizer);
+
+   // Linked Stretch
+   this.linkGroup = new GroupBox(this); this.linkGroup.title = "Linked Stretch"; this.linkGroup.sizer = new VerticalSizer;
+   this.linkGroup.sizer.spacing = 4;
+   this.linkStats = null;        // Captured { anchor, globalFloor, finalScale, mtfM }
+   this.linkReferenceId = "";
+   this.lastStretchRecord = null; // Parameters + statistics of the last stretch (Inverse)
+   this.lastStretchMasked = false; // The last stretch was blended through a mask
+   this.processed = false;        // A stretch, composition or batch ran (settings are saved on close)
+   this.report = new VeraLuxReport(); // Runs of this session not yet saved (Report...)
+   
+   this.chkLinked = new CheckBox(this);
+   this.chkLinked.text = "Link to reference:";
+   this.chkLinked.toolTip = "<p><b>Linked Stretch</b><br>Reuses the anchor, Log D, Protect b, adaptive scaling floor/scale and MTF captured from the reference image instead of recomputing them (the Log D and b controls are ignored while linked).<br>Use it for mosaic panels and star/starless pairs so their levels match.</p>";
+   this.cmbLinkRef = new ComboBox(this);
+   this.cmbLinkRef.toolTip = "Reference image whose statistics are captured.";
+   this.btnLinkCapture = new PushButton(this);
+   this.btnLinkCapture.text = "Capture";
+   this.btnLinkCapture.toolTip = "<p>Runs the stretch on the reference with the current parameters and freezes its statistics.</p>";
+   this.linkRow = new HorizontalSizer; this.linkRow.spacing = 4;
+   this.linkRow.add(this.chkLinked); this.linkRow.add(this.cmbLinkRef, 100); this.linkRow.add(this.btnLinkCapture);
+   this.lblLinkInfo = new Label(this);
+   this.lblLinkInfo.styleSheet = "color: #888; font-style: italic;";
+   this.lblLinkInfo.wordWrapping = true;
+   this.linkGroup.sizer.add(this.linkRow); this.linkGroup.sizer.add(this.lblLinkInfo);
+
+   // Output
+   this.outputGroup = new GroupBox(this); this.outputGroup.title = "Output"; this.outputGroup.sizer = new HorizontalSizer;
+   this.outputGroup.sizer.spacing = 6;
+   this.radOutReplace = new RadioButton(this);
+   this.radOutReplace.text = "Replace target"; this.radOutReplace.checked = true;
+   this.radOutReplace.toolTip = "<p>Stretches the target image in place (undoable from the image History).</p>";
+   this.radOutNew = new RadioButton(this);
+   this.radOutNew.text = "New window";
+   this.radOutNew.toolTip = "<p>Leaves the target untouched and creates a new image with its FITS keywords, astrometric solution and ICC profile.</p>";
+   this.lblOutSuffix = new Label(this); this.lblOutSuffix.text = "Id suffix:"; this.lblOutSuffix.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+   this.editOutSuffix = new Edit(this); this.editOutSuffix.text = "_vlx"; this.editOutSuffix.setFixedWidth(this.font.width("MMMMMMMM"));
+   this.editOutSuffix.toolTip = "Appended to the target id to name the new window.";
+   this.chkUseMask = new CheckBox(this);
+   this.chkUseMask.text = "Use mask"; this.chkUseMask.checked = true;
+   this.chkUseMask.toolTip = "<p>If the target window has an active mask, blends original and stretched data through it.</p>";
+   this.outputGroup.sizer.add(this.radOutReplace); this.outputGroup.sizer.add(this.radOutNew);
+   this.outputGroup.sizer.add(this.chkUseMask);
+   this.outputGroup.sizer.addStretch();
+   this.outputGroup.sizer.add(this.lblOutSuffix); this.outputGroup.sizer.add(this.editOutSuffix);
 
    // Bottom buttons row
    this.bottomButtonsSizer = new HorizontalSizer;
@@ -1339,37 +5301,37 @@ function VeraLuxDialog() {
    this.btnAudit.toolTip = "Checks for black clipping and proposes a safe Log D.";
    this.bottomButtonsSizer.add(this.btnAudit);
    
+   this.btnInverse = new PushButton(this);
+   this.btnInverse.text = "Inverse...";
+   this.btnInverse.toolTip = "<p><b>Inverse Stretch</b><br>Reconstructs the linear data of a VeraLux-stretched target from the recorded parameters and statistics (new window), and reports the round-trip error.</p>";
+   this.bottomButtonsSizer.add(this.btnInverse);
+   
+   this.btnExport = new PushButton(this);
+   this.btnExport.text = "Export...";
+   this.btnExport.toolTip = "<p><b>Export Stretch</b><br>Writes the current stretch of the target, with its computed anchor, Log D, b, pedestal and adaptive scaling baked in, as a standard process for users without VeraLux: an exact PixelMath expression for mono images and Color Grip 0, otherwise a sampled CurvesTransformation (the approximation error is reported).</p>";
+   this.bottomButtonsSizer.add(this.btnExport);
+   
+   this.btnFidelity = new PushButton(this);
+   this.btnFidelity.text = "Color Fidelity...";
+   this.btnFidelity.toolTip = "<p><b>Color Fidelity Audit</b><br>Stretches the linear RGB target with the current parameters (without modifying it) and compares input and output chromaticity per pixel. Opens hue-shift and saturation-change heatmaps and prints statistics per output luminance band, quantifying the effect of Color Grip, Shadow Convergence and the soft-clip on color ratios.</p>";
+   this.bottomButtonsSizer.add(this.btnFidelity);
+   
+   this.btnReport = new PushButton(this);
+   this.btnReport.text = "Report...";
+   this.btnReport.toolTip = "<p><b>Processing Report</b><br>Saves the runs of this session (Auto-Calc, Analyze Clipping, stretches and batch items) with their parameters, solver/audit results, per-channel input/output statistics, noise estimates and timing as JSON and CSV files. Existing report files are extended, to track stretch consistency across imaging sessions.</p>";
+   this.bottomButtonsSizer.add(this.btnReport);
+   
    this.bottomButtonsSizer.addStretch();
    
    // Reset button
    this.resetButton = new PushButton(this);
    this.resetButton.text = "⟲ Reset";
-   this.resetButton.toolTip = "Reset all parameters to defaults";
-   this.resetButton.onClick = function() {
-      // Reset HyperMetric Stretch parameters
-      dlg.radReady.checked = true;
-      dlg.radSci.checked = false;
-      dlg.chkAdaptive.checked = true;
-      dlg.ncTarget.setValue(0.20);
-      dlg.ncLogD.setValue(2.0);
-      dlg.ncProtect.setValue(6.0);
-      dlg.ncConv.setValue(3.5);
-      dlg.ncUnified.setValue(0);
-      dlg.ncGrip.setValue(1.0);
-      dlg.ncShadow.setValue(0.0);
-      
-      // Reset sensor to default
-      for (var i = 0; i < dlg.sensorCombo.numberOfItems; i++) {
-         if (dlg.sensorCombo.itemText(i) === DEFAULT_PROFILE) {
-            dlg.sensorCombo.currentItem = i;
-            break;
-         }
-      }
-      
-      // Update UI
-      dlg.updateMode();
-      dlg.updateSensor();
-      dlg.lblUnified.text = "Balanced (Pure Vector)";
+   this.resetButton.toolTip = "Reset all parameters to defaults";
+   this.resetButton.onClick = function() {
+      // Reset HyperMetric Stretch parameters
+      var p = dlg.getParameters();
+      p.reset(STRETCH_PARAMETER_KEYS);
+      dlg.setParameters(p);
    };
    this.bottomButtonsSizer.add(this.resetButton);
    
@@ -1379,9 +5341,13 @@ function VeraLuxDialog() {
    this.btnProcStretch.textColor = 0xFFFFFF;
 
    this.pageStretch.sizer.add(this.reqLabel);
+   this.pageStretch.sizer.add(this.targetSizer);
    this.pageStretch.sizer.add(this.rowTop);
    this.pageStretch.sizer.add(this.engineGroup);
+   this.pageStretch.sizer.add(this.ghsGroup);
    this.pageStretch.sizer.add(this.physGroup);
+   this.pageStretch.sizer.add(this.linkGroup);
+   this.pageStretch.sizer.add(this.outputGroup);
    this.pageStretch.sizer.add(this.bottomButtonsSizer);
    this.pageStretch.sizer.addStretch();
    this.pageStretch.sizer.add(this.btnProcStretch);
@@ -1405,15 +5371,28 @@ function VeraLuxDialog() {
    this.lblBase = new Label(this); this.lblBase.text = "Starless Base (Stretched):";
    this.cmbStarBase = new ComboBox(this);
    
+   // Main views and previews (full ids)
+   this.listViewIds = function() {
+       var ids = [];
+       var windows = ImageWindow.windows;
+       for (var i = 0; i < windows.length; ++i) {
+           ids.push(windows[i].mainView.fullId);
+           var previews = windows[i].previews;
+           for (var j = 0; j < previews.length; ++j) ids.push(previews[j].fullId);
+       }
+       return ids;
+   };
+   
    var windows = ImageWindow.windows;
-   for (var i = 0; i < windows.length; ++i) {
-       this.cmbStarMask.addItem(windows[i].mainView.id);
-       this.cmbStarBase.addItem(windows[i].mainView.id);
+   var viewIds = this.listViewIds();
+   for (var i = 0; i < viewIds.length; ++i) {
+       this.cmbStarMask.addItem(viewIds[i]);
+       this.cmbStarBase.addItem(viewIds[i]);
    }
    
    if (windows.length > 0) {
        this.cmbStarMask.currentItem = 0;
-       this.cmbStarBase.currentItem = (windows.length > 1) ? 1 : 0; 
+       this.cmbStarBase.currentItem = (windows.length > 1) ? this.cmbStarBase.findItem(windows[1].mainView.fullId) : 0; 
    } else {
        this.cmbStarMask.addItem("[No Images Open]");
        this.cmbStarBase.addItem("[No Images Open]");
@@ -1448,6 +5427,9 @@ function VeraLuxDialog() {
    this.chkStarAdapt = new CheckBox(this); this.chkStarAdapt.text = "Adaptive Anchor"; this.chkStarAdapt.checked = false; // Default OFF for masks
    this.chkStarAdapt.toolTip = "Keep OFF for StarNet/StarXTerminator masks (which are already zero-based).";
    
+   this.chkStarUseMask = new CheckBox(this); this.chkStarUseMask.text = "Use base mask"; this.chkStarUseMask.checked = true;
+   this.chkStarUseMask.toolTip = "<p>If the Starless Base window has an active mask, stars are only composed through it.</p>";
+   
    this.btnStarAuto = new PushButton(this);
    this.btnStarAuto.text = "⚡ Auto-Stretch Stars"; this.btnStarAuto.backgroundColor = 0xFFAA00;
    this.btnStarAuto.toolTip = "<p><b>Auto-Star</b><br>Calculates correct intensity to make stars visible.</p>";
@@ -1456,6 +5438,7 @@ function VeraLuxDialog() {
    this.grpStarEngine.sizer.add(this.btnStarAuto); // Added button
    this.grpStarEngine.sizer.add(this.ncStarB); 
    this.grpStarEngine.sizer.add(this.chkStarAdapt);
+   this.grpStarEngine.sizer.add(this.chkStarUseMask);
 
    this.grpStarPhys = new GroupBox(this); this.grpStarPhys.title = "Physics & Surgery"; this.grpStarPhys.sizer = new VerticalSizer;
    this.ncStarGrip = new NumericControl(this); this.ncStarGrip.label.text = "Color Grip:"; this.ncStarGrip.setRange(0, 1); this.ncStarGrip.setValue(1.0);
@@ -1467,7 +5450,11 @@ function VeraLuxDialog() {
    this.ncHeal = new NumericControl(this); this.ncHeal.label.text = "Healing (Halos):"; this.ncHeal.setRange(0, 20); this.ncHeal.setValue(0.0);
    this.ncHeal.toolTip = "<p><b>Optical Healing</b><br>Repairs chromatic aberration (magenta/green halos).</p>";
    
+   this.ncReduction = new NumericControl(this); this.ncReduction.label.text = "Reduction:"; this.ncReduction.setRange(0, 1); this.ncReduction.setValue(0.0);
+   this.ncReduction.toolTip = "<p><b>Star Reduction</b><br>Blends in an eroded star mask to shrink star profiles.</p>";
+   
    this.grpStarPhys.sizer.add(this.ncStarGrip); this.grpStarPhys.sizer.add(this.ncLSR); this.grpStarPhys.sizer.add(this.ncHeal);
+   this.grpStarPhys.sizer.add(this.ncReduction);
 
    // Bottom buttons row for StarComposer
    this.bottomButtonsStarSizer = new HorizontalSizer;
@@ -1480,14 +5467,9 @@ function VeraLuxDialog() {
    this.resetStarButton.toolTip = "Reset all StarComposer parameters to defaults";
    this.resetStarButton.onClick = function() {
       // Reset StarComposer parameters
-      dlg.radAdd.checked = true;
-      dlg.radScreen.checked = false;
-      dlg.ncStarD.setValue(1.5);
-      dlg.ncStarB.setValue(6.0);
-      dlg.chkStarAdapt.checked = false;
-      dlg.ncStarGrip.setValue(1.0);
-      dlg.ncLSR.setValue(0.0);
-      dlg.ncHeal.setValue(0.0);
+      var p = dlg.getParameters();
+      p.reset(STAR_PARAMETER_KEYS);
+      dlg.setParameters(p);
    };
    this.bottomButtonsStarSizer.add(this.resetStarButton);
    
@@ -1504,27 +5486,121 @@ function VeraLuxDialog() {
    this.pageStar.sizer.addStretch();
    this.pageStar.sizer.add(this.btnProcStar);
 
+   // --------------------------------------------------------------------------
+   // TAB 3: BATCH
+   // --------------------------------------------------------------------------
+   this.pageBatch = new Control(this);
+   this.pageBatch.sizer = new VerticalSizer;
+   this.pageBatch.sizer.margin = 10; this.pageBatch.sizer.spacing = 6;
+   
+   this.reqLabelBatch = new Label(this);
+   this.reqLabelBatch.text = "Applies the HyperMetric Stretch tab settings to every checked image; output always goes to new files or windows";
+   this.reqLabelBatch.styleSheet = "font-size: 9pt; color: #ffaa00; font-weight: bold;";
+   this.reqLabelBatch.textAlignment = TextAlign_Center;
+   
+   this.grpBatchInput = new GroupBox(this); this.grpBatchInput.title = "Images"; this.grpBatchInput.sizer = new VerticalSizer;
+   this.grpBatchInput.sizer.spacing = 4;
+   this.batchList = new TreeBox(this);
+   this.batchList.rootDecoration = false;
+   this.batchList.alternateRowColor = true;
+   this.batchList.multipleSelection = true;
+   this.batchList.numberOfColumns = 2;
+   this.batchList.headerVisible = true;
+   this.batchList.setHeaderText(0, "Image");
+   this.batchList.setHeaderText(1, "Source");
+   this.batchList.setMinHeight(120);
+   this.batchList.toolTip = "<p>Only checked images are processed.</p>";
+   
+   this.btnBatchAddFiles = new PushButton(this); this.btnBatchAddFiles.text = "Add Files...";
+   this.btnBatchAddWindows = new PushButton(this); this.btnBatchAddWindows.text = "Add Open Windows";
+   this.btnBatchAddWindows.toolTip = "Adds all open images (uncheck the ones to skip).";
+   this.btnBatchRemove = new PushButton(this); this.btnBatchRemove.text = "Remove";
+   this.btnBatchClear = new PushButton(this); this.btnBatchClear.text = "Clear";
+   this.batchListButtons = new HorizontalSizer; this.batchListButtons.spacing = 4;
+   this.batchListButtons.add(this.btnBatchAddFiles); this.batchListButtons.add(this.btnBatchAddWindows);
+   this.batchListButtons.addStretch();
+   this.batchListButtons.add(this.btnBatchRemove); this.batchListButtons.add(this.btnBatchClear);
+   this.grpBatchInput.sizer.add(this.batchList); this.grpBatchInput.sizer.add(this.batchListButtons);
+   
+   this.grpBatchSolve = new GroupBox(this); this.grpBatchSolve.title = "Auto-Calc"; this.grpBatchSolve.sizer = new HorizontalSizer;
+   this.grpBatchSolve.sizer.spacing = 4;
+   this.cmbBatchAuto = new ComboBox(this);
+   this.cmbBatchAuto.addItem("Off (use current Log D)");
+   this.cmbBatchAuto.addItem("Per-image");
+   this.cmbBatchAuto.addItem("Shared reference");
+   this.cmbBatchAuto.addItem("Linked to reference");
+   this.cmbBatchAuto.currentItem = 1;
+   this.cmbBatchAuto.toolTip = "<p><b>Per-image:</b> Smart Solver runs on each image.<br><b>Shared reference:</b> Smart Solver runs on the reference image and its Log D is used for all images.<br><b>Linked to reference:</b> As Shared, and the reference's anchor and scaling statistics are frozen and reused so all levels match exactly.<br>With <b>Highlight limits</b> enabled, Log D and b are solved jointly.</p>";
+   this.lblBatchRef = new Label(this); this.lblBatchRef.text = "Reference:"; this.lblBatchRef.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+   this.cmbBatchRef = new ComboBox(this);
+   this.grpBatchSolve.sizer.add(this.cmbBatchAuto); this.grpBatchSolve.sizer.add(this.lblBatchRef); this.grpBatchSolve.sizer.add(this.cmbBatchRef, 100);
+   
+   this.grpBatchOutput = new GroupBox(this); this.grpBatchOutput.title = "Output"; this.grpBatchOutput.sizer = new VerticalSizer;
+   this.grpBatchOutput.sizer.spacing = 4;
+   this.lblBatchDir = new Label(this); this.lblBatchDir.text = "Directory:"; this.lblBatchDir.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+   this.editBatchDir = new Edit(this);
+   this.editBatchDir.toolTip = "<p>Output directory. Required for file inputs.<br>If empty, open windows are stretched into new windows.</p>";
+   this.btnBatchDir = new ToolButton(this);
+   this.btnBatchDir.icon = this.scaledResource(":/browser/select-file.png");
+   this.btnBatchDir.setScaledFixedSize(20, 20);
+   this.btnBatchDir.toolTip = "Select the output directory";
+   this.batchDirSizer = new HorizontalSizer; this.batchDirSizer.spacing = 4;
+   this.batchDirSizer.add(this.lblBatchDir); this.batchDirSizer.add(this.editBatchDir, 100); this.batchDirSizer.add(this.btnBatchDir);
+   
+   this.lblBatchTemplate = new Label(this); this.lblBatchTemplate.text = "Naming:"; this.lblBatchTemplate.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+   this.editBatchTemplate = new Edit(this); this.editBatchTemplate.text = "{name}_vlx";
+   this.editBatchTemplate.toolTip = "<p>Output name template.<br>{name} = source file name or view id<br>{index} = position in the list (001, 002...)<br>{logd} = Log D used</p>";
+   this.cmbBatchExt = new ComboBox(this);
+   this.cmbBatchExt.addItem(".xisf"); this.cmbBatchExt.addItem(".fits"); this.cmbBatchExt.addItem(".tif");
+   this.batchTemplateSizer = new HorizontalSizer; this.batchTemplateSizer.spacing = 4;
+   this.batchTemplateSizer.add(this.lblBatchTemplate); this.batchTemplateSizer.add(this.editBatchTemplate, 100); this.batchTemplateSizer.add(this.cmbBatchExt);
+   this.lblBatchTemplate.setFixedWidth(this.font.width("Directory:"));
+   this.lblBatchDir.setFixedWidth(this.font.width("Directory:"));
+   this.grpBatchOutput.sizer.add(this.batchDirSizer); this.grpBatchOutput.sizer.add(this.batchTemplateSizer);
+   
+   this.grpBatchSummary = new GroupBox(this); this.grpBatchSummary.title = "Summary"; this.grpBatchSummary.sizer = new VerticalSizer;
+   this.batchSummary = new TreeBox(this);
+   this.batchSummary.rootDecoration = false;
+   this.batchSummary.alternateRowColor = true;
+   this.batchSummary.numberOfColumns = 5;
+   this.batchSummary.headerVisible = true;
+   this.batchSummary.setHeaderText(0, "Image");
+   this.batchSummary.setHeaderText(1, "Anchor");
+   this.batchSummary.setHeaderText(2, "Log D");
+   this.batchSummary.setHeaderText(3, "Clip %");
+   this.batchSummary.setHeaderText(4, "Output");
+   this.batchSummary.setMinHeight(120);
+   this.grpBatchSummary.sizer.add(this.batchSummary);
+   
+   this.btnProcBatch = new PushButton(this);
+   this.btnProcBatch.text = "RUN BATCH STRETCH";
+   this.btnProcBatch.backgroundColor = 0xFF009900;
+   this.btnProcBatch.textColor = 0xFFFFFF;
+   
+   this.pageBatch.sizer.add(this.reqLabelBatch);
+   this.pageBatch.sizer.add(this.grpBatchInput);
+   this.pageBatch.sizer.add(this.grpBatchSolve);
+   this.pageBatch.sizer.add(this.grpBatchOutput);
+   this.pageBatch.sizer.add(this.grpBatchSummary);
+   this.pageBatch.sizer.addStretch();
+   this.pageBatch.sizer.add(this.btnProcBatch);
+
    // --- MAIN SIZER ---
-   this.tabBox.addPage(this.pageStretch, "HyperMetric Stretch");
-   this.tabBox.addPage(this.pageStar, "StarComposer");
+   this.pageNames = ["HyperMetric Stretch", "StarComposer", "Batch"];
+   this.tabBox.addPage(this.pageStretch, this.pageNames[0]);
+   this.tabBox.addPage(this.pageStar, this.pageNames[1]);
+   this.tabBox.addPage(this.pageBatch, this.pageNames[2]);
    
    // Tab change handler - update preview when switching tabs
    this.tabBox.onPageSelected = function(pageIndex) {
-      Console.writeln("Preview: Tab switched to " + (pageIndex === 0 ? "HyperMetric Stretch" : "StarComposer"));
+      Console.writeln("Preview: Tab switched to " + dlg.pageNames[pageIndex]);
       
       if (pageIndex === 0) {
-         // HyperMetric Stretch - use active window or cached source
+         // HyperMetric Stretch - use target view or cached source
          if (dlg.sourceImage) {
             dlg.processPreviewFast(false);
-         } else if (ImageWindow.activeWindow) {
-            var selectedImage = ImageWindow.activeWindow.mainView.image;
-            if (selectedImage) {
-               dlg.sourceImage = new Image(selectedImage);
-               var tmpImage = dlg.createTemporaryImage(selectedImage, dlg.zoomLevelComboBox.currentItem, false);
-               dlg.previewControl.displayImage = tmpImage;
-               dlg.previewControl.initScrollBars();
-               dlg.previewControl.viewport.update();
-            }
+         } else {
+            dlg.loadTargetSource();
          }
       } else if (pageIndex === 1) {
          // StarComposer - preview the composition
@@ -1581,10 +5657,8 @@ function VeraLuxDialog() {
          // HyperMetric Stretch tab
          if (dlg.sourceImage) {
             dlg.processPreviewFast(true);
-         } else if (ImageWindow.activeWindow) {
-            var selectedImage = ImageWindow.activeWindow.mainView.image;
-            if (selectedImage)
-               dlg.processPreview(selectedImage, false);
+         } else if (dlg.getTargetView()) {
+            dlg.processPreview(dlg.getTargetView().image, false);
          }
       } else if (dlg.tabBox.currentPageIndex === 1) {
          // StarComposer tab
@@ -1593,6 +5667,25 @@ function VeraLuxDialog() {
    };
    this.zoomButtonSizer.add(this.zoomLevelComboBox);
    
+   // Before/after comparison (linear source with auto-STF vs. stretched preview)
+   this.compareLabel = new Label(this);
+   this.compareLabel.text = "Compare:";
+   this.compareLabel.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+   this.zoomButtonSizer.add(this.compareLabel);
+   
+   this.compareComboBox = new ComboBox(this);
+   this.compareComboBox.addItem("Off");
+   this.compareComboBox.addItem("Split");
+   this.compareComboBox.addItem("Side by side");
+   this.compareComboBox.addItem("Blink");
+   this.compareComboBox.toolTip = "<p><b>Before/After</b><br>Compares the linear source (auto-STF) with the last Preview Refresh. " +
+                                  "<b>Split:</b> drag the yellow line. <b>Side by side:</b> synchronized panes. <b>Blink:</b> alternates both.<br>" +
+                                  "Pan and zoom stay locked in every mode.</p>";
+   this.compareComboBox.onItemSelected = function(index) {
+      dlg.previewControl.setCompareMode(COMPARE_MODES[index]);
+   };
+   this.zoomButtonSizer.add(this.compareComboBox);
+   
    this.previewSizer.add(this.zoomButtonSizer);
    
    // Preview refresh button
@@ -1609,9 +5702,41 @@ function VeraLuxDialog() {
          dlg.processStarPreview(true);
       }
    };
-   this.previewSizer.add(this.previewButton);
    
-   this.previewSizer.add(this.previewControl, 1, Align_Expand);
+   // Clipping overlay (false colors over the preview)
+   this.overlayLabel = new Label(this);
+   this.overlayLabel.text = "Clipping:";
+   this.overlayLabel.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+   this.overlayComboBox = new ComboBox(this);
+   this.overlayComboBox.addItem("Off");
+   this.overlayComboBox.addItem("Shadows");
+   this.overlayComboBox.addItem("Highlights");
+   this.overlayComboBox.addItem("Both");
+   this.overlayComboBox.toolTip = "<p><b>Clipping Overlay</b><br>Paints clipped pixels of the last Preview Refresh in false colors.<br>" +
+                                  "<b>Blue:</b> black clipped (output at or below the pedestal, or source below the anchor).<br>" +
+                                  "<b>Red:</b> highlight saturated (a channel at or above the 0.98 soft-clip knee).</p>";
+   this.overlayComboBox.onItemSelected = function(index) {
+      dlg.previewControl.setOverlayMode(OVERLAY_MODES[index]);
+      var map = dlg.previewControl.clipMap;
+      if (map && index > 0) {
+         var total = map.total;
+         Console.writeln("Preview: Clipping overlay - shadows " + (100 * map.shadows / total).toFixed(2) + "%, highlights " +
+                         (100 * map.highlights / total).toFixed(2) + "%");
+      }
+   };
+   
+   this.previewButtonSizer = new HorizontalSizer;
+   this.previewButtonSizer.spacing = 6;
+   this.previewButtonSizer.add(this.previewButton, 1);
+   this.previewButtonSizer.add(this.overlayLabel);
+   this.previewButtonSizer.add(this.overlayComboBox);
+   this.previewSizer.add(this.previewButtonSizer);
+   
+   this.previewRow = new HorizontalSizer;
+   this.previewRow.spacing = 6;
+   this.previewRow.add(this.previewControl, 1);
+   this.previewRow.add(this.histogram);
+   this.previewSizer.add(this.previewRow, 1);
    this.previewSizer.add(this.pixelValueLabel);
    
    // --- Left Side (Controls) ---
@@ -1626,8 +5751,49 @@ function VeraLuxDialog() {
    this.headerSizer.add(this.btnHelp);
    
    this.leftSizer.add(this.headerSizer);
+   this.leftSizer.add(this.presetGroup);
    this.leftSizer.add(this.tabBox);
    
+   // New Instance (process icon / ProcessContainer support)
+   this.newInstanceButton = new ToolButton(this);
+   this.newInstanceButton.icon = this.scaledResource(":/process-interface/new-instance.png");
+   this.newInstanceButton.setScaledFixedSize(24, 24);
+   this.newInstanceButton.toolTip = "<p><b>New Instance</b><br>Drag to the workspace to create a process icon with the current parameters of the active tab.<br>Drop it on a view or add it to a ProcessContainer to run without the dialog.</p>";
+   this.newInstanceButton.onMousePress = function() {
+      this.hasFocus = true;
+      dlg.getParameters().exportParameters();
+      this.pushed = false;
+      this.dialog.newInstance();
+   };
+   
+   // Large images
+   this.chkTiled = new CheckBox(this);
+   this.chkTiled.text = "Tiled processing";
+   this.chkTiled.toolTip = "<p><b>Tiled Processing</b><br>Processes large images (e.g. drizzled mosaics) tile by tile to bound memory use.<br>Global statistics are still measured on the whole image, so the result is the same.</p>";
+   this.chkTiled.onCheck = function(checked) { dlg.spinTileSize.enabled = checked; };
+   this.spinTileSize = new SpinBox(this);
+   this.spinTileSize.minValue = 256; this.spinTileSize.maxValue = 8192; this.spinTileSize.stepSize = 256;
+   this.spinTileSize.value = DEFAULT_TILE_SIZE; this.spinTileSize.enabled = false;
+   this.spinTileSize.toolTip = "Tile size in pixels.";
+   
+   // Progress & Abort
+   this.progressBar = new VeraLuxProgressBar(this);
+   this.progressBar.toolTip = "Progress of the running operation.";
+   this.btnAbort = new PushButton(this);
+   this.btnAbort.text = "Abort";
+   this.btnAbort.toolTip = "<p>Cancels the running operation. Target images are left untouched.</p>";
+   this.btnAbort.enabled = false;
+   this.btnAbort.onClick = function() { dlg.abortRequested = true; };
+   this.progressSizer = new HorizontalSizer; this.progressSizer.spacing = 6;
+   this.progressSizer.add(this.progressBar, 100); this.progressSizer.add(this.btnAbort);
+   this.leftSizer.add(this.progressSizer);
+   
+   this.instanceSizer = new HorizontalSizer; this.instanceSizer.spacing = 6;
+   this.instanceSizer.add(this.newInstanceButton);
+   this.instanceSizer.addStretch();
+   this.instanceSizer.add(this.chkTiled); this.instanceSizer.add(this.spinTileSize);
+   this.leftSizer.add(this.instanceSizer);
+   
    // --- Main Layout (Horizontal) ---
    this.mainSizer = new HorizontalSizer;
    this.mainSizer.spacing = 6;
@@ -1644,7 +5810,10 @@ function VeraLuxDialog() {
    this.updateMode = function() {
        var ready = dlg.radReady.checked;
        dlg.ncUnified.visible = ready; dlg.lblUnified.visible = ready; 
+       dlg.btnSuggest.visible = ready; dlg.chkAutoStrategy.visible = ready;
        dlg.sciSizer.visible = !ready;
+       dlg.ghsGroup.visible = !ready;
+       if (ready) dlg.btnPickSP.checked = false;
        
        if (ready) dlg.lblModeInfo.text = "Unified Strategy Enabled. (Aesthetic Focus)";
        else dlg.lblModeInfo.text = "Scientific Mode. (Manual Parameter Control)";
@@ -1653,13 +5822,123 @@ function VeraLuxDialog() {
    };
    this.radReady.onClick = this.updateMode; this.radSci.onClick = this.updateMode;
    
+   // GHS points keep LP <= SP <= HP
+   this.ncSP.onValueUpdated = function(v) {
+       if (dlg.ncLP.value > v) dlg.ncLP.setValue(v);
+       if (dlg.ncHP.value < v) dlg.ncHP.setValue(v);
+   };
+   this.ncLP.onValueUpdated = function(v) {
+       if (dlg.ncSP.value < v) { dlg.ncSP.setValue(v); dlg.ncSP.onValueUpdated(v); }
+   };
+   this.ncHP.onValueUpdated = function(v) {
+       if (dlg.ncSP.value > v) { dlg.ncSP.setValue(v); dlg.ncSP.onValueUpdated(v); }
+   };
+   
+   // Symmetry Point picking: linear luminance around the clicked preview pixel
+   this.previewControl.onImageClick = function(x, y, image) {
+       if (!dlg.btnPickSP.checked) return;
+       var src = dlg.sourceImage;
+       if (!src) return;
+       var sx = Math.floor((x + 0.5) * src.width / image.width);
+       var sy = Math.floor((y + 0.5) * src.height / image.height);
+       var weights;
+       try {
+           weights = dlg.getParameters().sensorWeights(dlg.getTargetView());
+       } catch(e) {
+           weights = SENSOR_PROFILES[DEFAULT_PROFILE].weights;
+       }
+       var sum = 0; var count = 0;
+       for (var j = Math.max(0, sy - 2); j <= Math.min(src.height - 1, sy + 2); j++) {
+           for (var i = Math.max(0, sx - 2); i <= Math.min(src.width - 1, sx + 2); i++) {
+               sum += (src.numberOfChannels === 3) ? weights[0] * src.sample(i, j, 0) + weights[1] * src.sample(i, j, 1) + weights[2] * src.sample(i, j, 2)
+                                                   : src.sample(i, j, 0);
+               count++;
+           }
+       }
+       dlg.ncSP.setValue(sum / count);
+       dlg.ncSP.onValueUpdated(dlg.ncSP.value);
+       dlg.btnPickSP.checked = false;
+       Console.writeln("VeraLux: Symmetry Point = " + dlg.ncSP.value.toFixed(4) + " (picked at " + sx + ", " + sy + ")");
+   };
+   
    // Sensor Info Update
    this.updateSensor = function() {
        var key = dlg.sensorCombo.itemText(dlg.sensorCombo.currentItem);
-       var profile = SENSOR_PROFILES[key];
-       dlg.sensorInfoLbl.text = profile.info + "\n(Weights: " + profile.weights[0].toFixed(2) + ", " + profile.weights[1].toFixed(2) + ", " + profile.weights[2].toFixed(2) + ")";
+       if (key === IMAGE_RGBWS_PROFILE) {
+           var target = dlg.getTargetView();
+           var info = "Luminance coefficients of the target's RGB working space.";
+           try {
+               var w = rgbWorkingSpaceWeights(target);
+               dlg.sensorInfoLbl.text = info + "\n(" + target.fullId + ": " + w[0].toFixed(4) + ", " + w[1].toFixed(4) + ", " + w[2].toFixed(4) + ")";
+           } catch(e) {
+               dlg.sensorInfoLbl.text = info + "\n(" + e.message + ")";
+           }
+       } else {
+           var profile = SENSOR_PROFILES[key];
+           dlg.sensorInfoLbl.text = profile.info + "\n(Weights: " + profile.weights[0].toFixed(2) + ", " + profile.weights[1].toFixed(2) + ", " + profile.weights[2].toFixed(2) + ")";
+       }
+       
+       // Auto-detected only while the detected profile is still the selected one
+       var det = dlg.sensorDetection;
+       if (det && det.profile === key) {
+           dlg.lblSensorSource.text = "Auto-detected: " + det.keyword + " = '" + det.value + "'";
+           dlg.lblSensorSource.styleSheet = "color: #2a8; font-weight: bold;";
+       } else {
+           dlg.lblSensorSource.text = "Manual selection" + (dlg.sensorNoMatch ? " (no metadata match)" : "");
+           dlg.lblSensorSource.styleSheet = "color: #888; font-style: italic;";
+       }
+   };
+   this.sensorCombo.onItemSelected = function() {
+       dlg.sensorDetection = null; dlg.sensorNoMatch = false;
+       dlg.updateSensor();
+   };
+   
+   // Selects the profile matching the target's metadata (when enabled)
+   this.autoSelectSensor = function() {
+       var target = dlg.getTargetView();
+       if (!dlg.chkSensorAuto.checked || !target) return;
+       var det = null;
+       try {
+           det = VeraLuxSensorMapping.detect(target);
+       } catch(e) {
+           Console.warningln("VeraLux: Sensor auto-detection failed: " + e.message);
+       }
+       dlg.sensorDetection = det; dlg.sensorNoMatch = !det;
+       if (det) {
+           dlg.selectComboItem(dlg.sensorCombo, det.profile);
+           Console.writeln("VeraLux: Sensor profile '" + det.profile + "' auto-detected from " + det.keyword + " = '" + det.value + "'.");
+       }
+       dlg.updateSensor();
+   };
+   
+   this.chkSensorAuto.onCheck = function(checked) {
+       VeraLuxSensorMapping.enabled = checked;
+       VeraLuxSensorMapping.save();
+       if (checked) dlg.autoSelectSensor();
+       else { dlg.sensorNoMatch = false; dlg.updateSensor(); }
+   };
+   
+   this.btnSensorMapping.onClick = function() {
+       if ((new SensorMappingDialog()).execute()) dlg.autoSelectSensor();
+   };
+   
+   // Repopulates the profile combo (after profile edits), keeping or setting the selection
+   this.refreshSensorCombo = function(selectName) {
+       if (!selectName || !isSensorProfileName(selectName)) selectName = DEFAULT_PROFILE;
+       dlg.sensorCombo.clear();
+       var names = sensorProfileNames();
+       for (var i = 0; i < names.length; i++) dlg.sensorCombo.addItem(names[i]);
+       dlg.selectComboItem(dlg.sensorCombo, selectName);
+       dlg.updateSensor();
+   };
+   
+   this.btnSensorManage.onClick = function() {
+       var current = dlg.sensorCombo.itemText(dlg.sensorCombo.currentItem);
+       var pd = new SensorProfileDialog(current);
+       pd.execute();
+       var node = pd.profileList.currentNode;
+       dlg.refreshSensorCombo((node && node.profileName && SENSOR_PROFILES[node.profileName]) ? node.profileName : current);
    };
-   this.sensorCombo.onItemSelected = this.updateSensor;
    
    // Unified Slider Feedback
    this.ncUnified.onValueUpdated = function(val) {
@@ -1670,57 +5949,402 @@ function VeraLuxDialog() {
 
    // Button Actions
    this.btnAuto.onClick = function() { dlg.runSmartSolver(); };
+   this.btnSuggest.onClick = function() { dlg.runStrategySuggest(); };
    this.btnAudit.onClick = function() { dlg.runAuditAndFix(); };
+   this.btnInverse.onClick = function() { dlg.runInverse(); };
+   this.btnExport.onClick = function() { dlg.runExport(); };
+   this.btnFidelity.onClick = function() { dlg.runColorFidelity(); };
+   this.btnReport.onClick = function() { dlg.saveReport(); };
    this.btnProcStretch.onClick = function() { dlg.runStretchProcess(); };
    this.btnProcStar.onClick = function() { dlg.runStarProcess(); };
    this.btnStarAuto.onClick = function() { dlg.runStarSolver(); };
+   this.btnProcBatch.onClick = function() { dlg.runBatchProcess(); };
+
+   // Target View
+   this.getTargetView = function() {
+       var view = dlg.targetViewList.currentView;
+       return (view && !view.isNull) ? view : null;
+   };
+   
+   // Cache the target's linear data as preview source and show it unstretched
+   this.loadTargetSource = function() {
+       var target = dlg.getTargetView();
+       if (!target) return;
+       dlg.sourceImage = new Image(target.image);
+       var tmpImage = dlg.createTemporaryImage(target.image, dlg.zoomLevelComboBox.currentItem, false);
+       dlg.previewControl.compareImage = null;
+       dlg.previewControl.setClippingMap(null);
+       dlg.previewControl.displayImage = tmpImage;
+       dlg.histogram.setData(computePreviewHistogram(tmpImage, null, dlg.getParameters().stretchParams(target), null));
+       dlg.previewControl.initScrollBars();
+       dlg.previewControl.viewport.update();
+   };
+   
+   this.targetViewList.onViewSelected = function(view) {
+       dlg.sourceImage = null;
+       if (view.isNull) return;
+       Console.writeln("Preview: Target changed to " + view.fullId);
+       dlg.autoSelectSensor();
+       dlg.updateSensor();
+       dlg.loadTargetSource();
+   };
+
+   // Linked Stretch
+   this.refreshLinkReferences = function() {
+       var current = dlg.cmbLinkRef.numberOfItems > 0 ? dlg.cmbLinkRef.itemText(dlg.cmbLinkRef.currentItem) : dlg.linkReferenceId;
+       dlg.cmbLinkRef.clear();
+       var viewIds = dlg.listViewIds();
+       for (var i = 0; i < viewIds.length; i++) dlg.cmbLinkRef.addItem(viewIds[i]);
+       if (viewIds.length === 0) dlg.cmbLinkRef.addItem("[No Images Open]");
+       if (!current || !dlg.selectComboItem(dlg.cmbLinkRef, current)) {
+           var target = dlg.getTargetView();
+           if (target) dlg.selectComboItem(dlg.cmbLinkRef, target.fullId);
+       }
+       dlg.cmbLinkRef.enabled = dlg.btnLinkCapture.enabled = (viewIds.length > 0);
+   };
+   
+   this.updateLinkInfo = function() {
+       if (!dlg.linkStats) {
+           dlg.lblLinkInfo.text = "No reference captured.";
+           return;
+       }
+       var st = dlg.linkStats;
+       var text = "Ref '" + dlg.linkReferenceId + "': Anchor=" + st.anchor.toFixed(5);
+       if (st.protectB !== undefined) text += ", Log D=" + st.logD.toFixed(2) + ", b=" + st.protectB.toFixed(2);
+       if (st.finalScale) text += ", Floor=" + st.globalFloor.toFixed(4) + ", Scale=" + st.finalScale.toFixed(3);
+       if (st.mtfM) text += ", m=" + st.mtfM.toFixed(4);
+       dlg.lblLinkInfo.text = text;
+   };
+   
+   this.btnLinkCapture.onClick = function() {
+       var refId = dlg.cmbLinkRef.itemText(dlg.cmbLinkRef.currentItem);
+       var refView = View.viewById(refId);
+       if (refView.isNull) {
+           (new MessageBox("Could not retrieve the reference view.", "Linked Stretch", StdIcon_Error, StdButton_Ok)).execute();
+           return;
+       }
+       Console.show();
+       Console.noteln("VeraLux: Capturing Linked Stretch statistics from " + refId + "...");
+       try {
+           var p = dlg.getParameters();
+           p.linked = false;
+           var progress = dlg.startProgress("Capturing " + refId + "...", function(msg){
+               if (!msg.match(/Stretching: \d+%/)) Console.writeln(msg);
+           });
+           if (!progress) return;
+           try {
+               dlg.linkStats = captureLinkedStretch(refView.image, p.stretchParams(refView), progress);
+           } finally {
+               dlg.endProgress();
+           }
+           dlg.linkReferenceId = refId;
+           dlg.chkLinked.checked = true;
+           dlg.updateLinkInfo();
+           Console.noteln("VeraLux: " + dlg.lblLinkInfo.text);
+       } catch(e) {
+           if (e instanceof VeraLuxAbort) Console.warningln("VeraLux: Capture aborted.");
+           else (new MessageBox("Error: " + e, "Linked Stretch", StdIcon_Error, StdButton_Ok)).execute();
+       }
+   };
+   
+   this.chkLinked.onCheck = function(checked) {
+       if (checked && !dlg.linkStats) dlg.btnLinkCapture.onClick();
+       dlg.updateLinkInfo();
+   };
+
+   // Preset Management
+   this.refreshPresets = function(selectName) {
+       dlg.presetCombo.clear();
+       var names = Object.keys(dlg.presets).sort();
+       if (names.length === 0) {
+           dlg.presetCombo.addItem("[No Presets]");
+       } else {
+           dlg.presetCombo.addItem("[Select Preset]");
+           for (var i = 0; i < names.length; i++) dlg.presetCombo.addItem(names[i]);
+       }
+       dlg.presetCombo.currentItem = 0;
+       if (selectName) dlg.selectComboItem(dlg.presetCombo, selectName);
+       var hasSelection = dlg.selectedPresetName() !== null;
+       dlg.btnPresetRename.enabled = hasSelection;
+       dlg.btnPresetDelete.enabled = hasSelection;
+       dlg.btnPresetExport.enabled = names.length > 0;
+   };
+   
+   this.selectedPresetName = function() {
+       if (dlg.presetCombo.currentItem <= 0) return null;
+       return dlg.presetCombo.itemText(dlg.presetCombo.currentItem);
+   };
+   
+   this.presetCombo.onItemSelected = function() {
+       var name = dlg.selectedPresetName();
+       dlg.btnPresetRename.enabled = dlg.btnPresetDelete.enabled = (name !== null);
+       if (name === null) return;
+       var p = dlg.getParameters();
+       p.assign(dlg.presets[name]);
+       if (!isSensorProfileName(p.sensorProfile)) {
+           Console.warningln("VeraLux: Preset '" + name + "' uses unknown sensor profile '" + p.sensorProfile + "'. Using " + DEFAULT_PROFILE + ".");
+           p.sensorProfile = DEFAULT_PROFILE;
+       }
+       dlg.setParameters(p);
+       Console.writeln("VeraLux: Loaded preset '" + name + "'.");
+   };
+   
+   this.btnPresetSave.onClick = function() {
+       var name = TextInputDialog.prompt("Save Preset", "Preset name:", dlg.selectedPresetName() || "");
+       if (name === null) return;
+       if (dlg.presets[name] !== undefined) {
+           var msg = new MessageBox("Preset '" + name + "' already exists. Overwrite?", "Save Preset", StdIcon_Question, StdButton_Yes, StdButton_No);
+           if (msg.execute() !== StdButton_Yes) return;
+       }
+       dlg.presets[name] = dlg.getParameters().toPreset();
+       VeraLuxPresets.save(dlg.presets);
+       dlg.refreshPresets(name);
+   };
+   
+   this.btnPresetRename.onClick = function() {
+       var oldName = dlg.selectedPresetName();
+       if (oldName === null) return;
+       var newName = TextInputDialog.prompt("Rename Preset", "New name for '" + oldName + "':", oldName);
+       if (newName === null || newName === oldName) return;
+       if (dlg.presets[newName] !== undefined) {
+           (new MessageBox("Preset '" + newName + "' already exists.", "Rename Preset", StdIcon_Error, StdButton_Ok)).execute();
+           return;
+       }
+       dlg.presets[newName] = dlg.presets[oldName];
+       delete dlg.presets[oldName];
+       VeraLuxPresets.save(dlg.presets);
+       dlg.refreshPresets(newName);
+   };
+   
+   this.btnPresetDelete.onClick = function() {
+       var name = dlg.selectedPresetName();
+       if (name === null) return;
+       var msg = new MessageBox("Delete preset '" + name + "'?", "Delete Preset", StdIcon_Question, StdButton_Yes, StdButton_No);
+       if (msg.execute() !== StdButton_Yes) return;
+       delete dlg.presets[name];
+       VeraLuxPresets.save(dlg.presets);
+       dlg.refreshPresets();
+   };
+   
+   this.btnPresetFromImage.onClick = function() {
+       var target = dlg.getTargetView();
+       if (!target) { (new MessageBox("Load an image.", "Error")).execute(); return; }
+       var record = readProcessingHistory(target);
+       if (!record) {
+           (new MessageBox("No VeraLux processing history found in " + target.fullId + ".", "Load Parameters", StdIcon_Warning, StdButton_Ok)).execute();
+           return;
+       }
+       var restored = parametersFromHistory(record, dlg.getParameters());
+       var p = restored.parameters;
+       if (!isSensorProfileName(p.sensorProfile)) {
+           Console.warningln("VeraLux: " + target.fullId + " uses unknown sensor profile '" + p.sensorProfile + "'. Using " + DEFAULT_PROFILE + ".");
+           p.sensorProfile = DEFAULT_PROFILE;
+       }
+       dlg.setParameters(p);
+       if (p.module === "star") {
+           var ids = [p.starMaskId, p.starBaseId];
+           for (var i = 0; i < ids.length; i++)
+               if (ids[i] && View.viewById(ids[i]).isNull)
+                   Console.warningln("VeraLux: Recorded StarComposer view " + ids[i] + " is not open; select it manually.");
+       }
+       if (restored.stats) {
+           var stretchRecord = p.clone();
+           stretchRecord.setLinkedStats(restored.stats, target.fullId);
+           dlg.lastStretchRecord = stretchRecord;
+           dlg.lastStretchMasked = restored.stats.masked;
+       }
+       Console.writeln("VeraLux: Loaded " + (record.module === "star" ? "StarComposer" : "HyperMetric Stretch") +
+                       " parameters from " + target.fullId + " (VeraLux " + (record.version || "?") + ").");
+   };
+   
+   this.btnPresetImport.onClick = function() {
+       var ofd = new OpenFileDialog;
+       ofd.caption = "Import VeraLux Presets";
+       ofd.filters = [["JSON Files", "*.json"], ["All Files", "*"]];
+       if (!ofd.execute()) return;
+       try {
+           var imported = VeraLuxPresets.importFile(ofd.fileName);
+           var count = 0;
+           for (var name in imported) {
+               if (dlg.presets[name] !== undefined) Console.warningln("VeraLux: Preset '" + name + "' replaced by imported version.");
+               dlg.presets[name] = imported[name];
+               count++;
+           }
+           VeraLuxPresets.save(dlg.presets);
+           dlg.refreshPresets();
+           Console.noteln("VeraLux: Imported " + count + " preset(s) from " + ofd.fileName);
+       } catch(e) {
+           (new MessageBox("Could not import presets:\n" + e, "Import Presets", StdIcon_Error, StdButton_Ok)).execute();
+       }
+   };
+   
+   this.btnPresetExport.onClick = function() {
+       var sfd = new SaveFileDialog;
+       sfd.caption = "Export VeraLux Presets";
+       sfd.filters = [["JSON Files", "*.json"]];
+       sfd.overwritePrompt = true;
+       if (!sfd.execute()) return;
+       try {
+           VeraLuxPresets.exportFile(sfd.fileName, dlg.presets);
+           Console.noteln("VeraLux: Exported " + Object.keys(dlg.presets).length + " preset(s) to " + sfd.fileName);
+       } catch(e) {
+           (new MessageBox("Could not export presets:\n" + e, "Export Presets", StdIcon_Error, StdButton_Ok)).execute();
+       }
+   };
+
+   // Batch List
+   this.addBatchItem = function(item) {
+       for (var i = 0; i < dlg.batchList.numberOfChildren; i++) {
+           var existing = dlg.batchList.child(i).batchItem;
+           if ((item.filePath && existing.filePath === item.filePath) || (item.view && existing.view && existing.view.fullId === item.view.fullId)) return;
+       }
+       var node = new TreeBoxNode(dlg.batchList);
+       node.checkable = true;
+       node.checked = true;
+       node.setText(0, item.name);
+       node.setText(1, item.filePath ? item.filePath : "View: " + item.view.fullId);
+       node.batchItem = item;
+   };
+   
+   this.refreshBatchReference = function() {
+       var current = dlg.cmbBatchRef.currentItem;
+       dlg.cmbBatchRef.clear();
+       for (var i = 0; i < dlg.batchList.numberOfChildren; i++) dlg.cmbBatchRef.addItem(dlg.batchList.child(i).text(0));
+       if (current >= 0 && current < dlg.cmbBatchRef.numberOfItems) dlg.cmbBatchRef.currentItem = current;
+       dlg.cmbBatchRef.enabled = dlg.lblBatchRef.enabled = (dlg.cmbBatchAuto.currentItem >= 2);
+   };
+   
+   this.btnBatchAddFiles.onClick = function() {
+       var ofd = new OpenFileDialog;
+       ofd.caption = "Select Linear Images";
+       ofd.multipleSelections = true;
+       ofd.loadImageFilters();
+       if (!ofd.execute()) return;
+       for (var i = 0; i < ofd.fileNames.length; i++)
+           dlg.addBatchItem({ name: File.extractName(ofd.fileNames[i]), filePath: ofd.fileNames[i] });
+       dlg.refreshBatchReference();
+   };
+   
+   this.btnBatchAddWindows.onClick = function() {
+       var windows = ImageWindow.windows;
+       for (var i = 0; i < windows.length; i++)
+           dlg.addBatchItem({ name: windows[i].mainView.id, view: windows[i].mainView });
+       dlg.refreshBatchReference();
+   };
+   
+   this.btnBatchRemove.onClick = function() {
+       for (var i = dlg.batchList.numberOfChildren - 1; i >= 0; i--)
+           if (dlg.batchList.child(i).selected) dlg.batchList.remove(i);
+       dlg.refreshBatchReference();
+   };
+   
+   this.btnBatchClear.onClick = function() {
+       dlg.batchList.clear();
+       dlg.refreshBatchReference();
+   };
+   
+   this.cmbBatchAuto.onItemSelected = function() { dlg.refreshBatchReference(); };
+   
+   this.btnBatchDir.onClick = function() {
+       var gdd = new GetDirectoryDialog;
+       gdd.caption = "Select Output Directory";
+       if (dlg.editBatchDir.text.length > 0) gdd.initialPath = dlg.editBatchDir.text;
+       if (gdd.execute()) dlg.editBatchDir.text = gdd.directory;
+   };
 
    // --- METHODS ---
    
    this.runSmartSolver = function() {
-      if (!ImageWindow.activeWindow) return;
+      var target = dlg.getTargetView();
+      if (!target) return;
       Console.show();
       Console.noteln("VeraLux: Smart Solver started...");
       
-      var img = ImageWindow.activeWindow.mainView.image;
-      var weights = SENSOR_PROFILES[dlg.sensorCombo.itemText(dlg.sensorCombo.currentItem)].weights;
-      var anchor = dlg.chkAdaptive.checked ? VeraLuxCore.calculateAnchorAdaptive(img, weights) : VeraLuxCore.calculateAnchorStats(img, img.numberOfChannels===3);
+      var img = target.image;
+      var settings = dlg.getParameters();
+      var params = settings.stretchParams(target);
+      var progress = dlg.startProgress("Auto-Calc...", null);
+      if (!progress) return;
+      var startTime = Date.now();
+      var solution;
+      try {
+         solution = settings.autoCalc(img, params, progress);
+         dlg.endProgress("Done.");
+      } catch(e) {
+         dlg.endProgress(e instanceof VeraLuxAbort ? "Aborted." : "Failed.");
+         if (!(e instanceof VeraLuxAbort)) (new MessageBox("Error: " + e, "Auto-Calc", StdIcon_Error, StdButton_Ok)).execute();
+         return;
+      }
+      var entry = createReportEntry("solver", target.fullId, img, settings, params);
+      entry.seconds = (Date.now() - startTime) / 1000;
+      if (solution) {
+         entry.results = { anchor: solution.anchor, medianIn: solution.medianIn, proposedLogD: solution.logD, solvedTargetBg: solution.targetBg };
+         if (solution.strategy) {
+            entry.results.proposedStrategy = solution.strategy.value;
+            entry.results.strategyAnalysis = solution.strategy;
+         }
+         if (settings.autoCalcConstraints) {
+            entry.results.proposedB = solution.protectB;
+            entry.results.limitedBy = solution.limitedBy;
+            entry.results.constraintsMet = solution.feasible;
+            entry.results.constraints = settings.solverConstraints();
+            entry.results.predicted = solution.metrics;
+         }
+      }
+      entry.input = channelStatistics(img);
+      dlg.addReportEntry(entry);
+      if (!solution) { dlg.ncLogD.setValue(2.0); return; }
       
-      var samples = [];
-      var step = Math.max(1, Math.floor((img.width*img.height)/100000));
-      for(var i=0; i<img.width*img.height; i+=step) {
-         var x = i%img.width; var y = Math.floor(i/img.width);
-         var val = (img.numberOfChannels===3) ? (weights[0]*img.sample(x,y,0) + weights[1]*img.sample(x,y,1) + weights[2]*img.sample(x,y,2)) : img.sample(x,y,0);
-         val = Math.max(0, val - anchor);
-         if(val > 1e-7) samples.push(val);
-      }
-      if(samples.length===0){dlg.ncLogD.setValue(2.0); return;}
+      dlg.ncLogD.setValue(solution.logD);
+      if (solution.strategy) {
+         dlg.ncUnified.setValue(solution.strategy.value); dlg.ncUnified.onValueUpdated(solution.strategy.value);
+         Console.noteln("VeraLux: Strategy = " + solution.strategy.value + " | " + solution.strategy.explanation.replace(/\n+/g, " | "));
+      }
+      if (!settings.autoCalcConstraints) {
+         Console.noteln("VeraLux: Solver Result LogD = " + solution.logD.toFixed(2));
+         return;
+      }
       
-      var targetTemp = dlg.ncTarget.value;
-      var bestLogD = 2.0;
-      var bVal = dlg.ncProtect.value;
-      var medianIn = VeraLuxCore.percentile(samples, 50);
-
-      // Iterative Solver ("Floating Sky Check")
-      for(var iter=0; iter<15; iter++) {
-          bestLogD = VeraLuxCore.solveLogD(medianIn, targetTemp, bVal);
-          if(!dlg.radReady.checked) break; // Scientific mode no auto-fix
-          
-          var D = Math.pow(10, bestLogD);
-          var strSamples = [];
-          for(var k=0; k<samples.length; k++) strSamples.push(VeraLuxCore.hyperbolicStretch(samples[k], D, bVal));
-          var med = VeraLuxCore.percentile(strSamples, 50);
-          var mean = 0; for(var z=0; z<strSamples.length; z++) mean+=strSamples[z]; mean/=strSamples.length;
-          var std = 0; for(var z=0; z<strSamples.length; z++) std+=Math.pow(strSamples[z]-mean, 2); std=Math.sqrt(std/strSamples.length);
-          var minV = 1.0; for(var z=0; z<strSamples.length; z++) if(strSamples[z]<minV) minV=strSamples[z];
-          
-          var globalFloor = Math.max(minV, med - (2.7 * std)); // 2.7 sigma rule
-          if (globalFloor <= 0.001) break; // Safe
-          
-          targetTemp -= 0.015; if(targetTemp < 0.05) break;
-      }
-      dlg.ncLogD.setValue(bestLogD);
-      Console.noteln("VeraLux: Solver Result LogD = " + bestLogD.toFixed(2));
+      dlg.ncProtect.setValue(solution.protectB);
+      var c = settings.solverConstraints(); var m = solution.metrics;
+      var limits = {
+         background: "Target Bg (highlight limits not binding)",
+         highlight: "Highlight ceiling (" + c.highlightPercentile + "% percentile <= " + c.highlightCeiling + ")",
+         saturation: "Saturated star cores (<= " + c.maxSaturatedPct + "% of pixels)"
+      };
+      var text = "Log D = " + solution.logD.toFixed(2) + ", Protect b = " + solution.protectB.toFixed(2) + "\n" +
+                 "Limited by: " + limits[solution.limitedBy] + "\n\n" +
+                 "Predicted background: " + m.background.toFixed(3) + " (target " + params.targetBg.toFixed(2) + ")\n" +
+                 "Predicted " + c.highlightPercentile + "% percentile: " + m.highlight.toFixed(3) + "\n" +
+                 "Predicted saturated pixels: " + m.saturatedPct.toFixed(3) + "%";
+      if (!solution.feasible)
+         text += "\n\nThe limits cannot be met with any Log D / b; this is the closest solution." +
+                 (params.processingMode === "ready_to_use" ? " In Ready-to-Use mode the adaptive scaling places the brightest percentiles near 1.0; lower the percentile, raise the ceiling or use Scientific mode." : "");
+      Console.noteln("VeraLux: Auto-Calc " + text.replace(/\n+/g, " | "));
+      (new MessageBox(text, "Multi-constraint Auto-Calc", solution.feasible ? StdIcon_Information : StdIcon_Warning, StdButton_Ok)).execute();
+   };
+
+   // Noise-aware Unified Strategy: analyze the target and offer to apply the proposal
+   this.runStrategySuggest = function() {
+      var target = dlg.getTargetView();
+      if (!target || dlg.busy) return;
+      var settings = dlg.getParameters();
+      var params = settings.stretchParams(target);
+      var a;
+      try {
+         a = analyzeUnifiedStrategy(target.image, params);
+      } catch(e) {
+         (new MessageBox("Error: " + e, "Strategy", StdIcon_Error, StdButton_Ok)).execute();
+         return;
+      }
+      Console.noteln("VeraLux: Strategy analysis of " + target.fullId + ": " + a.value + " | " + a.explanation.replace(/\n+/g, " | "));
+      var text = "Proposed Strategy: " + a.value + "\n\n" + a.explanation + "\n\n" +
+                 "Anchor " + a.anchor.toFixed(5) + ", background " + a.background.toExponential(3) +
+                 ", chroma noise " + a.chromaNoise.toExponential(3) + ", luma noise " + a.lumaNoise.toExponential(3) + "\n\n" +
+                 "Apply this value?";
+      if ((new MessageBox(text, "Noise-aware Strategy", StdIcon_Question, StdButton_Yes, StdButton_No)).execute() === StdButton_Yes) {
+         dlg.ncUnified.setValue(a.value); dlg.ncUnified.onValueUpdated(a.value);
+      }
    };
 
    this.runStarSolver = function() {
@@ -1743,7 +6367,7 @@ function VeraLuxDialog() {
            return;
        }
        
-       var medianStar = VeraLuxCore.percentile(samples, 50);
+       var medianStar = VeraLuxStats.median(samples);
        var bVal = dlg.ncStarB.value;
        var bestLogD = VeraLuxCore.solveLogD(medianStar, 0.10, bVal); // Target 0.10 brightness
        
@@ -1751,84 +6375,295 @@ function VeraLuxDialog() {
        (new MessageBox("Calculated Star Intensity: " + bestLogD.toFixed(2), "Star Solver")).execute();
    };
 
-   this.runAuditAndFix = function() {
-       if (!ImageWindow.activeWindow) return;
-       Console.show();
-       Console.noteln("VeraLux: Auditing...");
-       var img = ImageWindow.activeWindow.mainView.image;
-       var weights = SENSOR_PROFILES[dlg.sensorCombo.itemText(dlg.sensorCombo.currentItem)].weights;
-       var anchor = dlg.chkAdaptive.checked ? VeraLuxCore.calculateAnchorAdaptive(img, weights) : VeraLuxCore.calculateAnchorStats(img, img.numberOfChannels===3);
-       
-       var samples = []; var step = Math.max(1, Math.floor((img.width*img.height)/100000));
-       var rawClipCount = 0;
-       for(var i=0; i<img.width*img.height; i+=step) {
-          var x = i%img.width; var y = Math.floor(i/img.width);
-          var val = (img.numberOfChannels===3) ? (weights[0]*img.sample(x,y,0) + weights[1]*img.sample(x,y,1) + weights[2]*img.sample(x,y,2)) : img.sample(x,y,0);
-          if (val < anchor) rawClipCount++;
-          samples.push(Math.max(0, val - anchor));
+   // Inverse stretch of the output of the last stretch of this session (or of a
+   // loaded history), else of the target with the current parameters and
+   // captured link statistics
+   this.runInverse = function() {
+       var target = dlg.getTargetView();
+       var record = dlg.lastStretchRecord;
+       if (record) {
+           target = View.viewById(record.linkReferenceId);
+           if (target.isNull) {
+               (new MessageBox("The stretched image " + record.linkReferenceId + " is no longer open.", "Inverse Stretch", StdIcon_Error, StdButton_Ok)).execute();
+               return;
+           }
+       }
+       if (!target) { (new MessageBox("Load an image.", "Error")).execute(); return; }
+       if (record && dlg.lastStretchMasked) {
+           // Masked-out regions hold the original linear data, not stretched data
+           var msg = new MessageBox("The stretch of " + target.fullId + " was blended through a mask.\n" +
+                                    "Regions protected by the mask cannot be reconstructed and will be wrong in the linear result.\n\n" +
+                                    "Continue anyway?", "Inverse Stretch", StdIcon_Warning, StdButton_Yes, StdButton_No);
+           if (msg.execute() !== StdButton_Yes) return;
        }
+       var sourceText = record ? "Inverting " + target.fullId + ", prefilled from its stretch." : "Prefilled from the current parameters.";
+       if (!record) {
+           record = dlg.getParameters();
+           if (dlg.linkStats) record.setLinkedStats(dlg.linkStats, dlg.linkReferenceId);
+           else sourceText += " Enter the recorded statistics.";
+       }
+       var id = new InverseStretchDialog(record, sourceText);
+       if (!id.execute()) return;
        
-       var rawClipPct = (rawClipCount / samples.length) * 100;
-       var currentD = Math.pow(10, dlg.ncLogD.value);
-       var b = dlg.ncProtect.value;
-       var postClipCount = 0;
-       for(var k=0; k<samples.length; k++) {
-           if(VeraLuxCore.hyperbolicStretch(samples[k], currentD, b) <= 1e-7) postClipCount++;
+       Console.show();
+       Console.noteln("<b>VeraLux: Inverse stretch of " + target.fullId + "...</b>");
+       var progress = dlg.startProgress("Inverting " + target.fullId + "...", function(msg){
+           if (!msg.match(/(Inverting|Stretching): \d+%/)) Console.writeln(msg);
+       });
+       if (!progress) return;
+       try {
+           var result = executeInverseOnView(target, id.parameters, progress);
+           dlg.endProgress("Done.");
+           var rt = result.roundTrip;
+           var text = "Linear data reconstructed in " + result.window.mainView.id + ".\n\n" +
+                      "Round-trip error: max " + rt.maxError.toExponential(2) + ", RMS " + rt.rmsError.toExponential(2) + "\n" +
+                      "Clipped samples (not recoverable): " + rt.clippedPct.toFixed(3) + "%";
+           Console.noteln("VeraLux: " + text.replace(/\n+/g, " "));
+           (new MessageBox(text, "Inverse Stretch", StdIcon_Information, StdButton_Ok)).execute();
+       } catch(e) {
+           if (e instanceof VeraLuxAbort) {
+               dlg.endProgress("Aborted.");
+               Console.warningln("VeraLux: Inverse stretch aborted.");
+           } else {
+               dlg.endProgress("Failed.");
+               (new MessageBox("Error: " + e.message, "Inverse Stretch", StdIcon_Error, StdButton_Ok)).execute();
+           }
        }
-       var postClipPct = (postClipCount / samples.length) * 100;
+   };
 
-       if (rawClipPct > 0.5) { (new MessageBox("WARNING: Source Clipping (" + rawClipPct.toFixed(2) + "%).\nAnchor is cutting data.\nUncheck 'Adaptive Anchor' or Crop artifacts.", "VeraLux Audit", StdIcon_Warning, StdButton_Ok)).execute(); return; }
-       if (postClipPct < 0.1) { (new MessageBox("Analysis Result: SAFE (" + postClipPct.toFixed(2) + "% clip).\nNo action needed.", "VeraLux Audit", StdIcon_Information, StdButton_Ok)).execute(); return; }
+   this.addReportEntry = function(entry) {
+       dlg.report.add(entry);
+       dlg.updateReportButton();
+   };
+   
+   this.updateReportButton = function() {
+       var n = dlg.report.entries.length;
+       dlg.btnReport.text = (n > 0) ? "Report (" + n + ")..." : "Report...";
+   };
+   
+   // Writes the session report (JSON + CSV) and starts a new one
+   this.saveReport = function() {
+       if (dlg.report.entries.length === 0) {
+           (new MessageBox("No runs recorded yet in this session.", "Processing Report", StdIcon_Information, StdButton_Ok)).execute();
+           return;
+       }
+       var sfd = new SaveFileDialog;
+       sfd.caption = "Save VeraLux Report (JSON + CSV)";
+       sfd.filters = [["JSON Files", "*.json"], ["CSV Files", "*.csv"]];
+       sfd.overwritePrompt = false;
+       if (!sfd.execute()) return;
+       try {
+           var files = dlg.report.write(sfd.fileName);
+           Console.noteln("VeraLux: Saved " + dlg.report.entries.length + " report entries to " + files.json + " and " + files.csv);
+           dlg.report.clear();
+           dlg.updateReportButton();
+       } catch(e) {
+           (new MessageBox("Could not save the report:\n" + e, "Processing Report", StdIcon_Error, StdButton_Ok)).execute();
+       }
+   };
+   
+   // Exports the current stretch of the target as a PixelMath or
+   // CurvesTransformation instance and opens it in its process interface
+   this.runExport = function() {
+       var target = dlg.getTargetView();
+       if (!target) { (new MessageBox("Load an image.", "Error")).execute(); return; }
+       Console.show();
+       Console.noteln("<b>VeraLux: Exporting the stretch of " + target.fullId + "...</b>");
+       var progress = dlg.startProgress("Exporting " + target.fullId + "...", function(msg){
+           if (!msg.match(/(Stretching|Measuring): \d+%/)) Console.writeln(msg);
+       });
+       if (!progress) return;
+       try {
+           var result = executeStretchExport(target, dlg.getParameters(), progress);
+           dlg.endProgress("Done.");
+           var text;
+           if (result.kind === "pixelmath") {
+               Console.writeln("Symbols: " + result.symbols);
+               Console.writeln("<raw>" + result.expression + "</raw>");
+               text = "Exact PixelMath expression exported (single RGB/K expression, printed to the Console).";
+           } else {
+               text = "The color stretch of this image cannot be written as a per-channel expression " +
+                      "(only mono images and Color Grip 0 export exactly).\n\n" +
+                      "Exported a CurvesTransformation with " + result.points.length + " points.\n" +
+                      "Curve fit error: " + result.curveError.toExponential(2) + "\n" +
+                      "Error on this image: max " + result.imageError.maxError.toExponential(2) + ", RMS " + result.imageError.rmsError.toExponential(2);
+           }
+           Console.noteln("VeraLux: " + text.replace(/\n+/g, " "));
+           (new MessageBox(text + "\n\nThe process interface has been opened: drag its New Instance triangle to the workspace to keep it as an icon.",
+                           "Export Stretch", StdIcon_Information, StdButton_Ok)).execute();
+           result.instance.launch();
+       } catch(e) {
+           if (e instanceof VeraLuxAbort) {
+               dlg.endProgress("Aborted.");
+               Console.warningln("VeraLux: Export aborted.");
+           } else {
+               dlg.endProgress("Failed.");
+               (new MessageBox("Error: " + e.message, "Export Stretch", StdIcon_Error, StdButton_Ok)).execute();
+           }
+       }
+   };
 
-       var safeLogD = dlg.ncLogD.value;
-       for(var k=0; k<20; k++) {
-           safeLogD -= 0.05; var tD = Math.pow(10, safeLogD); var c = 0;
-           for(var z=0; z<samples.length; z++) if(VeraLuxCore.hyperbolicStretch(samples[z], tD, b) <= 1e-7) c++;
-           if( (c/samples.length)*100 < 0.1 ) break;
+   this.runColorFidelity = function() {
+       var target = dlg.getTargetView();
+       if (!target) { (new MessageBox("Load an image.", "Error")).execute(); return; }
+       if (target.image.numberOfChannels !== 3) { (new MessageBox("Color fidelity requires an RGB image.", "Color Fidelity", StdIcon_Error, StdButton_Ok)).execute(); return; }
+       Console.show();
+       Console.noteln("<b>VeraLux: Color fidelity audit of " + target.fullId + "...</b>");
+       var progress = dlg.startProgress("Color fidelity " + target.fullId + "...", function(msg){
+           if (!msg.match(/(Stretching|Measuring): \d+%/)) Console.writeln(msg);
+       });
+       if (!progress) return;
+       var settings = dlg.getParameters();
+       var startTime = Date.now();
+       try {
+           var result = executeColorFidelity(target, settings, progress);
+           dlg.endProgress("Done.");
+           var audit = result.audit; var all = audit.overall;
+           Console.writeln("<raw>" + fidelityTable(audit) + "</raw>");
+           Console.writeln("dHue: |hue shift| in degrees (pixels with saturation >= " + FIDELITY_MIN_SATURATION + "); dSat: output - input saturation.");
+           var entry = createReportEntry("fidelity", target.fullId, target.image, settings, settings.stretchParams(target));
+           entry.seconds = (Date.now() - startTime) / 1000;
+           entry.results = { hueShiftMean: all.hueMean, hueShiftMedian: all.hueMedian, hueShiftP95: all.hueP95,
+                             saturationShiftMean: all.saturationMean, bands: audit.bands };
+           dlg.addReportEntry(entry);
+           (new MessageBox("Hue shift: mean " + all.hueMean.toFixed(2) + "°, median " + all.hueMedian.toFixed(2) + "°, 95th percentile " + all.hueP95.toFixed(2) + "°\n" +
+                           "Saturation change: mean " + all.saturationMean.toFixed(4) + " (|mean| " + all.saturationMeanAbs.toFixed(4) + ")\n\n" +
+                           "Per-band statistics are in the Console. Heatmaps: " + result.hueWindow.mainView.id + " (black -> white = 0 -> " + FIDELITY_HUE_SCALE + "°, gray = undefined hue), " +
+                           result.saturationWindow.mainView.id + " (red = gain, blue = loss, full at " + FIDELITY_SATURATION_SCALE + ").",
+                           "Color Fidelity", StdIcon_Information, StdButton_Ok)).execute();
+       } catch(e) {
+           if (e instanceof VeraLuxAbort) {
+               dlg.endProgress("Aborted.");
+               Console.warningln("VeraLux: Color fidelity audit aborted.");
+           } else {
+               dlg.endProgress("Failed.");
+               (new MessageBox("Error: " + e.message, "Color Fidelity", StdIcon_Error, StdButton_Ok)).execute();
+           }
        }
+   };
+
+   this.runAuditAndFix = function() {
+       var target = dlg.getTargetView();
+       if (!target) return;
+       Console.show();
+       Console.noteln("VeraLux: Auditing...");
+       var img = target.image;
+       var settings = dlg.getParameters();
+       var params = settings.stretchParams(target);
+       var startTime = Date.now();
+       var audit = auditClipping(img, params);
+       var entry = createReportEntry("audit", target.fullId, img, settings, params);
+       entry.seconds = (Date.now() - startTime) / 1000;
+       entry.results = { anchor: audit.anchor, sourceClipPct: audit.sourceClipPct, postClipPct: audit.postClipPct, proposedLogD: audit.safeLogD };
+       entry.input = channelStatistics(img);
+       dlg.addReportEntry(entry);
+       var rawClipPct = audit.sourceClipPct;
+       var postClipPct = audit.postClipPct;
+
+       if (rawClipPct > 0.5) { (new MessageBox("WARNING: Source Clipping (" + rawClipPct.toFixed(2) + "%).\nAnchor is cutting data.\nUncheck 'Adaptive Anchor' or Crop artifacts.", "VeraLux Audit", StdIcon_Warning, StdButton_Ok)).execute(); return; }
+       if (postClipPct < 0.1) { (new MessageBox("Analysis Result: SAFE (" + postClipPct.toFixed(2) + "% clip).\nNo action needed.", "VeraLux Audit", StdIcon_Information, StdButton_Ok)).execute(); return; }
 
+       var safeLogD = audit.safeLogD;
        var msg = new MessageBox("Clipping Detected (" + postClipPct.toFixed(2) + "%).\nSuggest reducing Log D to " + safeLogD.toFixed(2) + ".\nApply?", "VeraLux Fixer", StdIcon_Warning, StdButton_Yes, StdButton_No);
        if (msg.execute() === StdButton_Yes) { dlg.ncLogD.setValue(safeLogD); }
    };
 
+   // Starts a long operation. Returns its progressCallback: messages go to log
+   // (if given), fractions to the progress bar, and once Abort is pressed it
+   // throws VeraLuxAbort. Returns null while another operation is running.
+   // The progress callback processes events, so the controls that start other
+   // operations or replace the parameters / target are disabled meanwhile.
+   this.busy = false;
+   this.abortRequested = false;
+   this.busyControls = [this.tabBox, this.presetGroup, this.previewButton, this.zoomLevelComboBox, this.newInstanceButton];
+   this.setBusy = function(busy) {
+       dlg.busy = busy;
+       for (var i = 0; i < dlg.busyControls.length; i++) dlg.busyControls[i].enabled = !busy;
+   };
+   this.startProgress = function(caption, log) {
+       if (dlg.busy) return null;
+       dlg.setBusy(true);
+       dlg.abortRequested = false;
+       dlg.btnAbort.enabled = true;
+       dlg.progressBar.setProgress(0, caption);
+       return function(msg, fraction) {
+           if (msg && log) log(msg);
+           if (fraction !== undefined && fraction !== null) dlg.progressBar.setProgress(fraction, msg);
+           else if (msg) dlg.progressBar.setProgress(dlg.progressBar.fraction, msg);
+           processEvents();
+           if (dlg.abortRequested) throw new VeraLuxAbort();
+       };
+   };
+   
+   this.endProgress = function(caption) {
+       dlg.setBusy(false);
+       dlg.abortRequested = false;
+       dlg.btnAbort.enabled = false;
+       dlg.progressBar.setProgress(0, caption || "");
+   };
+
    this.runStretchProcess = function() {
-       if (!ImageWindow.activeWindow) { (new MessageBox("Load an image.", "Error")).execute(); return; }
+       var targetView = dlg.getTargetView();
+       if (!targetView) { (new MessageBox("Load an image.", "Error")).execute(); return; }
        
        // Show Console for Progress
        Console.show();
-       Console.noteln("<b>VeraLux: Starting HyperMetric Stretch...</b>");
+       Console.noteln("<b>VeraLux: Starting HyperMetric Stretch on " + targetView.fullId + "...</b>");
        Console.flush();
        
-       var grip = dlg.ncGrip.value; var shadow = dlg.ncShadow.value;
-       if(dlg.radReady.checked) {
-           var val = dlg.ncUnified.value;
-           if(val < 0) { shadow = (Math.abs(val)/100)*3.0; grip = 1.0; } 
-           else { grip = 1.0 - ((val/100)*0.6); shadow = 0.0; }
+       var parameters = dlg.getParameters();
+       if (parameters.linked) {
+           dlg.updateLinkInfo();
+           Console.noteln("Linked Stretch: " + dlg.lblLinkInfo.text);
        }
-       var params = {
-           weights: SENSOR_PROFILES[dlg.sensorCombo.itemText(dlg.sensorCombo.currentItem)].weights,
-           logD: dlg.ncLogD.value, protectB: dlg.ncProtect.value, convergence: dlg.ncConv.value,
-           processingMode: dlg.radReady.checked ? "ready_to_use" : "scientific",
-           targetBg: dlg.ncTarget.value, colorGrip: grip, shadowConvergence: shadow, 
-           adaptive: dlg.chkAdaptive.checked,
-           addPedestal: true
-       };
        
+       var progress = dlg.startProgress("Stretching " + targetView.fullId + "...", function(msg){ Console.noteln(msg); });
+       if (!progress) return;
        try {
-           var targetView = ImageWindow.activeWindow.mainView;
-           var resImg = processVeraLux(targetView.image, params, function(msg){ Console.noteln(msg); });
+           // Report: input statistics before an in-place stretch replaces them
+           var params = parameters.stretchParams(targetView);
+           var entry = createReportEntry("stretch", targetView.fullId, targetView.image, parameters, params);
+           entry.input = channelStatistics(targetView.image);
+           var lumaIn = reportLuminanceSamples(targetView.image, params.weights);
            
            // Apply the stretch directly to the active image
-           targetView.beginProcess();
-           targetView.image.assign(resImg);
-           targetView.endProcess();
+           var stats = {};
+           var startTime = Date.now();
+           var resImg = executeStretchOnView(targetView, parameters, progress, stats);
+           entry.seconds = (Date.now() - startTime) / 1000;
+           dlg.endProgress("Done.");
+           dlg.processed = true;
+           
+           entry.parameters.logD = stats.logD;
+           entry.results = { anchor: stats.anchor, medianIn: reportLuminanceMedian(lumaIn, stats.anchor),
+                             medianOut: reportLuminanceMedian(reportLuminanceSamples(resImg, params.weights), 0),
+                             globalFloor: stats.globalFloor, finalScale: stats.finalScale, mtfM: stats.mtfM };
+           entry.output = channelStatistics(resImg);
+           dlg.addReportEntry(entry);
            
-           // Update preview source image cache
-           dlg.sourceImage = new Image(resImg);
+           // Parameters + statistics of this run, for the inverse stretch
+           var record = parameters.clone();
+           record.setLinkedStats(stats, stats.outputId);
+           dlg.lastStretchRecord = record;
+           dlg.lastStretchMasked = stats.masked === true;
+           Console.writeln("VeraLux: Anchor=" + stats.anchor.toFixed(8) +
+                           (stats.finalScale ? ", Floor=" + stats.globalFloor.toFixed(8) + ", Scale=" + stats.finalScale.toFixed(6) : "") +
+                           (stats.mtfM ? ", m=" + stats.mtfM.toFixed(8) : ""));
            
-           Console.noteln("<b>VeraLux: Done. Image has been updated.</b>");
+           // dlg.sourceImage keeps the original linear data, so further previews
+           // still stretch the linear source even after an in-place stretch.
+           if (parameters.outputMode === "new_window")
+               Console.noteln("<b>VeraLux: Done. New image created.</b>");
+           else
+               Console.noteln("<b>VeraLux: Done. Image has been updated.</b>");
        } catch(e) {
-           (new MessageBox("Error: " + e)).execute();
+           if (e instanceof VeraLuxAbort) {
+               dlg.endProgress("Aborted.");
+               Console.warningln("VeraLux: Aborted. " + targetView.fullId + " was not modified.");
+           } else {
+               dlg.endProgress("Failed.");
+               (new MessageBox("Error: " + e)).execute();
+           }
        }
    };
 
@@ -1855,68 +6690,287 @@ function VeraLuxDialog() {
            return; 
        }
        
-       var params = {
-           weights: SENSOR_PROFILES[dlg.sensorCombo.itemText(dlg.sensorCombo.currentItem)].weights,
-           logD: dlg.ncStarD.value, 
-           protectB: dlg.ncStarB.value, 
-           convergence: 3.5, 
-           colorGrip: dlg.ncStarGrip.value,
-           shadowConvergence: 0, 
-           lsr: dlg.ncLSR.value,
-           healing: dlg.ncHeal.value,
-           reduction: 0,
-           adaptive: dlg.chkStarAdapt.checked
-       };
-       
        Console.show();
        Console.noteln("<b>VeraLux: Starting StarComposer...</b>");
        Console.noteln("Mask: " + maskId);
        Console.noteln("Base: " + baseId);
        Console.flush();
        
+       var progress = dlg.startProgress("Composing stars...", function(msg){ Console.noteln(msg); });
+       if (!progress) return;
        try {
-           // 1. Process Starmask
-           var stars = processStarPipeline(new Image(maskView.image), params, function(msg){ Console.noteln(msg); });
-           
-           // 2. Compose
-           Console.noteln("Compositing...");
-           var base = new Image(baseView.image);
-           var final = composeStarImages(stars, base, dlg.radScreen.checked);
-           
-           var w = new ImageWindow(final.width, final.height, final.numberOfChannels, 32, true, true, "VeraLux_StarComposer");
-           w.mainView.beginProcess(); w.mainView.image.assign(final); w.mainView.endProcess(); w.show();
+           executeStarComposition(maskView, baseView, dlg.getParameters(), progress);
+           dlg.endProgress("Done.");
+           dlg.processed = true;
            Console.noteln("<b>VeraLux: Done. New image created.</b>");
        } catch(e) {
-           (new MessageBox("Error during processing: " + e, "Processing Error", StdIcon_Error, StdButton_Ok)).execute();
+           if (e instanceof VeraLuxAbort) {
+               dlg.endProgress("Aborted.");
+               Console.warningln("VeraLux: StarComposer aborted. No image was created.");
+           } else {
+               dlg.endProgress("Failed.");
+               (new MessageBox("Error during processing: " + e, "Processing Error", StdIcon_Error, StdButton_Ok)).execute();
+           }
+       }
+   };
+
+   this.runBatchProcess = function() {
+       var items = [];
+       var referenceIndex = 0;
+       for (var i = 0; i < dlg.batchList.numberOfChildren; i++) {
+           var node = dlg.batchList.child(i);
+           if (i === dlg.cmbBatchRef.currentItem) referenceIndex = items.length;
+           if (node.checked) items.push(node.batchItem);
+       }
+       if (items.length === 0) {
+           (new MessageBox("Add and check at least one image.", "Batch", StdIcon_Error, StdButton_Ok)).execute();
+           return;
+       }
+       
+       var options = {
+           autoCalc: [BATCH_AUTOCALC_OFF, BATCH_AUTOCALC_PER_IMAGE, BATCH_AUTOCALC_SHARED, BATCH_AUTOCALC_LINKED][dlg.cmbBatchAuto.currentItem],
+           referenceIndex: referenceIndex,
+           outputDir: dlg.editBatchDir.text.trim(),
+           template: dlg.editBatchTemplate.text.trim(),
+           extension: dlg.cmbBatchExt.itemText(dlg.cmbBatchExt.currentItem),
+           report: dlg.report
+       };
+       if (options.autoCalc === BATCH_AUTOCALC_SHARED || options.autoCalc === BATCH_AUTOCALC_LINKED) {
+           var refNode = dlg.batchList.child(dlg.cmbBatchRef.currentItem);
+           if (!refNode || !refNode.checked) {
+               (new MessageBox("The shared reference image must be checked.", "Batch", StdIcon_Error, StdButton_Ok)).execute();
+               return;
+           }
+       }
+       if (options.outputDir.length > 0 && !File.directoryExists(options.outputDir)) {
+           (new MessageBox("Output directory does not exist:\n" + options.outputDir, "Batch", StdIcon_Error, StdButton_Ok)).execute();
+           return;
+       }
+       
+       Console.show();
+       Console.noteln("<b>VeraLux: Starting Batch HyperMetric Stretch (" + items.length + " images)...</b>");
+       Console.flush();
+       
+       var progress = dlg.startProgress("Batch: " + items.length + " images...", function(msg){ Console.writeln(msg); Console.flush(); });
+       if (!progress) return;
+       var rows;
+       try {
+           rows = runBatchStretch(items, dlg.getParameters(), options, progress);
+       } catch(e) {
+           dlg.endProgress(e instanceof VeraLuxAbort ? "Aborted." : "Failed.");
+           if (!(e instanceof VeraLuxAbort)) (new MessageBox("Error: " + e, "Batch", StdIcon_Error, StdButton_Ok)).execute();
+           return;
        }
+       var aborted = rows.length > 0 && rows[rows.length - 1].error === "Aborted";
+       dlg.endProgress(aborted ? "Aborted." : "Done.");
+       if (!aborted) dlg.processed = true;
+       
+       dlg.updateReportButton();
+       dlg.batchSummary.clear();
+       var failed = 0;
+       for (var r = 0; r < rows.length; r++) {
+           var row = rows[r];
+           var node = new TreeBoxNode(dlg.batchSummary);
+           node.setText(0, row.name);
+           if (row.error) {
+               failed++;
+               node.setText(4, "ERROR: " + row.error);
+           } else {
+               node.setText(1, row.anchor.toFixed(5));
+               node.setText(2, row.logD.toFixed(2));
+               node.setText(3, row.clipPct.toFixed(2));
+               node.setText(4, row.output);
+           }
+       }
+       for (var c = 0; c < dlg.batchSummary.numberOfColumns; c++) dlg.batchSummary.adjustColumnWidthToContents(c);
+       
+       Console.noteln("<b>VeraLux: Batch complete. " + (rows.length - failed) + " succeeded, " + failed + " failed.</b>");
+   };
+
+   // Collect the current dialog state as a VeraLuxParameters instance
+   this.getParameters = function() {
+       var p = new VeraLuxParameters();
+       p.module = (dlg.tabBox.currentPageIndex === 1) ? "star" : "stretch";
+       p.processingMode = dlg.radReady.checked ? "ready_to_use" : "scientific";
+       p.sensorProfile = dlg.sensorCombo.itemText(dlg.sensorCombo.currentItem);
+       p.adaptive = dlg.chkAdaptive.checked;
+       p.targetBg = dlg.ncTarget.value;
+       p.logD = dlg.ncLogD.value;
+       p.protectB = dlg.ncProtect.value;
+       p.convergence = dlg.ncConv.value;
+       p.unified = dlg.ncUnified.value;
+       p.colorGrip = dlg.ncGrip.value;
+       p.shadowConvergence = dlg.ncShadow.value;
+       p.symmetryPoint = dlg.ncSP.value;
+       p.shadowProtection = dlg.ncLP.value;
+       p.highlightProtection = dlg.ncHP.value;
+       p.autoCalcConstraints = dlg.chkConstraints.checked;
+       p.autoStrategy = dlg.chkAutoStrategy.checked;
+       p.highlightPercentile = dlg.neHighPct.value;
+       p.highlightCeiling = dlg.neHighCeil.value;
+       p.maxSaturatedPct = dlg.neMaxSat.value;
+       p.outputMode = dlg.radOutNew.checked ? "new_window" : "replace";
+       p.outputSuffix = dlg.editOutSuffix.text.trim();
+       p.useMask = dlg.chkUseMask.checked;
+       if (dlg.linkStats) {
+           p.setLinkedStats(dlg.linkStats, dlg.linkReferenceId);
+           p.linked = dlg.chkLinked.checked;
+       }
+       
+       if (dlg.cmbStarMask.enabled) {
+           p.starMaskId = dlg.cmbStarMask.itemText(dlg.cmbStarMask.currentItem);
+           p.starBaseId = dlg.cmbStarBase.itemText(dlg.cmbStarBase.currentItem);
+       }
+       p.starLogD = dlg.ncStarD.value;
+       p.starProtectB = dlg.ncStarB.value;
+       p.starAdaptive = dlg.chkStarAdapt.checked;
+       p.starGrip = dlg.ncStarGrip.value;
+       p.lsr = dlg.ncLSR.value;
+       p.healing = dlg.ncHeal.value;
+       p.reduction = dlg.ncReduction.value;
+       p.screenBlend = dlg.radScreen.checked;
+       p.starUseMask = dlg.chkStarUseMask.checked;
+       p.tiled = dlg.chkTiled.checked;
+       p.tileSize = dlg.spinTileSize.value;
+       return p;
+   };
+
+   // Load a VeraLuxParameters instance into the dialog controls
+   this.setParameters = function(p) {
+       dlg.radReady.checked = (p.processingMode === "ready_to_use");
+       dlg.radSci.checked = !dlg.radReady.checked;
+       dlg.selectComboItem(dlg.sensorCombo, p.sensorProfile);
+       dlg.chkAdaptive.checked = p.adaptive;
+       dlg.ncTarget.setValue(p.targetBg);
+       dlg.ncLogD.setValue(p.logD);
+       dlg.ncProtect.setValue(p.protectB);
+       dlg.ncConv.setValue(p.convergence);
+       dlg.ncUnified.setValue(p.unified);
+       dlg.ncGrip.setValue(p.colorGrip);
+       dlg.ncShadow.setValue(p.shadowConvergence);
+       dlg.ncSP.setValue(p.symmetryPoint);
+       dlg.ncLP.setValue(p.shadowProtection);
+       dlg.ncHP.setValue(p.highlightProtection);
+       dlg.chkConstraints.checked = p.autoCalcConstraints;
+       dlg.chkConstraints.onCheck(p.autoCalcConstraints);
+       dlg.chkAutoStrategy.checked = p.autoStrategy;
+       dlg.neHighPct.setValue(p.highlightPercentile);
+       dlg.neHighCeil.setValue(p.highlightCeiling);
+       dlg.neMaxSat.setValue(p.maxSaturatedPct);
+       dlg.radOutNew.checked = (p.outputMode === "new_window");
+       dlg.radOutReplace.checked = !dlg.radOutNew.checked;
+       dlg.editOutSuffix.text = p.outputSuffix;
+       dlg.chkUseMask.checked = p.useMask;
+       if (p.linked || p.linkAnchor > 0 || p.linkFinalScale > 0) {
+           dlg.linkStats = p.linkedStats();
+           dlg.linkReferenceId = p.linkReferenceId;
+       } else {
+           dlg.linkStats = null;
+           dlg.linkReferenceId = "";
+       }
+       dlg.chkLinked.checked = p.linked && dlg.linkStats !== null;
+       dlg.updateLinkInfo();
+       
+       if (dlg.cmbStarMask.enabled) {
+           if (p.starMaskId) dlg.selectComboItem(dlg.cmbStarMask, p.starMaskId);
+           if (p.starBaseId) dlg.selectComboItem(dlg.cmbStarBase, p.starBaseId);
+       }
+       dlg.ncStarD.setValue(p.starLogD);
+       dlg.ncStarB.setValue(p.starProtectB);
+       dlg.chkStarAdapt.checked = p.starAdaptive;
+       dlg.ncStarGrip.setValue(p.starGrip);
+       dlg.ncLSR.setValue(p.lsr);
+       dlg.ncHeal.setValue(p.healing);
+       dlg.ncReduction.setValue(p.reduction);
+       dlg.radScreen.checked = p.screenBlend;
+       dlg.radAdd.checked = !p.screenBlend;
+       dlg.chkStarUseMask.checked = p.starUseMask;
+       dlg.chkTiled.checked = p.tiled;
+       dlg.spinTileSize.value = Math.round(p.tileSize);
+       dlg.spinTileSize.enabled = p.tiled;
+       
+       // Update UI
+       dlg.updateMode();
+       dlg.sensorDetection = null; dlg.sensorNoMatch = false;
+       dlg.updateSensor();
+       dlg.ncUnified.onValueUpdated(p.unified);
+   };
+
+   this.selectComboItem = function(combo, text) {
+       for (var i = 0; i < combo.numberOfItems; i++) {
+           if (combo.itemText(i) === text) { combo.currentItem = i; return true; }
+       }
+       return false;
    };
 
    // Init
+   if (parameters) this.setParameters(parameters);
+   this.refreshPresets();
+   this.refreshBatchReference();
+   this.refreshLinkReferences();
+   this.updateLinkInfo();
    this.updateMode();
    this.updateSensor();
+   this.autoSelectSensor();
    
-   // Initialize preview with active window if available
-   if (ImageWindow.activeWindow) {
-      var activeImg = ImageWindow.activeWindow.mainView.image;
-      if (activeImg) {
-         Console.writeln("Preview: Initializing with active image...");
-         // Store source image for fast refresh
-         this.sourceImage = new Image(activeImg);
-         var tmpImage = this.createTemporaryImage(activeImg, this.zoomLevelComboBox.currentItem, false);
-         this.previewControl.displayImage = tmpImage;
-         this.previewControl.initScrollBars();
-         this.previewControl.viewport.update();
-      }
+   // Initialize preview with the target view (active window) if available
+   if (this.getTargetView()) {
+      Console.writeln("Preview: Initializing with active image...");
+      this.loadTargetSource();
    }
    
+   this.onHide = function() {
+      dlg.previewControl.blinkTimer.stop();
+   };
+   
    this.adjustToContents();
    this.windowTitle = "VeraLux Suite v" + VERSION;
 }
 VeraLuxDialog.prototype = new Dialog;
 
 function main() {
-   var dialog = new VeraLuxDialog();
-   dialog.execute();
+   VeraLuxSensorProfiles.loadUser();
+   VeraLuxSensorMapping.load();
+   var parameters = new VeraLuxParameters();
+   
+   // Headless execution (process icon dropped on a view / ProcessContainer)
+   if (Parameters.isViewTarget) {
+      parameters.importParameters();
+      var view = Parameters.targetView;
+      Console.noteln("<b>VeraLux: Executing " + (parameters.module === "star" ? "StarComposer" : "HyperMetric Stretch") + " on " + view.fullId + "</b>");
+      try {
+         if (parameters.module === "star")
+            executeStarComposition(View.viewById(parameters.starMaskId), view, parameters, function(msg){ if (msg) Console.writeln(msg); });
+         else
+            executeStretchOnView(view, parameters, function(msg){ if (msg) Console.writeln(msg); });
+      } catch(e) {
+         Console.criticalln("VeraLux: " + e);
+      }
+      return;
+   }
+   
+   if (Parameters.isGlobalTarget) {
+      parameters.importParameters();
+      if (parameters.module === "star") {
+         Console.noteln("<b>VeraLux: Executing StarComposer (global)</b>");
+         try {
+            executeStarComposition(View.viewById(parameters.starMaskId), View.viewById(parameters.starBaseId), parameters, function(msg){ if (msg) Console.writeln(msg); });
+         } catch(e) {
+            Console.criticalln("VeraLux: " + e);
+         }
+         return;
+      }
+      // HyperMetric Stretch needs a target view: open the dialog with the instance parameters.
+   }
+   
+   // Interactive session: start from the last-used values unless an instance supplied them
+   if (!Parameters.isGlobalTarget) parameters.loadSettings();
+   
+   // Closing without processing leaves the remembered values untouched
+   var dialog = new VeraLuxDialog(parameters);
+   if (dialog.execute() || dialog.processed) dialog.getParameters().saveSettings();
 }
 
+#ifndef VERALUX_LIBRARY_MODE
 main();
+#endif